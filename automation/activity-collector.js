@@ -0,0 +1,181 @@
+/**
+ * Activity Collector
+ * Weekly repository activity for the stats collector: commits, opened/merged pull
+ * requests and opened/closed issues over the last year, plus unique contributors.
+ * Weeks follow the provider's commit activity (Sunday-starting, oldest first) and are
+ * stored compactly as one array per counter from `first_week`. Repository activity
+ * can be combined into organization and ecosystem totals.
+ */
+
+const RequestScheduler = require('./request-scheduler');
+
+const COUNTERS = ['commits', 'prs_opened', 'prs_merged', 'issues_opened', 'issues_closed'];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+class ActivityCollector {
+  constructor() {
+    // Contributor logins per activity record, kept out of the written stats
+    this.contributorLogins = new WeakMap();
+  }
+
+  /**
+   * Collect one repository's activity. Activity is supplementary: a failure, or
+   * statistics still being computed, is recorded on the result without throwing
+   * (an exhausted rate limit budget still aborts the run).
+   */
+  async collectRepository(provider, owner, name, { empty = false } = {}) {
+    if (empty) {
+      return this.createActivity(this.getWeekKeys(provider, null), {}, []);
+    }
+
+    try {
+      const commits = await provider.getCommitActivity(owner, name);
+      const contributors = await provider.getContributors(owner, name);
+      const weekKeys = this.getWeekKeys(provider, commits);
+      const events = await provider.getIssueActivity(owner, name, new Date(`${weekKeys[0]}T00:00:00Z`));
+
+      const activity = this.createActivity(weekKeys, {
+        commits: commits && commits.length > 0 ? commits.map(week => week.total) : commits && weekKeys.map(() => 0),
+        prs_opened: this.countByWeek(weekKeys, events.pull_requests.map(pull => pull.created_at)),
+        prs_merged: this.countByWeek(weekKeys, events.pull_requests.map(pull => pull.merged_at)),
+        issues_opened: this.countByWeek(weekKeys, events.issues.map(issue => issue.created_at)),
+        issues_closed: this.countByWeek(weekKeys, events.issues.map(issue => issue.closed_at))
+      }, contributors);
+
+      // GitHub answers null while it is still computing the statistics
+      if (provider.type === 'github' && (commits === null || contributors === null)) {
+        activity.pending = true;
+      }
+
+      return activity;
+    } catch (error) {
+      if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+        throw error;
+      }
+
+      const activity = this.createActivity(this.getWeekKeys(provider, null), {}, null);
+      activity.error = error.message;
+      return activity;
+    }
+  }
+
+  /**
+   * Week keys of the activity window: the provider's commit weeks when available
+   */
+  getWeekKeys(provider, commits) {
+    return commits && commits.length > 0 ?
+      commits.map(week => week.week) :
+      provider.groupCommitsByWeek([]).map(week => week.week);
+  }
+
+  /**
+   * Count timestamps per week, ignoring nulls and anything outside the window
+   */
+  countByWeek(weekKeys, dates) {
+    const counts = weekKeys.map(() => 0);
+    const starts = weekKeys.map(week => new Date(`${week}T00:00:00Z`).getTime());
+    const end = starts[starts.length - 1] + WEEK_MS;
+
+    dates.filter(Boolean).forEach(date => {
+      const time = new Date(date).getTime();
+      if (time < starts[0] || time >= end) {
+        return;
+      }
+      const index = starts.findIndex((start, i) => time >= start && (i === starts.length - 1 || time < starts[i + 1]));
+      counts[index]++;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Build an activity record from per-counter weekly arrays (missing counters are unknown)
+   */
+  createActivity(weekKeys, series, contributors) {
+    const weekly = {};
+    COUNTERS.forEach(counter => {
+      weekly[counter] = series[counter] ? [...series[counter]] : weekKeys.map(() => 0);
+    });
+
+    const logins = contributors && new Set(contributors.map(contributor => contributor.login).filter(Boolean));
+    const activity = {
+      first_week: weekKeys[0],
+      weekly,
+      totals: this.sumWeekly(weekly),
+      contributors: logins ? logins.size : null
+    };
+
+    COUNTERS.filter(counter => !series[counter]).forEach(counter => {
+      activity.totals[counter] = null;
+    });
+    if (!series.commits) {
+      activity.totals.active_weeks = null;
+    }
+
+    if (logins) {
+      this.contributorLogins.set(activity, logins);
+    }
+
+    return activity;
+  }
+
+  /**
+   * Totals of every counter, plus the number of weeks with commits
+   */
+  sumWeekly(weekly) {
+    const totals = {};
+    COUNTERS.forEach(counter => {
+      totals[counter] = weekly[counter].reduce((sum, count) => sum + count, 0);
+    });
+    totals.active_weeks = weekly.commits.filter(count => count > 0).length;
+    return totals;
+  }
+
+  /**
+   * Weekly rows ({ week, commits, prs_opened, ... }) of an activity record, for charts
+   */
+  getWeeks(activity) {
+    const firstWeek = new Date(`${activity.first_week}T00:00:00Z`).getTime();
+
+    return activity.weekly.commits.map((_, index) => {
+      const row = { week: new Date(firstWeek + index * WEEK_MS).toISOString().slice(0, 10) };
+      COUNTERS.forEach(counter => {
+        row[counter] = activity.weekly[counter][index];
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Combine activity records (e.g. an organization's repositories) week by week.
+   * Contributors are counted once across the records when all of them are known.
+   */
+  combine(activities) {
+    const byWeek = new Map();
+
+    activities.forEach(activity => {
+      this.getWeeks(activity).forEach(row => {
+        const combined = byWeek.get(row.week) || Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+        COUNTERS.forEach(counter => {
+          combined[counter] += row[counter];
+        });
+        byWeek.set(row.week, combined);
+      });
+    });
+
+    const weekKeys = [...byWeek.keys()].sort();
+    const series = {};
+    COUNTERS.forEach(counter => {
+      series[counter] = weekKeys.map(week => byWeek.get(week)[counter]);
+    });
+
+    const loginSets = activities.map(activity => this.contributorLogins.get(activity));
+    const logins = loginSets.every(Boolean) ? [...new Set(loginSets.flatMap(set => [...set]))] : null;
+
+    return this.createActivity(weekKeys, series, logins && logins.map(login => ({ login })));
+  }
+}
+
+ActivityCollector.COUNTERS = COUNTERS;
+
+module.exports = ActivityCollector;
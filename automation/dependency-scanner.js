@@ -0,0 +1,1011 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Scanner
+ * Reads the dependency manifests, lockfiles and runtime version files of every
+ * ecosystem repository (package.json, requirements.txt, pyproject.toml, pom.xml,
+ * build.gradle, go.mod, Cargo.toml, Gemfile, composer.json, .nvmrc, ...) and builds
+ * a cross-repository graph: which repositories use which packages and frameworks,
+ * the runtime versions they target, and libraries pinned to different major
+ * versions in different repositories. The graph feeds README "Technologies" and
+ * docs/DEPENDENCY_REPORT.md; its public copy (docs/dependency-graph.json) follows
+ * the "dependencies" visibility policy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+const GitHubClient = require('./github-client');
+const RepositoryProviders = require('./repository-providers');
+const RequestScheduler = require('./request-scheduler');
+const VisibilityPolicy = require('./visibility-policy');
+const LineCounter = require('./line-counter');
+
+// repos.get, the file tree and about two manifests
+const REQUESTS_PER_REPOSITORY = 4;
+
+// Manifest file names and the parser reading each
+const MANIFESTS = {
+  'package.json': 'parsePackageJson',
+  'requirements.txt': 'parseRequirements',
+  'requirements-dev.txt': 'parseRequirements',
+  'pyproject.toml': 'parsePyproject',
+  'pom.xml': 'parsePom',
+  'build.gradle': 'parseGradle',
+  'build.gradle.kts': 'parseGradle',
+  'go.mod': 'parseGoMod',
+  'Cargo.toml': 'parseCargo',
+  'Gemfile': 'parseGemfile',
+  'composer.json': 'parseComposer',
+  '.nvmrc': 'parseVersionFile',
+  '.node-version': 'parseVersionFile',
+  '.python-version': 'parseVersionFile',
+  'runtime.txt': 'parseVersionFile',
+  '.ruby-version': 'parseVersionFile',
+  '.tool-versions': 'parseToolVersions'
+};
+
+// Lockfiles resolving the versions declared by the manifest next to them
+const LOCKFILES = {
+  'package-lock.json': { manifest: 'package.json', parser: 'parsePackageLock' },
+  'yarn.lock': { manifest: 'package.json', parser: 'parseYarnLock' },
+  'poetry.lock': { manifest: 'pyproject.toml', parser: 'parseTomlLock' },
+  'Cargo.lock': { manifest: 'Cargo.toml', parser: 'parseTomlLock' },
+  'Gemfile.lock': { manifest: 'Gemfile', parser: 'parseGemfileLock' },
+  'composer.lock': { manifest: 'composer.json', parser: 'parseComposerLock' }
+};
+
+// Runtimes targeted through version files and manifest fields
+const RUNTIMES = {
+  node: 'Node.js',
+  python: 'Python',
+  java: 'Java',
+  go: 'Go',
+  rust: 'Rust',
+  ruby: 'Ruby',
+  php: 'PHP'
+};
+const VERSION_FILES = {
+  '.nvmrc': 'node',
+  '.node-version': 'node',
+  '.python-version': 'python',
+  'runtime.txt': 'python',
+  '.ruby-version': 'ruby'
+};
+const TOOL_VERSIONS = { nodejs: 'node', node: 'node', python: 'python', java: 'java', golang: 'go', rust: 'rust', ruby: 'ruby', php: 'php' };
+
+// Packages that name a framework or notable tool, by "ecosystem:package"
+// (Maven entries match every artifact of the group)
+const FRAMEWORKS = {
+  'npm:react': 'React',
+  'npm:react-native': 'React Native',
+  'npm:next': 'Next.js',
+  'npm:vue': 'Vue',
+  'npm:nuxt': 'Nuxt',
+  'npm:svelte': 'Svelte',
+  'npm:@sveltejs/kit': 'SvelteKit',
+  'npm:@angular/core': 'Angular',
+  'npm:express': 'Express',
+  'npm:fastify': 'Fastify',
+  'npm:koa': 'Koa',
+  'npm:@nestjs/core': 'NestJS',
+  'npm:redux': 'Redux',
+  'npm:@reduxjs/toolkit': 'Redux',
+  'npm:typescript': 'TypeScript',
+  'npm:tailwindcss': 'Tailwind CSS',
+  'npm:styled-components': 'Styled Components',
+  'npm:three': 'Three.js',
+  'npm:electron': 'Electron',
+  'npm:vite': 'Vite',
+  'npm:webpack': 'webpack',
+  'npm:jest': 'Jest',
+  'npm:vitest': 'Vitest',
+  'npm:mocha': 'Mocha',
+  'npm:@octokit/rest': 'Octokit',
+  'pypi:django': 'Django',
+  'pypi:flask': 'Flask',
+  'pypi:fastapi': 'FastAPI',
+  'pypi:numpy': 'NumPy',
+  'pypi:pandas': 'pandas',
+  'pypi:scipy': 'SciPy',
+  'pypi:matplotlib': 'Matplotlib',
+  'pypi:scikit-learn': 'scikit-learn',
+  'pypi:tensorflow': 'TensorFlow',
+  'pypi:torch': 'PyTorch',
+  'pypi:jupyter': 'Jupyter',
+  'pypi:pytest': 'pytest',
+  'maven:org.springframework.boot': 'Spring Boot',
+  'maven:org.junit.jupiter': 'JUnit',
+  'go:github.com/gin-gonic/gin': 'Gin',
+  'go:github.com/labstack/echo/v4': 'Echo',
+  'go:github.com/gofiber/fiber/v2': 'Fiber',
+  'cargo:actix-web': 'Actix Web',
+  'cargo:axum': 'Axum',
+  'cargo:rocket': 'Rocket',
+  'cargo:tokio': 'Tokio',
+  'rubygems:rails': 'Rails',
+  'rubygems:sinatra': 'Sinatra',
+  'rubygems:rspec': 'RSpec',
+  'composer:laravel/framework': 'Laravel',
+  'composer:symfony/framework-bundle': 'Symfony'
+};
+
+class DependencyScanner {
+  constructor({ graphPath, reportPath, client } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.graphPath = graphPath || path.join(this.baseDir, 'docs', 'dependency-graph.json');
+    this.reportPath = reportPath || path.join(this.baseDir, 'docs', 'DEPENDENCY_REPORT.md');
+
+    // Repositories from the registry, falling back to those declared in the manifest
+    this.client = client || new GitHubClient();
+    this.manifest = new EcosystemManifest();
+    this.registry = new RepositoryRegistry();
+    this.providers = new RepositoryProviders(this.manifest, { client: this.client });
+    this.visibility = new VisibilityPolicy(this.manifest, this.registry);
+    this.lineCounter = new LineCounter();
+    this.organizations = this.registry.exists() ?
+      this.registry.getRepositoriesByOwner() :
+      this.manifest.getRepositoriesByOwner();
+
+    // Full graph of the last scan, private repositories included (never written as is)
+    this.graph = null;
+  }
+
+  /**
+   * Scan every repository, save the redacted graph and report, and return the full graph
+   */
+  async scanAll() {
+    console.log('🧩 Scanning dependency manifests...');
+
+    const githubRepos = Object.entries(this.organizations)
+      .filter(([owner]) => this.providers.forOwner(owner).type === 'github')
+      .reduce((sum, [, repositories]) => sum + repositories.length, 0);
+    await this.client.checkRateBudget(githubRepos * REQUESTS_PER_REPOSITORY, 'Dependency scan');
+
+    const entries = [];
+    for (const [owner, repositories] of Object.entries(this.organizations)) {
+      entries.push(...await Promise.all(repositories.map(name => this.scanRepository(owner, name))));
+    }
+
+    this.graph = this.buildGraph(entries);
+    const published = this.buildGraph(this.redact(entries));
+    this.save(published);
+    this.generateReport(published);
+
+    const { summary } = this.graph;
+    console.log(`  ✓ ${summary.packages} packages across ${summary.scanned_repositories} repositories, ${summary.divergent_packages} with divergent major versions`);
+    return this.graph;
+  }
+
+  /**
+   * Read and parse the manifests of one repository. Failures are recorded on the
+   * entry; an exhausted rate limit budget aborts the whole scan instead.
+   */
+  async scanRepository(owner, name) {
+    const provider = this.providers.forOwner(owner);
+    const entry = {
+      full_name: `${owner}/${name}`,
+      owner,
+      name,
+      private: false,
+      manifests: [],
+      dependencies: [],
+      runtimes: {},
+      frameworks: [],
+      tree_truncated: false,
+      error: null
+    };
+
+    try {
+      const repository = await provider.getMetadata(owner, name);
+      entry.private = !!repository.private;
+
+      if (repository.empty) {
+        return entry;
+      }
+
+      const { paths, truncated } = await provider.listFiles(owner, name, repository.default_branch);
+      entry.tree_truncated = truncated;
+
+      const files = paths.filter(filePath => !this.lineCounter.isVendored(filePath));
+      const manifests = files.filter(filePath => MANIFESTS[path.posix.basename(filePath)]);
+
+      for (const manifestPath of manifests) {
+        const content = await provider.getFileContents(owner, name, manifestPath, repository.default_branch);
+        if (content === null) {
+          continue;
+        }
+
+        const parsed = this.parseManifest(manifestPath, content);
+        const resolved = await this.readLockfile(provider, owner, name, repository.default_branch, manifestPath, files);
+
+        entry.manifests.push(manifestPath);
+        parsed.dependencies.forEach(dependency => {
+          entry.dependencies.push({
+            ...dependency,
+            ...(resolved[dependency.name] ? { resolved: resolved[dependency.name] } : {}),
+            manifest: manifestPath
+          });
+        });
+        Object.entries(parsed.runtimes).forEach(([runtime, version]) => {
+          entry.runtimes[runtime] = [...new Set([...(entry.runtimes[runtime] || []), version])];
+        });
+      }
+
+      entry.frameworks = this.detectFrameworks(entry.dependencies);
+      console.log(`  📦 ${owner}/${name}: ${entry.dependencies.length} dependencies in ${entry.manifests.length} manifests`);
+    } catch (error) {
+      if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+        throw error;
+      }
+
+      console.log(`  ⚠️ Could not scan dependencies of ${owner}/${name}: ${error.message}`);
+      entry.error = error.message;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Versions resolved by the lockfile next to a manifest ({ package: version })
+   */
+  async readLockfile(provider, owner, name, ref, manifestPath, files) {
+    const directory = path.posix.dirname(manifestPath);
+    const manifestName = path.posix.basename(manifestPath);
+
+    for (const [lockfile, { manifest, parser }] of Object.entries(LOCKFILES)) {
+      const lockPath = directory === '.' ? lockfile : `${directory}/${lockfile}`;
+
+      if (manifest === manifestName && files.includes(lockPath)) {
+        const content = await provider.getFileContents(owner, name, lockPath, ref);
+        if (content !== null) {
+          try {
+            return this[parser](content);
+          } catch (error) {
+            console.log(`    ⚠️ Ignoring unreadable ${owner}/${name}/${lockPath}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Parse a manifest into { dependencies: [{ ecosystem, name, version, scope }], runtimes: { runtime: version } }
+   */
+  parseManifest(manifestPath, content) {
+    const fileName = path.posix.basename(manifestPath);
+    const result = { dependencies: [], runtimes: {}, ...this[MANIFESTS[fileName]](content, fileName) };
+
+    result.dependencies = result.dependencies.map(dependency => ({
+      ...dependency,
+      version: dependency.version === undefined || dependency.version === '' ? null : dependency.version
+    }));
+    return result;
+  }
+
+  /**
+   * package.json: dependencies by section, and the Node.js version from engines
+   */
+  parsePackageJson(content) {
+    const data = JSON.parse(content);
+    const sections = {
+      dependencies: 'runtime',
+      devDependencies: 'dev',
+      peerDependencies: 'peer',
+      optionalDependencies: 'optional'
+    };
+    const dependencies = [];
+
+    Object.entries(sections).forEach(([section, scope]) => {
+      Object.entries(data[section] || {}).forEach(([name, version]) => {
+        dependencies.push({ ecosystem: 'npm', name, version, scope });
+      });
+    });
+
+    return { dependencies, runtimes: data.engines?.node ? { node: data.engines.node } : {} };
+  }
+
+  /**
+   * requirements.txt: one requirement per line (options, includes and URLs skipped)
+   */
+  parseRequirements(content, fileName) {
+    const dependencies = [];
+
+    content.split('\n').forEach(line => {
+      const requirement = line.replace(/(^|\s)#.*$/, '').split(';')[0].trim();
+      // -r/-e/--index-url options, VCS checkouts (git+https://...) and archive URLs name no package
+      if (requirement.startsWith('-') || /^(git|hg|svn|bzr)\+/.test(requirement) || requirement.includes('://')) {
+        return;
+      }
+      const match = requirement.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*(.*)$/);
+
+      if (match) {
+        dependencies.push({
+          ecosystem: 'pypi',
+          name: this.normalizePythonName(match[1]),
+          version: match[3].trim(),
+          scope: fileName.includes('dev') ? 'dev' : 'runtime'
+        });
+      }
+    });
+
+    return { dependencies };
+  }
+
+  /**
+   * pyproject.toml: PEP 621 [project] dependencies and Poetry dependency tables
+   */
+  parsePyproject(content) {
+    const tables = this.parseToml(content);
+    const dependencies = [];
+    const runtimes = {};
+    const project = tables.project || {};
+
+    (project.dependencies || []).forEach(requirement => {
+      dependencies.push(...this.parseRequirements(requirement, 'pyproject.toml').dependencies);
+    });
+    Object.values(project['optional-dependencies'] || {}).forEach(requirements => {
+      requirements.forEach(requirement => {
+        dependencies.push(...this.parseRequirements(requirement, 'pyproject.toml').dependencies
+          .map(dependency => ({ ...dependency, scope: 'optional' })));
+      });
+    });
+    if (project['requires-python']) {
+      runtimes.python = project['requires-python'];
+    }
+
+    Object.entries(tables)
+      .filter(([table]) => /^tool\.poetry(\.group\.[^.]+)?\.(dev-)?dependencies$/.test(table))
+      .forEach(([table, entries]) => {
+        Object.entries(entries).forEach(([name, spec]) => {
+          const version = typeof spec === 'object' ? spec.version : spec;
+
+          if (name === 'python') {
+            runtimes.python = version;
+          } else {
+            dependencies.push({
+              ecosystem: 'pypi',
+              name: this.normalizePythonName(name),
+              version,
+              scope: table === 'tool.poetry.dependencies' ? 'runtime' : 'dev'
+            });
+          }
+        });
+      });
+
+    return { dependencies, runtimes };
+  }
+
+  /**
+   * pom.xml: dependencies and the parent POM, with ${property} versions resolved,
+   * and the Java version from the compiler properties
+   */
+  parsePom(content) {
+    const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+    const tag = (block, name) => (block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`)) || [])[1];
+    const properties = {};
+    const propertiesBlock = (xml.match(/<properties>([\s\S]*?)<\/properties>/) || [])[1] || '';
+
+    for (const [, name, value] of propertiesBlock.matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+      properties[name] = value;
+    }
+
+    const resolve = value => value && value.replace(/\$\{([^}]+)\}/g, (placeholder, name) => properties[name] ?? placeholder);
+    const dependencies = [];
+    const parent = (xml.match(/<parent>([\s\S]*?)<\/parent>/) || [])[1];
+
+    if (parent) {
+      dependencies.push({
+        ecosystem: 'maven',
+        name: `${tag(parent, 'groupId')}:${tag(parent, 'artifactId')}`,
+        version: tag(parent, 'version'),
+        scope: 'parent'
+      });
+    }
+
+    for (const [, block] of xml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      dependencies.push({
+        ecosystem: 'maven',
+        name: `${tag(block, 'groupId')}:${tag(block, 'artifactId')}`,
+        version: resolve(tag(block, 'version')),
+        scope: tag(block, 'scope') || 'runtime'
+      });
+    }
+
+    const java = properties['java.version'] || properties['maven.compiler.release'] || properties['maven.compiler.source'];
+    return { dependencies, runtimes: java ? { java } : {} };
+  }
+
+  /**
+   * build.gradle / build.gradle.kts: "group:artifact:version" dependency notations,
+   * plugins with versions, and the Java version from the toolchain or source compatibility
+   */
+  parseGradle(content) {
+    const dependencies = [];
+    const notation = /\b(implementation|api|compileOnly|runtimeOnly|annotationProcessor|testImplementation|testRuntimeOnly)\s*\(?\s*["']([^:"'\s]+):([^:"'\s]+)(?::([^"'\s]+))?["']/g;
+
+    for (const [, configuration, group, artifact, version] of content.matchAll(notation)) {
+      dependencies.push({
+        ecosystem: 'maven',
+        name: `${group}:${artifact}`,
+        version,
+        scope: configuration.startsWith('test') ? 'dev' : 'runtime'
+      });
+    }
+
+    for (const [, plugin, version] of content.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']\s*\)?\s*version\s*\(?\s*["']([^"']+)["']/g)) {
+      dependencies.push({ ecosystem: 'maven', name: `${plugin}:gradle-plugin`, version, scope: 'plugin' });
+    }
+
+    const java = (content.match(/JavaLanguageVersion\.of\(\s*(\d+)\s*\)/) ||
+      content.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?["']?([\d._]+)["']?/) || [])[1];
+    return { dependencies, runtimes: java ? { java: java.replace(/_/g, '.') } : {} };
+  }
+
+  /**
+   * go.mod: required modules (indirect ones marked as such) and the go directive
+   */
+  parseGoMod(content) {
+    const dependencies = [];
+    const runtimes = {};
+    let inRequireBlock = false;
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      const indirect = /\/\/\s*indirect/.test(line);
+      const statement = line.replace(/\/\/.*$/, '').trim();
+
+      if (/^go\s+\S+$/.test(statement)) {
+        runtimes.go = statement.split(/\s+/)[1];
+      } else if (statement === 'require (') {
+        inRequireBlock = true;
+      } else if (inRequireBlock && statement === ')') {
+        inRequireBlock = false;
+      } else {
+        const requirement = inRequireBlock ? statement : (statement.match(/^require\s+(.+)$/) || [])[1];
+        const [name, version] = (requirement || '').split(/\s+/);
+
+        if (name && version) {
+          dependencies.push({ ecosystem: 'go', name, version, scope: indirect ? 'indirect' : 'runtime' });
+        }
+      }
+    });
+
+    return { dependencies, runtimes };
+  }
+
+  /**
+   * Cargo.toml: dependency tables and the package rust-version
+   */
+  parseCargo(content) {
+    const tables = this.parseToml(content);
+    const sections = { dependencies: 'runtime', 'dev-dependencies': 'dev', 'build-dependencies': 'build' };
+    const dependencies = [];
+
+    Object.entries(sections).forEach(([section, scope]) => {
+      Object.entries(tables[section] || {}).forEach(([name, spec]) => {
+        dependencies.push({ ecosystem: 'cargo', name, version: typeof spec === 'object' ? spec.version : spec, scope });
+      });
+    });
+
+    const rust = tables.package?.['rust-version'];
+    return { dependencies, runtimes: rust ? { rust } : {} };
+  }
+
+  /**
+   * Gemfile: gem declarations (first version constraint) and the ruby directive
+   */
+  parseGemfile(content) {
+    const dependencies = [];
+    const runtimes = {};
+
+    content.split('\n').forEach(line => {
+      const gem = line.match(/^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/);
+      const ruby = line.match(/^\s*ruby\s+["']([^"']+)["']/);
+
+      if (gem) {
+        dependencies.push({ ecosystem: 'rubygems', name: gem[1], version: gem[2], scope: 'runtime' });
+      } else if (ruby) {
+        runtimes.ruby = ruby[1];
+      }
+    });
+
+    return { dependencies, runtimes };
+  }
+
+  /**
+   * composer.json: require and require-dev, with the PHP version from "php"
+   */
+  parseComposer(content) {
+    const data = JSON.parse(content);
+    const dependencies = [];
+    const runtimes = {};
+
+    Object.entries({ require: 'runtime', 'require-dev': 'dev' }).forEach(([section, scope]) => {
+      Object.entries(data[section] || {}).forEach(([name, version]) => {
+        if (name === 'php') {
+          runtimes.php = version;
+        } else if (!name.startsWith('ext-')) {
+          dependencies.push({ ecosystem: 'composer', name, version, scope });
+        }
+      });
+    });
+
+    return { dependencies, runtimes };
+  }
+
+  /**
+   * .nvmrc, .python-version, runtime.txt ("python-3.11.4") and similar single-version files
+   */
+  parseVersionFile(content, fileName) {
+    const version = content.split('\n')[0].trim().replace(/^python-/, '');
+    return version ? { runtimes: { [VERSION_FILES[fileName]]: version } } : {};
+  }
+
+  /**
+   * asdf .tool-versions: "<tool> <version>" per line
+   */
+  parseToolVersions(content) {
+    const runtimes = {};
+
+    content.split('\n').forEach(line => {
+      const [tool, version] = line.replace(/#.*$/, '').trim().split(/\s+/);
+      if (TOOL_VERSIONS[tool] && version) {
+        runtimes[TOOL_VERSIONS[tool]] = version;
+      }
+    });
+
+    return { runtimes };
+  }
+
+  /**
+   * package-lock.json (lockfile v1, v2 and v3): installed version of each top-level package
+   */
+  parsePackageLock(content) {
+    const data = JSON.parse(content);
+    const versions = {};
+
+    Object.entries(data.packages || {}).forEach(([packagePath, info]) => {
+      const match = packagePath.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+      if (match && info.version) {
+        versions[match[1]] = info.version;
+      }
+    });
+    Object.entries(data.dependencies || {}).forEach(([name, info]) => {
+      versions[name] = versions[name] || info.version;
+    });
+
+    return versions;
+  }
+
+  /**
+   * yarn.lock (classic and Berry): version of each package entry
+   */
+  parseYarnLock(content) {
+    const versions = {};
+    let names = [];
+
+    content.split('\n').forEach(line => {
+      if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+        // Entries are "name@range" specs; Berry's __metadata header is not a package
+        names = line.slice(0, -1).split(',').map(spec => {
+          const unquoted = spec.trim().replace(/^"|"$/g, '');
+          const separator = unquoted.indexOf('@', 1);
+          return separator === -1 ? null : unquoted.slice(0, separator);
+        }).filter(Boolean);
+      } else {
+        const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+        if (version) {
+          names.forEach(name => {
+            versions[name] = versions[name] || version[1];
+          });
+        }
+      }
+    });
+
+    return versions;
+  }
+
+  /**
+   * poetry.lock and Cargo.lock: [[package]] tables with name and version
+   */
+  parseTomlLock(content) {
+    const versions = {};
+
+    content.split(/^\[\[package\]\]\s*$/m).slice(1).forEach(block => {
+      const name = (block.match(/^name\s*=\s*"([^"]+)"/m) || [])[1];
+      const version = (block.match(/^version\s*=\s*"([^"]+)"/m) || [])[1];
+      if (name && version) {
+        versions[name] = versions[name] || version;
+      }
+    });
+
+    return versions;
+  }
+
+  /**
+   * Gemfile.lock: gem versions listed under "specs:"
+   */
+  parseGemfileLock(content) {
+    const versions = {};
+
+    for (const [, name, version] of content.matchAll(/^ {4}([^\s(]+) \(([^)]+)\)$/gm)) {
+      versions[name] = version;
+    }
+
+    return versions;
+  }
+
+  /**
+   * composer.lock: installed packages and dev packages
+   */
+  parseComposerLock(content) {
+    const data = JSON.parse(content);
+    const versions = {};
+
+    [...(data.packages || []), ...(data['packages-dev'] || [])].forEach(info => {
+      versions[info.name] = info.version.replace(/^v/, '');
+    });
+
+    return versions;
+  }
+
+  /**
+   * Minimal TOML reader for dependency tables: [table] headers, key = value pairs with
+   * strings, string arrays (single or multi-line) and inline tables of strings
+   */
+  parseToml(content) {
+    const tables = {};
+    let current = tables[''] = {};
+    let pending = null;
+
+    const parseValue = value => {
+      const text = value.trim();
+
+      if (text.startsWith('[')) {
+        return [...text.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(match => match[1] ?? match[2]);
+      }
+      if (text.startsWith('{')) {
+        const table = {};
+        for (const [, key, double, single] of text.matchAll(/([\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|[^,}]*)/g)) {
+          table[key] = double ?? single ?? null;
+        }
+        return table;
+      }
+      return (text.match(/^"((?:[^"\\]|\\.)*)"|^'([^']*)'/) || []).slice(1).find(part => part !== undefined) ?? text;
+    };
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/\s+#.*$/, '').trim();
+
+      if (pending) {
+        pending.value += ` ${line}`;
+        if (line.includes(']')) {
+          pending.table[pending.key] = parseValue(pending.value);
+          pending = null;
+        }
+        return;
+      }
+
+      const header = line.match(/^\[([^[\]]+)\]$/);
+      if (header) {
+        const name = header[1].trim().replace(/["']/g, '');
+        current = tables[name] = tables[name] || {};
+        return;
+      }
+
+      const pair = line.match(/^("?[\w.-]+"?)\s*=\s*(.*)$/);
+      if (pair) {
+        const key = pair[1].replace(/"/g, '');
+        if (pair[2].startsWith('[') && !pair[2].includes(']')) {
+          pending = { table: current, key, value: pair[2] };
+        } else {
+          current[key] = parseValue(pair[2]);
+        }
+      }
+    });
+
+    return tables;
+  }
+
+  /**
+   * PEP 503 normalized Python package name
+   */
+  normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+
+  /**
+   * Frameworks named by a repository's dependencies (FRAMEWORKS), in dependency order
+   */
+  detectFrameworks(dependencies) {
+    const frameworks = dependencies
+      .filter(dependency => dependency.scope !== 'indirect')
+      .map(dependency => this.getFramework(dependency))
+      .filter(Boolean);
+    return [...new Set(frameworks)];
+  }
+
+  /**
+   * Framework a dependency stands for (null when it is an ordinary library)
+   */
+  getFramework({ ecosystem, name }) {
+    return FRAMEWORKS[`${ecosystem}:${name}`] ||
+      (ecosystem === 'maven' ? FRAMEWORKS[`maven:${name.split(':')[0]}`] : null) ||
+      null;
+  }
+
+  /**
+   * Major version of a version or range ("^18.2.0" -> "18", "~0.159.0" -> "0.159");
+   * null for tags, URLs and unconstrained requirements
+   */
+  getMajorVersion(version) {
+    if (!version || /^(https?|git|file|link|workspace|npm):/.test(version)) {
+      return null;
+    }
+
+    const match = version.match(/(\d+)(?:\.(\d+))?/);
+    if (!match) {
+      return null;
+    }
+
+    return match[1] === '0' && match[2] !== undefined ? `0.${match[2]}` : match[1];
+  }
+
+  /**
+   * Apply the "dependencies" visibility policy: visible repositories keep (or alias)
+   * their name, private ones are dropped or merged into one anonymous entry per owner
+   */
+  redact(entries) {
+    const redacted = [];
+
+    Object.keys(this.organizations).forEach(owner => {
+      const repos = entries
+        .filter(entry => entry.owner === owner)
+        .map(entry => ({ owner, name: entry.name, private: entry.private, entry }));
+      const { visible, aggregated } = this.visibility.apply('dependencies', repos);
+
+      visible.forEach(repo => {
+        redacted.push({ ...repo.entry, name: repo.display_name, full_name: `${owner}/${repo.display_name}` });
+      });
+
+      const scanned = aggregated.filter(repo => !repo.entry.error);
+      if (scanned.length > 0) {
+        const label = this.visibility.getAggregateLabel(owner, scanned.length);
+        const runtimes = {};
+        scanned.forEach(({ entry }) => {
+          Object.entries(entry.runtimes).forEach(([runtime, versions]) => {
+            runtimes[runtime] = [...new Set([...(runtimes[runtime] || []), ...versions])];
+          });
+        });
+
+        redacted.push({
+          full_name: `${owner}/${label}`,
+          owner,
+          name: label,
+          private: true,
+          aggregated: true,
+          repository_count: scanned.length,
+          manifests: [],
+          dependencies: scanned.flatMap(({ entry }) => entry.dependencies.map(({ manifest, ...dependency }) => dependency)),
+          runtimes,
+          frameworks: [...new Set(scanned.flatMap(({ entry }) => entry.frameworks))],
+          tree_truncated: scanned.some(({ entry }) => entry.tree_truncated),
+          error: null
+        });
+      }
+    });
+
+    return redacted;
+  }
+
+  /**
+   * Cross-repository graph: repositories, packages with the version each repository
+   * uses (divergent when majors differ), framework users and runtime versions
+   */
+  buildGraph(entries) {
+    const repositories = {};
+    const packages = {};
+    const frameworks = {};
+    const runtimes = {};
+
+    entries.forEach(entry => {
+      repositories[entry.full_name] = entry;
+
+      entry.dependencies.forEach(dependency => {
+        const key = `${dependency.ecosystem}:${dependency.name}`;
+        const version = dependency.resolved || dependency.version;
+        const node = packages[key] = packages[key] || {
+          ecosystem: dependency.ecosystem,
+          name: dependency.name,
+          framework: this.getFramework(dependency),
+          repositories: {},
+          majors: [],
+          divergent: false
+        };
+        const versions = node.repositories[entry.full_name] = node.repositories[entry.full_name] || [];
+
+        if (version && !versions.includes(version)) {
+          versions.push(version);
+        }
+      });
+
+      entry.frameworks.forEach(framework => {
+        (frameworks[framework] = frameworks[framework] || []).push(entry.full_name);
+      });
+
+      Object.entries(entry.runtimes).forEach(([runtime, versions]) => {
+        const node = runtimes[runtime] = runtimes[runtime] || { name: RUNTIMES[runtime], versions: {} };
+        versions.forEach(version => {
+          (node.versions[version] = node.versions[version] || []).push(entry.full_name);
+        });
+      });
+    });
+
+    Object.values(packages).forEach(node => {
+      const majors = Object.values(node.repositories).flat().map(version => this.getMajorVersion(version)).filter(Boolean);
+      node.majors = [...new Set(majors)].sort((a, b) => parseFloat(b) - parseFloat(a));
+      node.divergent = node.majors.length > 1;
+    });
+
+    const scanned = entries.filter(entry => !entry.error);
+    return {
+      generated_at: new Date().toISOString(),
+      summary: {
+        repositories: entries.reduce((sum, entry) => sum + (entry.repository_count || 1), 0),
+        scanned_repositories: scanned.reduce((sum, entry) => sum + (entry.repository_count || 1), 0),
+        packages: Object.keys(packages).length,
+        divergent_packages: Object.values(packages).filter(node => node.divergent).length,
+        frameworks: Object.keys(frameworks).length,
+        scan_errors: entries.length - scanned.length
+      },
+      repositories,
+      packages,
+      frameworks,
+      runtimes
+    };
+  }
+
+  /**
+   * Write the (redacted) graph
+   */
+  save(graph) {
+    const { generated_at: generatedAt, ...rest } = graph;
+    const content = JSON.stringify({ generated_at: generatedAt, visibility_mode: this.visibility.getMode('dependencies'), ...rest }, null, 2);
+    this.visibility.assertNoLeaks('dependencies', content, this.graphPath);
+    fs.mkdirSync(path.dirname(this.graphPath), { recursive: true });
+    fs.writeFileSync(this.graphPath, content);
+    console.log(`  💾 Dependency graph saved: ${this.graphPath}`);
+  }
+
+  /**
+   * Write docs/DEPENDENCY_REPORT.md from the (redacted) graph
+   */
+  generateReport(graph) {
+    const { summary } = graph;
+    const packages = Object.values(graph.packages);
+    const usage = node => Object.keys(node.repositories).length;
+    const versionsBy = node => Object.entries(node.repositories)
+      .map(([repository, versions]) => `${repository} (${versions.join(', ') || 'any'})`)
+      .join(', ');
+
+    const frameworkRows = Object.entries(graph.frameworks)
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([framework, repositories]) => `| ${framework} | ${repositories.length} | ${repositories.join(', ')} |`);
+    const runtimeRows = Object.values(graph.runtimes).flatMap(runtime =>
+      Object.entries(runtime.versions).map(([version, repositories]) => `| ${runtime.name} | \`${version}\` | ${repositories.join(', ')} |`));
+    const divergent = packages
+      .filter(node => node.divergent)
+      .sort((a, b) => usage(b) - usage(a))
+      .map(node => `- **${node.name}** (${node.ecosystem}, majors ${node.majors.join(' / ')}): ${versionsBy(node)}`);
+    const topPackages = packages
+      .sort((a, b) => usage(b) - usage(a) || a.name.localeCompare(b.name))
+      .slice(0, 20)
+      .map(node => `| ${node.name} | ${node.ecosystem} | ${usage(node)} | ${node.majors.join(', ') || '-'} |`);
+    const problems = Object.values(graph.repositories).flatMap(entry => [
+      ...(entry.error ? [`- ⚠️ ${entry.full_name}: ${entry.error}`] : []),
+      ...(entry.tree_truncated ? [`- ⚠️ ${entry.full_name}: file tree truncated, some manifests may be missing`] : [])
+    ]);
+
+    const report = `# 🧩 Dependency Report
+
+*Generated: ${new Date(graph.generated_at).toLocaleString()}*
+
+## 📊 Summary
+
+- **Repositories scanned**: ${summary.scanned_repositories} of ${summary.repositories}
+- **Packages**: ${summary.packages}
+- **Frameworks**: ${summary.frameworks}
+- **Divergent major versions**: ${summary.divergent_packages} packages
+
+## 🏗️ Frameworks
+
+${frameworkRows.length > 0 ? `| Framework | Repositories | Used by |
+|-----------|--------------|---------|
+${frameworkRows.join('\n')}` : '_No frameworks detected._'}
+
+## ⚙️ Runtimes
+
+${runtimeRows.length > 0 ? `| Runtime | Version | Repositories |
+|---------|---------|--------------|
+${runtimeRows.join('\n')}` : '_No runtime versions declared._'}
+
+## 🔀 Divergent Versions
+
+${divergent.length > 0 ? divergent.join('\n') : '_Every shared package is on the same major version._'}
+
+## 📦 Most Used Packages
+
+${topPackages.length > 0 ? `| Package | Ecosystem | Repositories | Majors |
+|---------|-----------|--------------|--------|
+${topPackages.join('\n')}` : '_No dependencies found._'}
+
+## 🩺 Scan Status
+
+${problems.length > 0 ? problems.join('\n') : '- ✅ All repositories scanned'}
+
+---
+
+*Generated by Dependency Scanner*
+`;
+
+    this.visibility.assertNoLeaks('dependencies', report, this.reportPath);
+    fs.writeFileSync(this.reportPath, report);
+    console.log(`  📋 Dependency report generated: ${this.reportPath}`);
+  }
+
+  /**
+   * Runtimes and frameworks of a repository in the last scan, for README "Technologies"
+   * (null when the repository was not scanned or its scan failed)
+   */
+  getTechnologies(owner, name) {
+    const entry = this.graph?.repositories[`${owner}/${name}`];
+
+    if (!entry || entry.error) {
+      return null;
+    }
+
+    return [...Object.keys(entry.runtimes).map(runtime => RUNTIMES[runtime]), ...entry.frameworks];
+  }
+
+  /**
+   * Load the graph written by the last scan
+   */
+  load() {
+    if (!fs.existsSync(this.graphPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.graphPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid dependency graph ${this.graphPath}: ${error.message}`);
+    }
+  }
+}
+
+DependencyScanner.FRAMEWORKS = FRAMEWORKS;
+DependencyScanner.RUNTIMES = RUNTIMES;
+
+// CLI execution
+if (require.main === module) {
+  const scanner = new DependencyScanner();
+  console.log(`🔑 Using ${scanner.client.describeMode()}`);
+
+  scanner.scanAll()
+    .then(graph => {
+      console.log('\n🎉 Dependency Scan: COMPLETE');
+      Object.entries(graph.frameworks).forEach(([framework, repositories]) => {
+        console.log(`  • ${framework}: ${repositories.length} repositories`);
+      });
+    })
+    .catch(error => {
+      console.error('\n❌ Dependency Scan failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = DependencyScanner;
@@ -0,0 +1,227 @@
+/**
+ * Discovery Change-Set
+ * Diffs two repository inventories and records what changed between discovery runs:
+ * added, removed, renamed, transferred, archived/unarchived and visibility changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHANGE_TYPES = [
+  'added',
+  'removed',
+  'renamed',
+  'transferred',
+  'archived',
+  'unarchived',
+  'visibility_changed'
+];
+
+class DiscoveryChangeSet {
+  constructor(changeSetPath = process.env.DISCOVERY_CHANGES) {
+    this.baseDir = path.dirname(__dirname);
+    this.changeSetPath = changeSetPath || path.join(this.baseDir, 'docs', 'discovery-changes.json');
+  }
+
+  /**
+   * Inventory of a pre-registry docs/ecosystem-config.json, shaped like a registry
+   * snapshot so the first discovery after upgrading still has something to compare
+   * with. The config only lists names: no node IDs and no visibility.
+   */
+  fromConfig(config) {
+    if (!config?.organizations) {
+      return null;
+    }
+
+    const repositories = {};
+    Object.entries(config.organizations).forEach(([owner, org]) => {
+      const active = new Set(org.active_repository_names || org.repositories || []);
+      (org.repositories || []).forEach(name => {
+        repositories[`${owner}/${name}`] = { owner, name, full_name: `${owner}/${name}`, archived: !active.has(name) };
+      });
+    });
+
+    return {
+      generated_at: config.last_discovery || null,
+      owners: Object.keys(config.organizations),
+      repositories
+    };
+  }
+
+  /**
+   * Compute the change-set between two registry snapshots.
+   * Repositories are matched by GraphQL/REST node ID, falling back to full name
+   * (always for previous entries without a node ID, e.g. seeded from the config).
+   * Owners listed in skipOwners (e.g. failed to scan) never report removals.
+   */
+  compute(previous, current, { skipOwners = [] } = {}) {
+    const changes = {};
+    CHANGE_TYPES.forEach(type => {
+      changes[type] = [];
+    });
+
+    const changeSet = {
+      generated_at: new Date().toISOString(),
+      previous_discovery: previous?.generated_at || null,
+      baseline: !previous,
+      summary: {},
+      changes
+    };
+
+    if (!previous) {
+      this.summarize(changeSet);
+      return changeSet;
+    }
+
+    const previousRepos = Object.values(previous.repositories || {});
+    const currentRepos = Object.values(current.repositories || {});
+    const previousByKey = new Map(previousRepos.map(repo => [this.getMatchKey(repo), repo]));
+    const matched = new Set();
+
+    currentRepos.forEach(repo => {
+      const before = previousByKey.get(this.getMatchKey(repo)) || previousByKey.get(repo.full_name);
+
+      if (!before) {
+        changes.added.push(this.describe(repo));
+        return;
+      }
+
+      matched.add(before);
+
+      if (before.owner !== repo.owner) {
+        changes.transferred.push({
+          node_id: repo.node_id || null,
+          from: before.full_name,
+          to: repo.full_name,
+          from_owner: before.owner,
+          to_owner: repo.owner
+        });
+      } else if (before.name !== repo.name) {
+        changes.renamed.push({
+          node_id: repo.node_id || null,
+          from: before.full_name,
+          to: repo.full_name
+        });
+      }
+
+      if (!before.archived && repo.archived) {
+        changes.archived.push(this.describe(repo));
+      } else if (before.archived && !repo.archived) {
+        changes.unarchived.push(this.describe(repo));
+      }
+
+      if (before.private !== undefined && !!before.private !== !!repo.private) {
+        changes.visibility_changed.push({
+          full_name: repo.full_name,
+          from: before.private ? 'private' : 'public',
+          to: repo.private ? 'private' : 'public'
+        });
+      }
+    });
+
+    previousRepos.forEach(repo => {
+      if (!matched.has(repo) && !skipOwners.includes(repo.owner)) {
+        changes.removed.push(this.describe(repo));
+      }
+    });
+
+    this.summarize(changeSet);
+    return changeSet;
+  }
+
+  /**
+   * Key used to match a repository across runs
+   */
+  getMatchKey(repo) {
+    return repo.node_id || repo.full_name;
+  }
+
+  /**
+   * Compact description of a repository for change entries
+   */
+  describe(repo) {
+    return {
+      full_name: repo.full_name,
+      owner: repo.owner,
+      name: repo.name,
+      node_id: repo.node_id || null,
+      private: !!repo.private
+    };
+  }
+
+  /**
+   * Fill in per-type counts and the overall total
+   */
+  summarize(changeSet) {
+    let total = 0;
+
+    CHANGE_TYPES.forEach(type => {
+      changeSet.summary[type] = changeSet.changes[type].length;
+      total += changeSet.changes[type].length;
+    });
+
+    changeSet.summary.total = total;
+    return changeSet.summary;
+  }
+
+  /**
+   * Check whether a change-set contains any change
+   */
+  hasChanges(changeSet) {
+    return !!changeSet && changeSet.summary.total > 0;
+  }
+
+  /**
+   * Human-readable one-line-per-change description
+   */
+  describeChanges(changeSet) {
+    if (!changeSet) {
+      return [];
+    }
+
+    const { changes } = changeSet;
+
+    return [
+      ...changes.added.map(repo => `🆕 Added ${repo.full_name}`),
+      ...changes.removed.map(repo => `🗑️ Removed ${repo.full_name}`),
+      ...changes.renamed.map(change => `✏️ Renamed ${change.from} → ${change.to}`),
+      ...changes.transferred.map(change => `🔀 Transferred ${change.from} → ${change.to}`),
+      ...changes.archived.map(repo => `📦 Archived ${repo.full_name}`),
+      ...changes.unarchived.map(repo => `📤 Unarchived ${repo.full_name}`),
+      ...changes.visibility_changed.map(change => `👁️ ${change.full_name} is now ${change.to} (was ${change.from})`)
+    ];
+  }
+
+  /**
+   * Save the latest change-set
+   */
+  save(changeSet) {
+    const changeSetDir = path.dirname(this.changeSetPath);
+    if (!fs.existsSync(changeSetDir)) {
+      fs.mkdirSync(changeSetDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.changeSetPath, JSON.stringify(changeSet, null, 2));
+    return this.changeSetPath;
+  }
+
+  /**
+   * Load the latest change-set written by discovery
+   */
+  load() {
+    if (!fs.existsSync(this.changeSetPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.changeSetPath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not read discovery change-set: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+DiscoveryChangeSet.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = DiscoveryChangeSet;
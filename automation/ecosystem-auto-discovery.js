@@ -1,37 +1,64 @@
 #!/usr/bin/env node
 
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+const DiscoveryChangeSet = require('./discovery-change-set');
+const GitHubClient = require('./github-client');
+const RepositoryProviders = require('./repository-providers');
+const RepositoryInventory = require('./repository-inventory');
+const RequestScheduler = require('./request-scheduler');
+
+// Health checks per repository: file tree, branch protection, pull requests, latest release
+const REQUESTS_PER_HEALTH_SCAN = 4;
 
 /**
  * Ecosystem Auto-Discovery System
- * Automatically discovers and integrates new repositories across all organizations
+ * Automatically discovers and integrates new repositories across all organizations,
+ * on GitHub and on any GitLab/Gitea providers declared in the manifest
  */
 class EcosystemAutoDiscovery {
   constructor() {
     this.baseDir = path.dirname(__dirname);
     this.configPath = path.join(this.baseDir, 'docs', 'ecosystem-config.json');
     
-    // Initialize GitHub API
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
+    // Initialize GitHub API (live, recording or replaying fixtures)
+    this.client = new GitHubClient();
+    this.github = this.client.octokit;
     
-    // Organization configuration
-    this.organizations = [
-      'DevEcosystem',
-      'DevPersonalHub', 
-      'DevAcademicHub',
-      'DevBusinessHub'
-    ];
+    // Organization and user account configuration
+    this.manifest = new EcosystemManifest();
+    this.organizations = this.manifest.getOrganizations();
+    this.users = this.manifest.getUsers();
+    this.registry = new RepositoryRegistry();
+    this.changeSetStore = new DiscoveryChangeSet();
+    this.inventory = new RepositoryInventory();
     
     this.discoveredRepos = {};
-    this.isRealMode = !!process.env.GITHUB_TOKEN;
+    this.excludedRepos = [];
+    this.failedOwners = [];
+    this.changeSet = null;
+    this.previousInventory = null;
+    
+    // Discovery API: 'rest' (paginated listings) or 'graphql' (bulk metadata)
+    this.apiMode = process.argv.includes('--graphql') ? 'graphql' :
+      (process.env.DISCOVERY_API || 'rest').toLowerCase();
+    
+    // Opt-in deep scan: per-repository health inventory (extra API calls per repository)
+    this.deepScan = process.argv.includes('--deep') || process.env.DISCOVERY_DEEP_SCAN === 'true';
+    
+    // Provider adapters: GitHub (sharing this client) plus GitLab/Gitea from the manifest
+    this.providers = new RepositoryProviders(this.manifest, { client: this.client, apiMode: this.apiMode });
+    this.isRealMode = this.providers.getAll().some(provider => provider.isAvailable());
+    
+    console.log(this.client.isAvailable() ? 
+      `🔗 GitHub API Mode: ${this.client.describeMode()} (${this.apiMode.toUpperCase()})` : 
+      '⚠️ No GitHub token and no recorded fixtures available');
     
-    console.log(this.isRealMode ? 
-      '🔗 GitHub API Mode: Real-time discovery enabled' : 
-      '🧪 Mock Mode: Using development data');
+    this.providers.getAll().slice(1).forEach(provider => {
+      console.log(`🔌 ${provider.name}: ${provider.describeMode()}`);
+    });
   }
 
   /**
@@ -42,12 +69,18 @@ class EcosystemAutoDiscovery {
       console.log('🚀 Starting Ecosystem Auto-Discovery...');
       console.log('=====================================');
       
-      if (this.isRealMode) {
-        await this.discoverAllRepositories();
-      } else {
-        await this.generateMockDiscovery();
+      if (!this.isRealMode) {
+        throw new Error('Set GITHUB_TOKEN, or record fixtures with GITHUB_FIXTURE_MODE=record');
+      }
+      
+      await this.discoverAllRepositories();
+      
+      if (this.deepScan) {
+        await this.scanRepositoryHealth();
       }
       
+      // Read before updateSystemConfiguration rewrites the config it may be seeded from
+      this.previousInventory = this.loadPreviousInventory();
       await this.updateSystemConfiguration();
       await this.integrateDiscoveredRepositories();
       
@@ -61,263 +94,87 @@ class EcosystemAutoDiscovery {
   }
 
   /**
-   * Discover repositories across all organizations using GitHub API
+   * Discover repositories across all organizations and user accounts of every provider
    */
   async discoverAllRepositories() {
     console.log('🔍 Discovering repositories across organizations...');
     
-    for (const orgName of this.organizations) {
-      console.log(`🏢 Scanning ${orgName}...`);
+    for (const owner of this.providers.getOwners()) {
+      const host = owner.provider.type === 'github' ? '' : ` on ${owner.provider.name}`;
+      console.log(`${owner.type === 'user' ? '👤' : '🏢'} Scanning ${owner.login}${host}...`);
+      
+      if (!owner.provider.isAvailable()) {
+        console.warn(`  ⚠️ Skipped ${owner.login}: ${owner.provider.name} API not available`);
+        this.discoveredRepos[owner.login] = [];
+        this.failedOwners.push(owner.login);
+        continue;
+      }
       
       try {
-        const { data: repos } = await this.github.repos.listForOrg({
-          org: orgName,
-          type: 'all',
-          sort: 'updated',
-          per_page: 100
-        });
+        const repos = await owner.provider.listRepositories(owner);
         
-        this.discoveredRepos[orgName] = repos.map(repo => ({
-          name: repo.name,
-          full_name: repo.full_name,
-          private: repo.private,
-          language: repo.language,
-          description: repo.description,
-          updated_at: repo.updated_at,
-          size: repo.size,
-          stargazers_count: repo.stargazers_count,
-          forks_count: repo.forks_count,
-          topics: repo.topics || [],
-          archived: repo.archived,
-          disabled: repo.disabled
-        }));
+        this.discoveredRepos[owner.login] = this.applyFilters(owner.login, repos);
         
-        console.log(`  ✓ Found ${repos.length} repositories in ${orgName}`);
+        console.log(`  ✓ Found ${repos.length} repositories in ${owner.login} (${this.discoveredRepos[owner.login].length} included)`);
         
       } catch (error) {
-        console.warn(`  ⚠️ Failed to access ${orgName}: ${error.message}`);
-        this.discoveredRepos[orgName] = [];
+        if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+          throw error;
+        }
+        
+        console.warn(`  ⚠️ Failed to access ${owner.login}: ${error.message}`);
+        this.discoveredRepos[owner.login] = [];
+        this.failedOwners.push(owner.login);
       }
     }
   }
 
   /**
-   * Generate mock discovery data for development
+   * Deep-scan every discovered repository and save the health inventory
    */
-  async generateMockDiscovery() {
-    console.log('🧪 Generating mock discovery data...');
+  async scanRepositoryHealth() {
+    console.log('🩺 Scanning repository health...');
     
-    const mockData = {
-      'DevBusinessHub': [
-        {
-          name: 'business-portfolio',
-          full_name: 'DevBusinessHub/business-portfolio',
-          private: true,
-          language: 'JavaScript',
-          description: 'Professional business portfolio and showcase',
-          updated_at: new Date().toISOString(),
-          size: 4470,
-          stargazers_count: 15,
-          forks_count: 11,
-          topics: ['portfolio', 'business'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'business-management',
-          full_name: 'DevBusinessHub/business-management',
-          private: true,
-          language: 'TypeScript',
-          description: 'Business operations and client management system',
-          updated_at: new Date().toISOString(),
-          size: 3161,
-          stargazers_count: 82,
-          forks_count: 2,
-          topics: ['management', 'automation'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'client-language-platform',
-          full_name: 'DevBusinessHub/client-language-platform',
-          private: true,
-          language: 'JavaScript',
-          description: 'Language learning platform - Client project',
-          updated_at: new Date().toISOString(),
-          size: 6015,
-          stargazers_count: 62,
-          forks_count: 3,
-          topics: ['education', 'language-learning'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'client-investigation',
-          full_name: 'DevBusinessHub/client-investigation',
-          private: true,
-          language: 'TypeScript',
-          description: 'Investigation and research project',
-          updated_at: new Date().toISOString(),
-          size: 3500,
-          stargazers_count: 0,
-          forks_count: 0,
-          topics: ['research', 'investigation'],
-          archived: false,
-          disabled: false
-        }
-      ],
-      'DevPersonalHub': [
-        {
-          name: 'external-learning-platforms',
-          full_name: 'DevPersonalHub/external-learning-platforms',
-          private: false,
-          language: 'JavaScript',
-          description: 'Comprehensive external learning journey',
-          updated_at: new Date().toISOString(),
-          size: 4231,
-          stargazers_count: 61,
-          forks_count: 10,
-          topics: ['learning', 'education'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'personal-innovation-lab',
-          full_name: 'DevPersonalHub/personal-innovation-lab',
-          private: false,
-          language: 'TypeScript',
-          description: 'Personal innovation and experimentation space',
-          updated_at: new Date().toISOString(),
-          size: 4839,
-          stargazers_count: 45,
-          forks_count: 3,
-          topics: ['innovation', 'experiments'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'portfolio-website',
-          full_name: 'DevPersonalHub/portfolio-website',
-          private: false,
-          language: 'TypeScript',
-          description: 'Personal portfolio and professional website',
-          updated_at: new Date().toISOString(),
-          size: 2814,
-          stargazers_count: 52,
-          forks_count: 5,
-          topics: ['portfolio', 'website'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'technical-showcase',
-          full_name: 'DevPersonalHub/technical-showcase',
-          private: false,
-          language: 'JavaScript',
-          description: 'Technical experiments and showcase projects',
-          updated_at: new Date().toISOString(),
-          size: 2380,
-          stargazers_count: 85,
-          forks_count: 5,
-          topics: ['showcase', 'experiments'],
-          archived: false,
-          disabled: false
-        }
-      ],
-      'DevAcademicHub': [
-        {
-          name: 'computer-science-degree',
-          full_name: 'DevAcademicHub/computer-science-degree',
-          private: false,
-          language: 'Python',
-          description: 'University of the People Computer Science coursework',
-          updated_at: new Date().toISOString(),
-          size: 6572,
-          stargazers_count: 102,
-          forks_count: 17,
-          topics: ['education', 'computer-science'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'university-coursework',
-          full_name: 'DevAcademicHub/university-coursework',
-          private: false,
-          language: 'Python',
-          description: 'Academic coursework and assignments',
-          updated_at: new Date().toISOString(),
-          size: 4597,
-          stargazers_count: 21,
-          forks_count: 12,
-          topics: ['academic', 'coursework'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'academic-portfolio',
-          full_name: 'DevAcademicHub/academic-portfolio',
-          private: false,
-          language: 'Python',
-          description: 'Academic achievements and research portfolio',
-          updated_at: new Date().toISOString(),
-          size: 2814,
-          stargazers_count: 76,
-          forks_count: 13,
-          topics: ['academic', 'portfolio'],
-          archived: false,
-          disabled: false
-        }
-      ],
-      'DevEcosystem': [
-        {
-          name: 'ecosystem-central-command',
-          full_name: 'DevEcosystem/ecosystem-central-command',
-          private: false,
-          language: 'JavaScript',
-          description: 'Central command center for development ecosystem',
-          updated_at: new Date().toISOString(),
-          size: 5925,
-          stargazers_count: 86,
-          forks_count: 6,
-          topics: ['automation', 'ecosystem'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'development-portfolio',
-          full_name: 'DevEcosystem/development-portfolio',
-          private: false,
-          language: 'TypeScript',
-          description: 'Comprehensive development portfolio showcase',
-          updated_at: new Date().toISOString(),
-          size: 3597,
-          stargazers_count: 79,
-          forks_count: 18,
-          topics: ['portfolio', 'development'],
-          archived: false,
-          disabled: false
-        },
-        {
-          name: 'unified-development-hub',
-          full_name: 'DevEcosystem/unified-development-hub',
-          private: false,
-          language: 'JavaScript',
-          description: 'Unified hub for development resources and tools',
-          updated_at: new Date().toISOString(),
-          size: 2814,
-          stargazers_count: 101,
-          forks_count: 11,
-          topics: ['hub', 'development'],
-          archived: false,
-          disabled: false
+    const entries = [];
+    const githubRepos = Object.values(this.discoveredRepos).flat()
+      .filter(repo => !repo.provider || repo.provider === 'github');
+    await this.client.checkRateBudget(githubRepos.length * REQUESTS_PER_HEALTH_SCAN, 'Health scan');
+    
+    for (const repos of Object.values(this.discoveredRepos)) {
+      for (const repo of repos) {
+        if (repo.provider && repo.provider !== 'github') {
+          console.log(`  ⏭️ ${repo.full_name}: health scan supports GitHub repositories only (hosted on ${repo.provider})`);
+          continue;
         }
-      ]
-    };
-
-    this.discoveredRepos = mockData;
+        
+        const entry = await this.inventory.scanRepository(this.github, repo);
+        entries.push(entry);
+        
+        const failedChecks = Object.keys(entry.errors);
+        console.log(`  ${failedChecks.length > 0 ? '⚠️' : '✓'} ${repo.full_name}: README ${entry.files.readme ? '✓' : '✗'}, ` +
+          `${entry.workflows.length} workflows, protection ${entry.branch_protection ? '✓' : '✗'}` +
+          `${failedChecks.length > 0 ? ` (failed: ${failedChecks.join(', ')})` : ''}`);
+      }
+    }
     
-    Object.entries(mockData).forEach(([orgName, repos]) => {
-      console.log(`  ✓ Mock generated: ${repos.length} repositories in ${orgName}`);
+    this.inventory.save(entries, { discovery_mode: this.client.mode });
+    console.log(`  ✓ Repository inventory saved to ${this.inventory.inventoryPath}`);
+  }
+
+  /**
+   * Drop repositories rejected by the manifest filters, recording each with its reason
+   */
+  applyFilters(owner, repos) {
+    return repos.filter(repo => {
+      const reason = this.manifest.getExclusionReason(repo);
+      
+      if (reason) {
+        this.excludedRepos.push({ owner, full_name: repo.full_name, reason });
+        console.log(`  ⏭️ Excluded ${repo.full_name}: ${reason}`);
+        return false;
+      }
+      
+      return true;
     });
   }
 
@@ -329,7 +186,7 @@ class EcosystemAutoDiscovery {
     
     const config = {
       last_discovery: new Date().toISOString(),
-      discovery_mode: this.isRealMode ? 'real' : 'mock',
+      discovery_mode: this.client.mode,
       organizations: {},
       totals: {
         total_organizations: 0,
@@ -399,8 +256,8 @@ class EcosystemAutoDiscovery {
   async integrateDiscoveredRepositories() {
     console.log('🔗 Integrating discovered repositories...');
     
-    // Update GitHub Stats Collector
-    await this.updateGitHubStatsCollector();
+    // Update repository registry (read by GitHub Stats Collector at runtime)
+    await this.updateRepositoryRegistry();
     
     // Update Universal README Manager  
     await this.updateUniversalReadmeManager();
@@ -409,37 +266,53 @@ class EcosystemAutoDiscovery {
   }
 
   /**
-   * Update GitHub Stats Collector with discovered repositories
+   * Inventory to compare the discovery with: the repository registry, or the
+   * ecosystem-config.json of an install that predates it
    */
-  async updateGitHubStatsCollector() {
-    const statsCollectorPath = path.join(this.baseDir, 'automation', 'github-stats-collector.js');
-    
-    if (!fs.existsSync(statsCollectorPath)) {
-      console.warn('  ⚠️ GitHub Stats Collector not found, skipping update');
-      return;
+  loadPreviousInventory() {
+    const previous = this.registry.load();
+    if (previous || !fs.existsSync(this.configPath)) {
+      return previous;
+    }
+
+    try {
+      const seeded = this.changeSetStore.fromConfig(JSON.parse(fs.readFileSync(this.configPath, 'utf8')));
+      if (seeded) {
+        console.log(`  📋 No repository registry yet: comparing with the inventory in ${this.configPath}`);
+      }
+      return seeded;
+    } catch (error) {
+      console.log(`  ⚠️ Could not read ${this.configPath}: ${error.message}`);
+      return null;
     }
+  }
 
-    const statsContent = fs.readFileSync(statsCollectorPath, 'utf8');
+  /**
+   * Write discovered repositories to the repository registry data file and
+   * record what changed since the previous inventory
+   */
+  async updateRepositoryRegistry() {
+    const previous = this.previousInventory;
+    const current = this.registry.save(this.discoveredRepos, {
+      discovery_mode: this.client.mode,
+      excluded: this.excludedRepos
+    });
     
-    // Extract organization configuration
-    const orgConfig = {};
-    Object.entries(this.discoveredRepos).forEach(([orgName, repos]) => {
-      orgConfig[orgName] = repos
-        .filter(repo => !repo.archived && !repo.disabled)
-        .map(repo => repo.name);
+    console.log(`  ✓ Repository registry saved to ${this.registry.registryPath}`);
+    
+    this.changeSet = this.changeSetStore.compute(previous, current, {
+      skipOwners: this.failedOwners
     });
-
-    // Generate new configuration string
-    const newConfig = `    this.organizations = ${JSON.stringify(orgConfig, null, 6).replace(/^/gm, '    ')};`;
+    this.changeSetStore.save(this.changeSet);
     
-    // Replace existing configuration
-    const updatedContent = statsContent.replace(
-      /this\.organizations\s*=\s*{[\s\S]*?};/,
-      newConfig
-    );
-
-    fs.writeFileSync(statsCollectorPath, updatedContent);
-    console.log('  ✓ GitHub Stats Collector updated');
+    if (this.changeSet.baseline) {
+      console.log('  ✓ Baseline inventory recorded (no previous discovery to compare)');
+    } else {
+      console.log(`  ✓ Change-set: ${this.changeSet.summary.total} changes since ${this.changeSet.previous_discovery}`);
+      this.changeSetStore.describeChanges(this.changeSet).forEach(line => {
+        console.log(`    ${line}`);
+      });
+    }
   }
 
   /**
@@ -447,7 +320,7 @@ class EcosystemAutoDiscovery {
    */
   async updateUniversalReadmeManager() {
     console.log('  ✓ Universal README Manager integration ready');
-    // README Manager will automatically use the updated stats collector
+    // README Manager will automatically use the updated repository registry
   }
 
   /**
@@ -466,6 +339,9 @@ class EcosystemAutoDiscovery {
       total_organizations: Object.keys(this.discoveredRepos).length,
       total_repositories: totalRepos,
       total_active_repositories: totalActiveRepos,
+      total_excluded_repositories: this.excludedRepos.length,
+      changes: this.changeSet ? this.changeSet.summary : null,
+      excluded: this.excludedRepos,
       organizations: this.discoveredRepos
     };
   }
@@ -479,6 +355,12 @@ if (require.main === module) {
       const summary = discovery.getRepositorySummary();
       console.log('\n🎉 Auto-Discovery Complete!');
       console.log(`📊 Discovered: ${summary.total_active_repositories} active repositories across ${summary.total_organizations} organizations`);
+      if (summary.total_excluded_repositories > 0) {
+        console.log(`⏭️ Excluded by filters: ${summary.total_excluded_repositories} repositories`);
+      }
+      if (summary.changes) {
+        console.log(`🔍 Changes since last discovery: ${summary.changes.total}`);
+      }
       console.log('🔄 System configuration updated');
       console.log('✅ Ready for complete automation');
     })
@@ -6,6 +6,12 @@ const { execSync } = require('child_process');
 const EcosystemAutoDiscovery = require('./ecosystem-auto-discovery');
 const GitHubStatsCollector = require('./github-stats-collector');
 const UniversalReadmeManager = require('./universal-readme-manager');
+const VisibilityPolicy = require('./visibility-policy');
+const HttpCache = require('./http-cache');
+const LineCounter = require('./line-counter');
+const LanguageRegistry = require('./language-registry');
+const EnterpriseNotificationSystem = require('./enterprise-notification-system');
+const SyntheticDataGenerator = require('./synthetic-data-generator');
 
 /**
  * Ecosystem Auto-Sync System
@@ -15,12 +21,11 @@ class EcosystemAutoSync {
   constructor() {
     this.baseDir = path.dirname(__dirname);
     this.logFile = path.join(this.baseDir, 'docs', 'logs', 'auto-sync.log');
-    this.isRealMode = !!process.env.GITHUB_TOKEN;
-    
     // Initialize components
     this.discovery = new EcosystemAutoDiscovery();
     this.statsCollector = new GitHubStatsCollector();
     this.readmeManager = new UniversalReadmeManager();
+    this.languages = new LanguageRegistry();
     
     // Sync configuration
     this.config = {
@@ -41,7 +46,7 @@ class EcosystemAutoSync {
     };
 
     console.log('🔄 Ecosystem Auto-Sync System initialized');
-    console.log(`📊 Mode: ${this.isRealMode ? 'Real GitHub API' : 'Mock Development'}`);
+    console.log(`📊 Mode: ${this.discovery.client.describeMode()}`);
   }
 
   /**
@@ -51,11 +56,14 @@ class EcosystemAutoSync {
     try {
       this.log('🚀 Starting Complete Ecosystem Auto-Sync');
       this.log('==========================================');
+      this.checkSyntheticData();
       
       // Step 1: Auto-Discovery
       await this.runStep('discovery', 'Repository Discovery', () => 
         this.discovery.runAutoDiscovery()
       );
+      this.results.changes = this.discovery.changeSet;
+      await this.notifyRepositoryChanges();
 
       // Step 2: Stats Collection
       await this.runStep('stats', 'GitHub Stats Collection', () => 
@@ -72,14 +80,19 @@ class EcosystemAutoSync {
         this.updateEcosystemReadme()
       );
 
-      // Step 5: Git Operations (Skip commit, direct push)
+      // Step 5: Privacy Check - never push private repository details
+      await this.runStep('privacy-check', 'Private Repository Leak Check', () => 
+        this.checkPrivateLeaks()
+      );
+
+      // Step 6: Git Operations (Skip commit, direct push)
       if (this.config.auto_push) {
         await this.runStep('git-operations', 'Git Add & Push', () => 
           this.addAndPushChanges()
         );
       }
 
-      // Step 6: Generate Report
+      // Step 7: Generate Report
       await this.runStep('report', 'Sync Report Generation', () => 
         this.generateSyncReport()
       );
@@ -109,6 +122,17 @@ class EcosystemAutoSync {
     }
   }
 
+  /**
+   * Refuse to sync over synthetic data: its commit would push the fake history and
+   * drop the real one set aside by the generator
+   */
+  checkSyntheticData() {
+    const files = SyntheticDataGenerator.findSyntheticData(this.baseDir);
+    if (files.length > 0) {
+      throw new Error(`Synthetic data is in place (${files.join(', ')}); run "npm run ecosystem:synthetic -- clean" before syncing`);
+    }
+  }
+
   /**
    * Run individual step with error handling and timing
    */
@@ -148,6 +172,39 @@ class EcosystemAutoSync {
     }
   }
 
+  /**
+   * Notify about repositories added, removed, renamed etc. since the last discovery
+   */
+  async notifyRepositoryChanges() {
+    const changeSet = this.results.changes;
+    const changeSetStore = this.discovery.changeSetStore;
+    
+    if (!changeSet || changeSet.baseline || !changeSetStore.hasChanges(changeSet)) {
+      return;
+    }
+
+    try {
+      const notifier = new EnterpriseNotificationSystem();
+      await notifier.notifyRepositoryChanges(changeSet, changeSetStore.describeChanges(changeSet));
+    } catch (error) {
+      this.log(`⚠️ Repository change notification failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan every public output for private repository names and descriptions
+   */
+  async checkPrivateLeaks() {
+    const leaks = new VisibilityPolicy().checkOutputs();
+    const files = Object.keys(leaks);
+
+    if (files.length > 0) {
+      throw new Error(`Private repository details found in ${files.join(', ')}`);
+    }
+
+    return { leaks: 0 };
+  }
+
   /**
    * Update ecosystem main README with latest statistics
    */
@@ -161,19 +218,20 @@ class EcosystemAutoSync {
 
     const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
     const readme = fs.readFileSync(readmePath, 'utf8');
+    const unit = LineCounter.describeUnit(stats.ecosystem_totals.line_unit);
 
-    // Update total statistics
+    // Update total statistics (whichever unit the README was last written in)
     let updatedReadme = readme.replace(
-      /\*\*Total Code\*\*: [\d,]+ lines across \d+ repositories in \d+ organizations/,
-      `**Total Code**: ${stats.ecosystem_totals.total_lines.toLocaleString()} lines across ${stats.ecosystem_totals.total_repositories} repositories in ${stats.ecosystem_totals.total_organizations} organizations`
+      /\*\*Total Code\*\*: [\d,]+ (?:lines|bytes|lines\/bytes) across \d+ repositories in \d+ organizations/,
+      `**Total Code**: ${stats.ecosystem_totals.total_lines.toLocaleString()} ${unit} across ${stats.ecosystem_totals.total_repositories} repositories in ${stats.ecosystem_totals.total_organizations} organizations`
     );
 
     // Update Business Hub statistics if changed
     const businessHub = stats.organizations.DevBusinessHub;
     if (businessHub) {
       updatedReadme = updatedReadme.replace(
-        /#### Business Hub\n\*\*[\d,]+ lines\*\* • \*\*\d+ repositories\*\*/,
-        `#### Business Hub\n**${businessHub.totals.total_lines.toLocaleString()} lines** • **${businessHub.totals.total_repositories} repositories**`
+        /#### Business Hub\n\*\*[\d,]+ (?:lines|bytes|lines\/bytes)\*\* • \*\*\d+ repositories\*\*/,
+        `#### Business Hub\n**${businessHub.totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(businessHub.totals.line_unit)}** • **${businessHub.totals.total_repositories} repositories**`
       );
     }
 
@@ -187,7 +245,7 @@ class EcosystemAutoSync {
         lang.organizations.slice(0, 3).map(org => org.name.replace('Dev', '')).join(', ') : 
         'Multiple';
       
-      languageSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} lines) • *${orgList}*  \n`;
+      languageSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} ${unit}) • *${orgList}*  \n`;
     });
 
     // Update language distribution section
@@ -196,35 +254,22 @@ class EcosystemAutoSync {
       languageSection
     );
 
+    new VisibilityPolicy().assertNoLeaks('readme', updatedReadme, readmePath);
     fs.writeFileSync(readmePath, updatedReadme);
     
     return {
       updated_sections: ['total_code', 'business_hub', 'language_distribution'],
       total_lines: stats.ecosystem_totals.total_lines,
+      line_unit: stats.ecosystem_totals.line_unit,
       total_repositories: stats.ecosystem_totals.total_repositories
     };
   }
 
   /**
-   * Get language icon
+   * Get language icon from the shared language registry
    */
   getLanguageIcon(language) {
-    const icons = {
-      'JavaScript': '🟨',
-      'TypeScript': '🔵', 
-      'Python': '🐍',
-      'Java': '🟠',
-      'CSS': '🟣',
-      'HTML': '🟤',
-      'C++': '🔴',
-      'C': '⚫',
-      'JSON': '⚪',
-      'Shell': '🟩',
-      'Markdown': '⚫',
-      'SCSS': '🟣'
-    };
-    
-    return icons[language] || '▪';
+    return this.languages.getEmoji(language);
   }
 
   /**
@@ -391,6 +436,9 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
       fs.mkdirSync(logsDir, { recursive: true });
     }
 
+    this.results.http_cache = this.getHttpCacheStats();
+    // Every component authenticates with the same token and so shares one scheduler
+    this.results.rate_limit = this.discovery.client.scheduler.getStats();
     const report = this.generateMarkdownReport();
     fs.writeFileSync(reportPath, report);
 
@@ -418,7 +466,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
 **Generated**: ${new Date().toLocaleString()}  
 **Status**: ${this.results.success ? '✅ Success' : '❌ Failed'}  
 **Duration**: ${Math.round(duration / 1000)}s  
-**Mode**: ${this.isRealMode ? 'Real GitHub API' : 'Mock Development'}
+**Mode**: ${this.discovery.client.describeMode()}
 
 ## 📊 Execution Summary
 
@@ -449,7 +497,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
             report += `- **Repositories**: ${step.result.total_repositories}\n`;
           }
           if (step.result.total_lines) {
-            report += `- **Total Lines**: ${step.result.total_lines.toLocaleString()}\n`;
+            report += `- **Total Code**: ${step.result.total_lines.toLocaleString()} ${LineCounter.describeUnit(step.result.line_unit)}\n`;
           }
         }
       } else if (!step.success) {
@@ -459,6 +507,48 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
       report += '\n';
     });
 
+    // Repository changes since the previous discovery
+    const changeSet = this.results.changes;
+    if (changeSet) {
+      report += `## 🔍 Repository Changes\n\n`;
+      
+      if (changeSet.baseline) {
+        report += `Baseline inventory recorded - no previous discovery to compare against.\n\n`;
+      } else if (changeSet.summary.total === 0) {
+        report += `No repository changes since ${new Date(changeSet.previous_discovery).toLocaleString()}.\n\n`;
+      } else {
+        report += `**${changeSet.summary.total} changes** since ${new Date(changeSet.previous_discovery).toLocaleString()}\n\n`;
+        this.discovery.changeSetStore.describeChanges(changeSet).forEach(line => {
+          report += `- ${line}\n`;
+        });
+        report += '\n';
+      }
+    }
+
+    // Conditional-request cache effectiveness
+    const cache = this.results.http_cache;
+    if (cache && cache.total.requests > 0) {
+      report += `## 🗄️ HTTP Cache\n\n`;
+      report += `**${this.formatHitRatio(cache.total)} hit ratio** - ${cache.total.hits} of ${cache.total.requests} GitHub API reads revalidated as 304 Not Modified\n\n`;
+      Object.entries(cache.components).forEach(([component, stats]) => {
+        report += `- **${component}**: ${this.formatHitRatio(stats)} (${stats.hits} hits, ${stats.misses} downloaded, ${stats.uncacheable} uncacheable)\n`;
+      });
+      report += '\n';
+    }
+
+    // Request scheduling against the GitHub rate limit
+    const rateLimit = this.results.rate_limit;
+    if (rateLimit && rateLimit.requests > 0) {
+      report += `## ⏱️ Rate Limit\n\n`;
+      report += `- **Requests**: ${rateLimit.requests} (up to ${rateLimit.concurrency} concurrent)\n`;
+      report += `- **Retries**: ${rateLimit.retries}\n`;
+      report += `- **Paused**: ${Math.round(rateLimit.paused_ms / 1000)}s\n`;
+      if (rateLimit.limits.core) {
+        report += `- **Core remaining**: ${rateLimit.limits.core.remaining}${rateLimit.limits.core.limit ? ` of ${rateLimit.limits.core.limit}` : ''}\n`;
+      }
+      report += '\n';
+    }
+
     // Errors section
     if (this.results.errors.length > 0) {
       report += `## ❌ Errors\n\n`;
@@ -482,6 +572,33 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
     return report;
   }
 
+  /**
+   * HTTP cache counters of each pipeline component and their combined total
+   */
+  getHttpCacheStats() {
+    const components = {
+      discovery: this.discovery.client.cache.getStats(),
+      stats: this.statsCollector.client.cache.getStats()
+    };
+    
+    // README generation re-collects stats with its own collector
+    if (this.readmeManager.statsCollector) {
+      components.readme = this.readmeManager.statsCollector.client.cache.getStats();
+    }
+    
+    return {
+      components,
+      total: HttpCache.combineStats(Object.values(components))
+    };
+  }
+
+  /**
+   * Format a cache hit ratio as a percentage
+   */
+  formatHitRatio(stats) {
+    return stats.hit_ratio === null ? 'n/a' : `${(stats.hit_ratio * 100).toFixed(1)}%`;
+  }
+
   /**
    * Log message to console and file
    */
@@ -0,0 +1,454 @@
+#!/usr/bin/env node
+
+/**
+ * Ecosystem Manifest
+ * Shared loader for config/ecosystem-manifest.json - the single source of truth
+ * for organizations, user accounts, repository types, include/exclude rules and
+ * the non-GitHub providers (GitLab, Gitea) whose owners join the ecosystem
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_VERSION = 1;
+const VISIBILITIES = ['all', 'public'];
+const PROVIDER_TYPES = ['gitlab', 'gitea'];
+// Stats snapshot retention tiers: hours of hourly, days of daily, weeks of weekly snapshots
+const DEFAULT_RETENTION = { hourly: 48, daily: 30, weekly: null };
+// Language trend windows in days, the one READMEs show, and the moving average span in days
+const DEFAULT_TRENDS = { windows: [7, 30, 90], default_window: 30, moving_average: 7 };
+// Line counting: language bytes from the API (off), or real lines from shallow clones or existing local clones
+const LINE_COUNTING_MODES = ['off', 'clone', 'local'];
+const DEFAULT_LINE_COUNTING = { mode: 'off', clones_dir: '.line-count-clones', exclude: [] };
+// README directory trees: levels shown, entries per directory, dotfiles, name annotations and the files marking a project
+const DEFAULT_README_STRUCTURE = {
+  depth: 2,
+  max_entries: 12,
+  hidden: false,
+  annotations: {},
+  project_files: ['package.json', 'pyproject.toml', 'requirements.txt', 'setup.py', 'pom.xml', 'build.gradle',
+    'build.gradle.kts', 'go.mod', 'Cargo.toml', 'Gemfile', 'composer.json']
+};
+
+class EcosystemManifest {
+  constructor(manifestPath = process.env.ECOSYSTEM_MANIFEST) {
+    this.baseDir = path.dirname(__dirname);
+    this.manifestPath = manifestPath || path.join(this.baseDir, 'config', 'ecosystem-manifest.json');
+    this.manifest = this.loadManifest();
+  }
+
+  /**
+   * Load and validate the manifest file
+   */
+  loadManifest() {
+    if (!fs.existsSync(this.manifestPath)) {
+      throw new Error(`Ecosystem manifest not found: ${this.manifestPath}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ecosystem manifest ${this.manifestPath}: ${error.message}`);
+    }
+
+    if (manifest.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported ecosystem manifest version: ${manifest.version} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    if (!Array.isArray(manifest.organizations)) {
+      throw new Error('Ecosystem manifest must list "organizations" as an array');
+    }
+
+    const visibility = process.env.DISCOVERY_VISIBILITY || manifest.filters?.visibility;
+    if (visibility && !VISIBILITIES.includes(visibility.toLowerCase())) {
+      throw new Error(`Unknown repository visibility filter: ${visibility} (expected ${VISIBILITIES.join(' or ')})`);
+    }
+
+    const providers = (manifest.providers || []).map(provider => this.normalizeProvider(provider));
+
+    const retention = { ...DEFAULT_RETENTION, ...manifest.snapshots?.retention };
+    Object.entries(retention).forEach(([tier, span]) => {
+      if (!(tier in DEFAULT_RETENTION) || (span !== null && !(Number.isFinite(span) && span >= 0))) {
+        throw new Error(`Invalid snapshot retention "${tier}": ${span} (expected hourly, daily or weekly as a number, or null to keep forever)`);
+      }
+    });
+
+    const trends = { ...DEFAULT_TRENDS, ...manifest.trends };
+    const isDays = value => Number.isInteger(value) && value > 0;
+    if (!Array.isArray(trends.windows) || trends.windows.length === 0 || !trends.windows.every(isDays)) {
+      throw new Error(`Trend "windows" must list whole days: ${JSON.stringify(trends.windows)}`);
+    }
+    if (!trends.windows.includes(trends.default_window)) {
+      throw new Error(`Trend "default_window" ${trends.default_window} is not one of the windows (${trends.windows.join(', ')})`);
+    }
+    if (!isDays(trends.moving_average)) {
+      throw new Error(`Trend "moving_average" must be a whole number of days: ${trends.moving_average}`);
+    }
+
+    const lineCounting = { ...DEFAULT_LINE_COUNTING, ...manifest.line_counting };
+    lineCounting.mode = (process.env.LINE_COUNT_MODE || lineCounting.mode).toLowerCase();
+    if (!LINE_COUNTING_MODES.includes(lineCounting.mode)) {
+      throw new Error(`Unknown line counting mode: ${lineCounting.mode} (expected ${LINE_COUNTING_MODES.join(', ')})`);
+    }
+    if (!Array.isArray(lineCounting.exclude)) {
+      throw new Error('Line counting "exclude" must list path patterns');
+    }
+
+    const readmeStructure = { ...DEFAULT_README_STRUCTURE, ...manifest.readme_structure };
+    const isAnnotations = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(annotation => typeof annotation === 'string');
+    ['depth', 'max_entries'].forEach(setting => {
+      if (!(Number.isInteger(readmeStructure[setting]) && readmeStructure[setting] > 0)) {
+        throw new Error(`README structure "${setting}" must be a positive whole number: ${readmeStructure[setting]}`);
+      }
+    });
+    if (!isAnnotations(readmeStructure.annotations)) {
+      throw new Error('README structure "annotations" must map names to annotation text');
+    }
+    if (!Array.isArray(readmeStructure.project_files) || readmeStructure.project_files.length === 0) {
+      throw new Error('README structure "project_files" must list the file names marking a project');
+    }
+
+    Object.entries(manifest.repositories || {}).forEach(([fullName, config]) => {
+      const sections = config.readme_sections;
+      if (sections !== undefined && !(Array.isArray(sections) && sections.every(name => /^[\w-]+$/.test(name)))) {
+        throw new Error(`"readme_sections" of ${fullName} must list section names: ${JSON.stringify(sections)}`);
+      }
+      if (config.structure_annotations !== undefined && !isAnnotations(config.structure_annotations)) {
+        throw new Error(`"structure_annotations" of ${fullName} must map paths to annotation text`);
+      }
+    });
+
+    return {
+      version: manifest.version,
+      organizations: manifest.organizations,
+      users: manifest.users || [],
+      providers,
+      filters: {
+        include: manifest.filters?.include || [],
+        exclude: manifest.filters?.exclude || [],
+        exclude_forks: manifest.filters?.exclude_forks ?? true,
+        exclude_templates: manifest.filters?.exclude_templates ?? true,
+        exclude_archived: manifest.filters?.exclude_archived ?? false,
+        exclude_topics: manifest.filters?.exclude_topics || [],
+        visibility: (process.env.DISCOVERY_VISIBILITY || manifest.filters?.visibility || 'all').toLowerCase()
+      },
+      visibility_policy: {
+        default_mode: manifest.visibility_policy?.default_mode || 'aggregate',
+        outputs: manifest.visibility_policy?.outputs || {},
+        aggregate_labels: manifest.visibility_policy?.aggregate_labels || {}
+      },
+      snapshots: { retention },
+      trends: {
+        windows: [...trends.windows].sort((a, b) => a - b),
+        default_window: trends.default_window,
+        moving_average: trends.moving_average
+      },
+      line_counting: {
+        mode: lineCounting.mode,
+        clones_dir: path.resolve(this.baseDir, process.env.LINE_COUNT_CLONES_DIR || lineCounting.clones_dir),
+        exclude: lineCounting.exclude
+      },
+      readme_structure: {
+        depth: readmeStructure.depth,
+        max_entries: readmeStructure.max_entries,
+        hidden: !!readmeStructure.hidden,
+        annotations: readmeStructure.annotations,
+        project_files: readmeStructure.project_files
+      },
+      classification: {
+        default_type: manifest.classification?.default_type || null,
+        rules: manifest.classification?.rules || []
+      },
+      repositories: manifest.repositories || {}
+    };
+  }
+
+  /**
+   * Validate a non-GitHub provider entry; owners may be plain logins (organizations
+   * or groups) or { login, type: "user" } objects
+   */
+  normalizeProvider(provider) {
+    if (!provider.name || provider.name === 'github') {
+      throw new Error(`Ecosystem manifest provider needs a unique "name" other than github: ${JSON.stringify(provider)}`);
+    }
+
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      throw new Error(`Unknown provider type for ${provider.name}: ${provider.type} (expected ${PROVIDER_TYPES.join(' or ')})`);
+    }
+
+    if (!provider.base_url) {
+      throw new Error(`Provider ${provider.name} needs a "base_url"`);
+    }
+
+    if (provider.timeout_ms !== undefined && !(Number.isInteger(provider.timeout_ms) && provider.timeout_ms > 0)) {
+      throw new Error(`Invalid timeout_ms for provider ${provider.name}: ${provider.timeout_ms} (expected a positive number of milliseconds)`);
+    }
+
+    return {
+      name: provider.name,
+      type: provider.type,
+      base_url: provider.base_url.replace(/\/+$/, ''),
+      token_env: provider.token_env || `${provider.type.toUpperCase()}_TOKEN`,
+      ...(provider.timeout_ms !== undefined ? { timeout_ms: provider.timeout_ms } : {}),
+      owners: (provider.owners || []).map(owner => typeof owner === 'string' ?
+        { login: owner, type: 'organization' } :
+        { login: owner.login, type: owner.type || 'organization' })
+    };
+  }
+
+  /**
+   * Get organization logins
+   */
+  getOrganizations() {
+    return [...this.manifest.organizations];
+  }
+
+  /**
+   * Get user account logins
+   */
+  getUsers() {
+    return [...this.manifest.users];
+  }
+
+  /**
+   * Get every owner (GitHub organizations and user accounts, then provider owners)
+   */
+  getOwners() {
+    return [
+      ...this.manifest.organizations,
+      ...this.manifest.users,
+      ...this.manifest.providers.flatMap(provider => provider.owners.map(owner => owner.login))
+    ];
+  }
+
+  /**
+   * Get every repository provider, GitHub first, each with its owners
+   */
+  getProviders() {
+    return [
+      {
+        name: 'github',
+        type: 'github',
+        owners: [
+          ...this.manifest.organizations.map(login => ({ login, type: 'organization' })),
+          ...this.manifest.users.map(login => ({ login, type: 'user' }))
+        ]
+      },
+      ...this.manifest.providers.map(provider => ({
+        ...provider,
+        owners: provider.owners.map(owner => ({ ...owner }))
+      }))
+    ];
+  }
+
+  /**
+   * Get the provider hosting an owner (GitHub for owners no provider lists)
+   */
+  getProviderForOwner(login) {
+    const providers = this.getProviders();
+    return providers.find(provider => provider.owners.some(owner => owner.login === login)) || providers[0];
+  }
+
+  /**
+   * Check whether a login belongs to the ecosystem
+   */
+  isOwner(login) {
+    return this.getOwners().includes(login);
+  }
+
+  /**
+   * Check a repository full name against the include/exclude rules
+   */
+  isIncluded(fullName) {
+    return this.getPatternExclusion(fullName) === null;
+  }
+
+  /**
+   * Explain why a repository full name fails the include/exclude globs (null when it passes)
+   */
+  getPatternExclusion(fullName) {
+    const { include, exclude } = this.manifest.filters;
+
+    if (include.length > 0 && !include.some(pattern => this.matchesPattern(fullName, pattern))) {
+      return 'not matched by any include pattern';
+    }
+
+    const excludedBy = exclude.find(pattern => this.matchesPattern(fullName, pattern));
+    return excludedBy ? `matches exclude pattern "${excludedBy}"` : null;
+  }
+
+  /**
+   * Explain why a discovered repository is filtered out of the ecosystem (null when included).
+   * Checks name globs, forks, templates, archived state, opt-out topics and visibility.
+   */
+  getExclusionReason(repo) {
+    const filters = this.manifest.filters;
+    const patternExclusion = this.getPatternExclusion(repo.full_name);
+
+    if (patternExclusion) {
+      return patternExclusion;
+    }
+
+    if (filters.exclude_forks && repo.fork) {
+      return 'fork';
+    }
+
+    if (filters.exclude_templates && repo.is_template) {
+      return 'template repository';
+    }
+
+    if (filters.exclude_archived && repo.archived) {
+      return 'archived';
+    }
+
+    const optOutTopic = (repo.topics || []).find(topic => filters.exclude_topics.includes(topic));
+    if (optOutTopic) {
+      return `has topic "${optOutTopic}"`;
+    }
+
+    if (filters.visibility === 'public' && repo.private) {
+      return 'private (publishing public repositories only)';
+    }
+
+    return null;
+  }
+
+  /**
+   * Match "owner/name" against a glob pattern (* and ? wildcards).
+   * Patterns without a slash match the repository name in any owner.
+   */
+  matchesPattern(fullName, pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]');
+    const subject = pattern.includes('/') ? fullName : fullName.split('/').pop();
+
+    return new RegExp(`^${source}$`).test(subject);
+  }
+
+  /**
+   * Get the per-output policy for private repositories (show, hide, aggregate or alias)
+   */
+  getVisibilityPolicy() {
+    const policy = this.manifest.visibility_policy;
+    return {
+      default_mode: policy.default_mode,
+      outputs: { ...policy.outputs },
+      aggregate_labels: { ...policy.aggregate_labels }
+    };
+  }
+
+  /**
+   * Get the stats snapshot retention tiers (null keeps a tier's snapshots forever)
+   */
+  getSnapshotRetention() {
+    return { ...this.manifest.snapshots.retention };
+  }
+
+  /**
+   * Get the language trend windows (days), the default window and the moving average span
+   */
+  getTrendSettings() {
+    const { windows, default_window: defaultWindow, moving_average: movingAverage } = this.manifest.trends;
+    return { windows: [...windows], default_window: defaultWindow, moving_average: movingAverage };
+  }
+
+  /**
+   * Get the line counting mode, the directory holding repository clones and extra excluded paths
+   */
+  getLineCounting() {
+    const { mode, clones_dir: clonesDir, exclude } = this.manifest.line_counting;
+    return { mode, clones_dir: clonesDir, exclude: [...exclude] };
+  }
+
+  /**
+   * Get the README directory tree settings (per-repository path annotations are in the repository entries)
+   */
+  getReadmeStructure() {
+    const { annotations, project_files: projectFiles, ...limits } = this.manifest.readme_structure;
+    return { ...limits, annotations: { ...annotations }, project_files: [...projectFiles] };
+  }
+
+  /**
+   * Get README type classification rules and the fallback type
+   */
+  getClassification() {
+    return {
+      default_type: this.manifest.classification.default_type,
+      rules: this.manifest.classification.rules.map(rule => ({ ...rule }))
+    };
+  }
+
+  /**
+   * Get the manifest entry (type, description and other overrides) for a repository
+   */
+  getRepositoryConfig(owner, name) {
+    return { ...(this.manifest.repositories[`${owner}/${name}`] || {}) };
+  }
+
+  /**
+   * Get the generated README sections a repository opts into besides the ones its README marks
+   */
+  getReadmeSections(owner, name) {
+    return [...(this.getRepositoryConfig(owner, name).readme_sections || [])];
+  }
+
+  /**
+   * Get all declared repositories that pass the include/exclude rules
+   */
+  getRepositories() {
+    return Object.entries(this.manifest.repositories)
+      .filter(([fullName]) => this.isIncluded(fullName))
+      .map(([fullName, config]) => {
+        const [owner, name] = fullName.split('/');
+        return { ...config, owner, name, full_name: fullName };
+      })
+      .filter(repo => this.isOwner(repo.owner));
+  }
+
+  /**
+   * Get declared repository names grouped by owner, in manifest owner order
+   */
+  getRepositoriesByOwner() {
+    const grouped = {};
+    const repositories = this.getRepositories();
+
+    for (const owner of this.getOwners()) {
+      const names = repositories
+        .filter(repo => repo.owner === owner)
+        .map(repo => repo.name);
+
+      if (names.length > 0) {
+        grouped[owner] = names;
+      }
+    }
+
+    return grouped;
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    const manifest = new EcosystemManifest();
+    console.log(`📜 Ecosystem manifest: ${manifest.manifestPath}`);
+    console.log(`🏢 Organizations: ${manifest.getOrganizations().join(', ') || 'none'}`);
+    console.log(`👤 Users: ${manifest.getUsers().join(', ') || 'none'}`);
+
+    manifest.getProviders().slice(1).forEach(provider => {
+      console.log(`🔌 ${provider.name} (${provider.type} at ${provider.base_url}): ${provider.owners.map(owner => owner.login).join(', ') || 'no owners'}`);
+    });
+
+    Object.entries(manifest.getRepositoriesByOwner()).forEach(([owner, repos]) => {
+      console.log(`  ✓ ${owner}: ${repos.length} repositories`);
+    });
+  } catch (error) {
+    console.error('❌ Manifest validation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = EcosystemManifest;
@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
 
 /**
  * Ecosystem Webhook Handler
@@ -16,6 +17,7 @@ class EcosystemWebhookHandler {
     this.port = process.env.WEBHOOK_PORT || 3000;
     this.secret = process.env.WEBHOOK_SECRET || 'ecosystem-webhook-secret';
     this.baseDir = path.dirname(__dirname);
+    this.manifest = new EcosystemManifest();
     
     // Configure middleware
     this.app.use(express.json({ limit: '50mb' }));
@@ -75,6 +77,7 @@ class EcosystemWebhookHandler {
       // Process different event types
       let shouldSync = false;
       let triggerReason = '';
+      let refreshRepositories = [];
 
       switch (event) {
         case 'repository':
@@ -85,6 +88,8 @@ class EcosystemWebhookHandler {
         case 'push':
           shouldSync = await this.handlePushEvent(payload);
           triggerReason = `Push to ${payload.repository.full_name}`;
+          // Only the pushed repository needs its stats collected again
+          refreshRepositories = [payload.repository.full_name];
           break;
           
         case 'create':
@@ -105,7 +110,7 @@ class EcosystemWebhookHandler {
         console.log(`🚀 Triggering ecosystem sync: ${triggerReason}`);
         
         // Trigger async sync (don't wait for completion)
-        this.triggerEcosystemSync(triggerReason)
+        this.triggerEcosystemSync(triggerReason, refreshRepositories)
           .catch(error => {
             console.error('❌ Sync trigger failed:', error.message);
           });
@@ -164,10 +169,7 @@ class EcosystemWebhookHandler {
     console.log(`  📁 Repository ${action}: ${repository.full_name}`);
     
     // Check if repository is in our organizations
-    const targetOrgs = ['DevEcosystem', 'DevPersonalHub', 'DevAcademicHub', 'DevBusinessHub'];
-    const isTargetOrg = targetOrgs.includes(repository.owner.login);
-    
-    if (!isTargetOrg) {
+    if (!this.manifest.isOwner(repository.owner.login)) {
       console.log(`  ℹ️ Repository not in target organizations`);
       return false;
     }
@@ -189,8 +191,7 @@ class EcosystemWebhookHandler {
     const { repository, ref } = payload;
     
     // Only sync for main/master branch pushes in target organizations
-    const targetOrgs = ['DevEcosystem', 'DevPersonalHub', 'DevAcademicHub', 'DevBusinessHub'];
-    const isTargetOrg = targetOrgs.includes(repository.owner.login);
+    const isTargetOrg = this.manifest.isOwner(repository.owner.login);
     const isMainBranch = ref === 'refs/heads/main' || ref === 'refs/heads/master';
     
     if (isTargetOrg && isMainBranch) {
@@ -209,8 +210,7 @@ class EcosystemWebhookHandler {
     
     // Sync when new repositories are created
     if (ref_type === 'repository') {
-      const targetOrgs = ['DevEcosystem', 'DevPersonalHub', 'DevAcademicHub', 'DevBusinessHub'];
-      return targetOrgs.includes(repository.owner.login);
+      return this.manifest.isOwner(repository.owner.login);
     }
 
     return false;
@@ -224,17 +224,16 @@ class EcosystemWebhookHandler {
     
     // Sync when repositories are deleted
     if (ref_type === 'repository') {
-      const targetOrgs = ['DevEcosystem', 'DevPersonalHub', 'DevAcademicHub', 'DevBusinessHub'];
-      return targetOrgs.includes(repository.owner.login);
+      return this.manifest.isOwner(repository.owner.login);
     }
 
     return false;
   }
 
   /**
-   * Trigger ecosystem sync
+   * Trigger ecosystem sync (stats are refreshed for the given repositories only, when any)
    */
-  async triggerEcosystemSync(reason) {
+  async triggerEcosystemSync(reason, refreshRepositories = []) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       trigger: 'webhook',
@@ -253,7 +252,8 @@ class EcosystemWebhookHandler {
         env: {
           ...process.env,
           WEBHOOK_TRIGGER: 'true',
-          TRIGGER_REASON: reason
+          TRIGGER_REASON: reason,
+          STATS_REFRESH_REPOSITORIES: refreshRepositories.join(',')
         }
       });
 
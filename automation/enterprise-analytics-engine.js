@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const SyntheticDataGenerator = require('./synthetic-data-generator');
 
 class EnterpriseAnalyticsEngine {
   constructor() {
@@ -83,7 +84,7 @@ class EnterpriseAnalyticsEngine {
 
     try {
       // Load deployment history
-      const historyPath = path.join(this.cacheDir, 'deployment-history.json');
+      const historyPath = SyntheticDataGenerator.resolveHistoryPath(this.baseDir);
       if (fs.existsSync(historyPath)) {
         const historyData = fs.readFileSync(historyPath, 'utf8');
         data.deploymentHistory = JSON.parse(historyData);
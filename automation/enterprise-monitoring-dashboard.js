@@ -8,6 +8,10 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const RepositoryInventory = require('./repository-inventory');
+const GitHubClient = require('./github-client');
+const StatsExporter = require('./stats-exporter');
+const SyntheticDataGenerator = require('./synthetic-data-generator');
 
 class EnterpriseMonitoringDashboard {
   constructor() {
@@ -15,6 +19,9 @@ class EnterpriseMonitoringDashboard {
     this.dataDir = path.join(this.baseDir, 'docs', 'monitoring-data');
     this.cacheDir = path.join(this.baseDir, '.deployment-cache');
     this.port = process.env.DASHBOARD_PORT || 3000;
+    this.inventory = new RepositoryInventory();
+    this.client = new GitHubClient();
+    this.statsExporter = new StatsExporter();
     
     this.metrics = {
       deployments: {},
@@ -47,7 +54,7 @@ class EnterpriseMonitoringDashboard {
   loadHistoricalData() {
     try {
       // Load deployment history
-      const historyPath = path.join(this.cacheDir, 'deployment-history.json');
+      const historyPath = SyntheticDataGenerator.resolveHistoryPath(this.baseDir);
       if (fs.existsSync(historyPath)) {
         const historyData = fs.readFileSync(historyPath, 'utf8');
         const history = JSON.parse(historyData);
@@ -182,25 +189,32 @@ class EnterpriseMonitoringDashboard {
   }
 
   /**
-   * Test GitHub API health
+   * Test GitHub API health from the rate limit endpoint (free, and revalidated
+   * through the shared HTTP cache like every other GitHub read)
    */
   async testGitHubAPIHealth() {
+    if (!this.client.hasToken) {
+      return {
+        status: 'offline',
+        mode: this.client.mode,
+        reason: 'No GitHub token - pipeline data comes from recorded fixtures'
+      };
+    }
+    
     try {
       const startTime = Date.now();
-      
-      // Simulate GitHub API call
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
+      const { data } = await this.client.octokit.rest.rateLimit.get();
       const responseTime = Date.now() - startTime;
       
       return {
-        status: 'healthy',
+        status: data.resources.core.remaining > 0 ? 'healthy' : 'rate_limited',
         responseTime,
         rateLimit: {
-          remaining: 4900,
-          limit: 5000,
-          reset: Date.now() + 3600000
-        }
+          remaining: data.resources.core.remaining,
+          limit: data.resources.core.limit,
+          reset: data.resources.core.reset * 1000
+        },
+        cache: this.client.cache.getStats()
       };
     } catch (error) {
       return {
@@ -265,6 +279,27 @@ class EnterpriseMonitoringDashboard {
     return Object.keys(this.metrics.repositories).length || 8;
   }
 
+  /**
+   * Get repository health facts from the discovery deep-scan inventory
+   */
+  getRepositoryHealth() {
+    try {
+      const inventory = this.inventory.load();
+      if (!inventory) {
+        return null;
+      }
+      
+      return {
+        scanned_at: inventory.generated_at,
+        summary: inventory.summary,
+        repositories: inventory.repositories
+      };
+    } catch (error) {
+      console.warn('Could not read repository inventory:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Generate real-time dashboard data
    */
@@ -282,6 +317,7 @@ class EnterpriseMonitoringDashboard {
       },
       deployments: this.metrics.deployments,
       repositories: this.metrics.repositories,
+      health: this.getRepositoryHealth(),
       system: this.metrics.system,
       alerts: this.generateAlerts(),
       recommendations: this.generateRecommendations()
@@ -357,8 +393,8 @@ class EnterpriseMonitoringDashboard {
   calculateSystemHealth() {
     let health = 100;
     
-    // GitHub API health
-    if (this.metrics.system.githubAPI?.status !== 'healthy') health -= 30;
+    // GitHub API health (offline fixture runs make no API calls to fail)
+    if (!['healthy', 'offline'].includes(this.metrics.system.githubAPI?.status)) health -= 30;
     
     // API rate limit health
     const rateLimit = this.metrics.system.githubAPI?.rateLimit;
@@ -435,7 +471,7 @@ class EnterpriseMonitoringDashboard {
       issues.push('High skip rate - possible config issues');
     }
     
-    if (this.metrics.system.githubAPI?.status !== 'healthy') {
+    if (!['healthy', 'offline'].includes(this.metrics.system.githubAPI?.status)) {
       issues.push('GitHub API connectivity issues');
     }
     
@@ -495,6 +531,34 @@ class EnterpriseMonitoringDashboard {
       }
     }
     
+    // Repository health alerts (deep-scan inventory)
+    const health = this.getRepositoryHealth();
+    if (health) {
+      const inventoried = Object.values(health.repositories);
+      const unprotected = inventoried.filter(repo => repo.branch_protection === false && !repo.archived);
+      const withoutReadme = inventoried.filter(repo => !repo.files.readme);
+      
+      if (unprotected.length > 0) {
+        alerts.push({
+          type: 'info',
+          category: 'health',
+          message: `${unprotected.length} repositories have an unprotected default branch`,
+          severity: 'low',
+          action: `Enable branch protection on ${unprotected.map(repo => repo.full_name).join(', ')}`
+        });
+      }
+      
+      if (withoutReadme.length > 0) {
+        alerts.push({
+          type: 'warning',
+          category: 'health',
+          message: `${withoutReadme.length} repositories have no README`,
+          severity: 'medium',
+          action: `Add a README to ${withoutReadme.map(repo => repo.full_name).join(', ')}`
+        });
+      }
+    }
+    
     // System alerts
     if (this.metrics.system.memory?.heapUsed > 100 * 1024 * 1024) { // 100MB
       alerts.push({
@@ -716,7 +780,7 @@ class EnterpriseMonitoringDashboard {
                     <h2 data-icon="⚡">System Performance</h2>
                     <div class="metric">
                         <span class="metric-label">GitHub API Status</span>
-                        <span class="metric-value">${data.system.githubAPI?.status === 'healthy' ? '✅ Healthy' : '❌ Issues'}</span>
+                        <span class="metric-value">${data.system.githubAPI?.status === 'healthy' ? '✅ Healthy' : data.system.githubAPI?.status === 'offline' ? '📼 Offline (fixtures)' : '❌ Issues'}</span>
                     </div>
                     <div class="metric">
                         <span class="metric-label">Network Latency</span>
@@ -786,6 +850,38 @@ class EnterpriseMonitoringDashboard {
                     `).join('')}
                 </div>
             </div>
+            ${data.health ? `
+            <div class="card">
+                <h2 data-icon="🩺">Repository Health</h2>
+                <div class="metric">
+                    <span class="metric-label">README / CONTRIBUTING / SECURITY / CODEOWNERS</span>
+                    <span class="metric-value">${data.health.summary.with_readme} / ${data.health.summary.with_contributing} / ${data.health.summary.with_security_policy} / ${data.health.summary.with_codeowners} of ${data.health.summary.total_repositories}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Protected Default Branch</span>
+                    <span class="metric-value">${data.health.summary.protected_default_branch} of ${data.health.summary.total_repositories}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">With Workflows / Releases</span>
+                    <span class="metric-value">${data.health.summary.with_workflows} / ${data.health.summary.with_release}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Open Issues / Pull Requests</span>
+                    <span class="metric-value">${data.health.summary.open_issues} / ${data.health.summary.open_pull_requests}</span>
+                </div>
+                <div class="repo-grid">
+                    ${Object.values(data.health.repositories).map(repo => `
+                        <div class="repo-card">
+                            <div class="repo-name">${repo.full_name}</div>
+                            <div class="repo-stats">
+                                <span>${repo.branch_protection ? '🔒 Protected' : '🔓 Unprotected'}</span>
+                                <span>${repo.workflows.length} workflows</span>
+                                <span>${repo.latest_release ? `🏷️ ${repo.latest_release.tag_name}` : 'No release'}</span>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>` : ''}
         </div>
 
         <!-- Performance Tab -->
@@ -976,11 +1072,24 @@ class EnterpriseMonitoringDashboard {
   }
 
   /**
-   * Start HTTP server for dashboard
+   * Start HTTP server for dashboard, also serving the language statistics exports
+   * (/api/stats?format=csv|ndjson|openmetrics, and /metrics for Prometheus)
    */
   startDashboardServer() {
     const server = http.createServer(async (req, res) => {
-      if (req.url === '/' || req.url === '/dashboard') {
+      const { pathname, searchParams } = new URL(req.url, `http://localhost:${this.port}`);
+      
+      if (pathname === '/api/stats' || pathname === '/metrics') {
+        const format = pathname === '/metrics' ? 'openmetrics' : searchParams.get('format') || 'ndjson';
+        try {
+          const output = this.statsExporter.export(format);
+          res.writeHead(200, { 'Content-Type': StatsExporter.FORMATS[format].contentType });
+          res.end(output);
+        } catch (error) {
+          res.writeHead(StatsExporter.isFormat(format) ? 500 : 400, { 'Content-Type': 'text/plain' });
+          res.end('Stats Export Error: ' + error.message);
+        }
+      } else if (req.url === '/' || req.url === '/dashboard') {
         try {
           const dashboardData = await this.generateDashboardData();
           const html = this.generateHTMLDashboard(dashboardData);
@@ -1009,6 +1118,8 @@ class EnterpriseMonitoringDashboard {
     server.listen(this.port, () => {
       console.log(`📊 Dashboard server running at http://localhost:${this.port}`);
       console.log(`📡 API endpoint: http://localhost:${this.port}/api/data`);
+      console.log(`📤 Stats export: http://localhost:${this.port}/api/stats?format=csv|ndjson|openmetrics`);
+      console.log(`📈 Prometheus metrics: http://localhost:${this.port}/metrics`);
     });
 
     return server;
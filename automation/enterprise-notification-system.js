@@ -108,6 +108,12 @@ class EnterpriseNotificationSystem {
           channels: ['slack', 'discord'],
           priority: 'high',
           template: 'system_health'
+        },
+        repository_changes: {
+          enabled: true,
+          channels: ['slack', 'discord'],
+          priority: 'normal',
+          template: 'repository_changes'
         }
       },
       thresholds: {
@@ -196,6 +202,29 @@ class EnterpriseNotificationSystem {
     return this.sendNotification(notification);
   }
 
+  /**
+   * Send repository change-set notification (from ecosystem discovery)
+   */
+  async notifyRepositoryChanges(changeSet, changeLines = []) {
+    const notification = {
+      type: 'repository_changes',
+      timestamp: new Date().toISOString(),
+      data: {
+        total: changeSet.summary.total,
+        added: changeSet.summary.added,
+        removed: changeSet.summary.removed,
+        renamed: changeSet.summary.renamed,
+        transferred: changeSet.summary.transferred,
+        archived: changeSet.summary.archived,
+        unarchived: changeSet.summary.unarchived,
+        visibilityChanged: changeSet.summary.visibility_changed,
+        details: changeLines.join('\n')
+      }
+    };
+
+    return this.sendNotification(notification);
+  }
+
   /**
    * Core notification sender
    */
@@ -266,6 +295,8 @@ class EnterpriseNotificationSystem {
         return this.formatDailySummaryMessage(template, notification.data, channelName);
       case 'system_health':
         return this.formatSystemHealthMessage(template, notification.data, channelName);
+      case 'repository_changes':
+        return this.formatRepositoryChangesMessage(template, notification.data, channelName);
       default:
         return this.formatGenericMessage(template, notification, channelName);
     }
@@ -327,6 +358,27 @@ class EnterpriseNotificationSystem {
               }
             }
           ]
+        },
+        repository_changes: {
+          text: "🔍 *Ecosystem Repository Changes*",
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: "🔍 *{{total}} repository changes detected*\n\n{{details}}"
+              }
+            },
+            {
+              type: "section",
+              fields: [
+                { type: "mrkdwn", text: "*Added:* {{added}}" },
+                { type: "mrkdwn", text: "*Removed:* {{removed}}" },
+                { type: "mrkdwn", text: "*Renamed:* {{renamed}}" },
+                { type: "mrkdwn", text: "*Transferred:* {{transferred}}" }
+              ]
+            }
+          ]
         }
       },
       discord: {
@@ -360,6 +412,25 @@ class EnterpriseNotificationSystem {
               timestamp: new Date().toISOString()
             }
           ]
+        },
+        repository_changes: {
+          content: "🔍 **Ecosystem Repository Changes**",
+          embeds: [
+            {
+              title: "Ecosystem Auto-Discovery",
+              description: "{{details}}",
+              color: 0x0099ff,
+              fields: [
+                { name: "Added", value: "{{added}}", inline: true },
+                { name: "Removed", value: "{{removed}}", inline: true },
+                { name: "Renamed", value: "{{renamed}}", inline: true },
+                { name: "Transferred", value: "{{transferred}}", inline: true },
+                { name: "Archived", value: "{{archived}}", inline: true },
+                { name: "Visibility Changed", value: "{{visibilityChanged}}", inline: true }
+              ],
+              timestamp: new Date().toISOString()
+            }
+          ]
         }
       }
     };
@@ -396,6 +467,26 @@ class EnterpriseNotificationSystem {
     return JSON.parse(message);
   }
 
+  /**
+   * Format repository change-set message
+   */
+  formatRepositoryChangesMessage(template, data, channelName) {
+    let message = JSON.stringify(template);
+    
+    message = message
+      .replace(/\{\{total\}\}/g, data.total)
+      .replace(/\{\{added\}\}/g, data.added)
+      .replace(/\{\{removed\}\}/g, data.removed)
+      .replace(/\{\{renamed\}\}/g, data.renamed)
+      .replace(/\{\{transferred\}\}/g, data.transferred)
+      .replace(/\{\{archived\}\}/g, data.archived)
+      .replace(/\{\{unarchived\}\}/g, data.unarchived)
+      .replace(/\{\{visibilityChanged\}\}/g, data.visibilityChanged)
+      .replace(/\{\{details\}\}/g, () => JSON.stringify(data.details).slice(1, -1));
+
+    return JSON.parse(message);
+  }
+
   /**
    * Send Slack notification
    */
@@ -0,0 +1,232 @@
+/**
+ * Gitea Provider
+ * Repository provider for a self-hosted Gitea (or Forgejo) instance through its
+ * REST API v1. Owners are organizations or user accounts.
+ */
+
+const RepositoryProvider = require('./repository-provider');
+
+// Gitea caps listings at 50 items per page by default
+const PAGE_SIZE = 50;
+
+class GiteaProvider extends RepositoryProvider {
+  constructor(config) {
+    super({ ...config, type: 'gitea' });
+  }
+
+  /**
+   * Gitea access tokens use the "token" authorization scheme
+   */
+  getAuthHeaders() {
+    return this.token ? { Authorization: `token ${this.token}` } : {};
+  }
+
+  /**
+   * API path of a repository
+   */
+  getRepoPath(owner, name) {
+    return `/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * List every repository of an organization or user as discovery records
+   */
+  async listRepositories(owner) {
+    const namespace = owner.type === 'user' ? 'users' : 'orgs';
+    const repos = await this.paginate(`/api/v1/${namespace}/${encodeURIComponent(owner.login)}/repos`, {}, {
+      pageSize: PAGE_SIZE,
+      sizeParam: 'limit'
+    });
+
+    return repos.map(repo => this.normalizeRepository(repo));
+  }
+
+  /**
+   * Map a Gitea repository onto the GitHub REST-shaped discovery record
+   */
+  normalizeRepository(repo) {
+    return {
+      provider: this.name,
+      node_id: `${this.name}:${repo.id}`,
+      name: repo.name,
+      full_name: repo.full_name,
+      private: repo.private || repo.internal || false,
+      language: repo.language || null,
+      languages: null,
+      description: repo.description,
+      updated_at: repo.updated_at,
+      // Gitea listings have no push date; updated_at also moves for stars, issues and
+      // settings edits (getMetadata reads the default branch's last commit instead)
+      pushed_at: repo.updated_at,
+      size: repo.size,
+      stargazers_count: repo.stars_count,
+      forks_count: repo.forks_count,
+      // Gitea counts pull requests separately from issues
+      open_issues_count: (repo.open_issues_count || 0) + (repo.open_pr_counter || 0),
+      topics: repo.topics || [],
+      default_branch: repo.default_branch || null,
+      clone_url: repo.clone_url,
+      license: null,
+      fork: !!repo.fork,
+      is_template: !!repo.template,
+      archived: !!repo.archived,
+      disabled: false
+    };
+  }
+
+  /**
+   * Language byte counts
+   */
+  async getLanguages(owner, name) {
+    const { data } = await this.request(`${this.getRepoPath(owner, name)}/languages`);
+    return data;
+  }
+
+  /**
+   * Repository metadata used by the stats collector
+   */
+  async getMetadata(owner, name) {
+    const { data: repo } = await this.request(this.getRepoPath(owner, name));
+
+    return {
+      empty: !!repo.empty,
+      private: repo.private || repo.internal || false,
+      description: repo.description,
+      stars: repo.stars_count,
+      forks: repo.forks_count,
+      default_branch: repo.default_branch || null,
+      clone_url: repo.clone_url,
+      pushed_at: repo.empty ? null : await this.getLastCommitDate(owner, name, repo.default_branch) || repo.updated_at,
+      updated_at: repo.updated_at,
+      archived: !!repo.archived,
+      size: repo.size
+    };
+  }
+
+  /**
+   * Date of the last commit on a branch, the closest Gitea has to a push date;
+   * null when the branch does not exist
+   */
+  async getLastCommitDate(owner, name, branch) {
+    if (!branch) {
+      return null;
+    }
+
+    try {
+      const { data } = await this.request(`${this.getRepoPath(owner, name)}/branches/${encodeURIComponent(branch)}`);
+      return data.commit?.timestamp || null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Raw file contents on a ref (default branch when omitted); null when the file is missing
+   */
+  async getFileContents(owner, name, filePath, ref) {
+    const encodedPath = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+
+    try {
+      const { data } = await this.request(`${this.getRepoPath(owner, name)}/raw/${encodedPath}`, {
+        query: { ref },
+        raw: true
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every file path on a ref from the recursive git tree, read page by page
+   * (an empty repository has none)
+   */
+  async listFiles(owner, name, ref) {
+    if (!ref) {
+      return { paths: [], truncated: false };
+    }
+
+    const paths = [];
+
+    try {
+      for (let page = 1; ; page++) {
+        const { data } = await this.request(`${this.getRepoPath(owner, name)}/git/trees/${encodeURIComponent(ref)}`, {
+          query: { recursive: true, per_page: 1000, page }
+        });
+        const entries = data.tree || [];
+        paths.push(...entries.filter(entry => entry.type === 'blob').map(entry => entry.path));
+
+        // Gitea flags every page but the last as truncated
+        if (!data.truncated || entries.length === 0) {
+          return { paths, truncated: false };
+        }
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        return { paths: [], truncated: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Weekly commit totals for the last year (an empty repository has none)
+   */
+  async getCommitActivity(owner, name) {
+    let commits;
+
+    try {
+      commits = await this.paginate(`${this.getRepoPath(owner, name)}/commits`, {
+        since: this.getActivitySince().toISOString(),
+        stat: false,
+        files: false
+      }, { pageSize: PAGE_SIZE, sizeParam: 'limit' });
+    } catch (error) {
+      // 409: Git Repository is empty
+      if (error.status !== 409) {
+        throw error;
+      }
+      commits = [];
+    }
+
+    return this.groupCommitsByWeek(commits.map(commit => commit.created || commit.commit.committer.date));
+  }
+
+  /**
+   * Gitea has no contributor statistics endpoint
+   */
+  async getContributors() {
+    return null;
+  }
+
+  /**
+   * Issues and pull requests updated since a date (Gitea lists both as issues)
+   */
+  async getIssueActivity(owner, name, since) {
+    const list = type => this.paginate(`${this.getRepoPath(owner, name)}/issues`, {
+      state: 'all',
+      type,
+      since: since.toISOString()
+    }, { pageSize: PAGE_SIZE, sizeParam: 'limit' });
+
+    const issues = await list('issues');
+    const pulls = await list('pulls');
+
+    return {
+      issues: issues.map(issue => ({ created_at: issue.created_at, closed_at: issue.closed_at })),
+      pull_requests: pulls.map(pull => ({
+        created_at: pull.created_at,
+        merged_at: pull.pull_request?.merged_at || null,
+        closed_at: pull.closed_at
+      }))
+    };
+  }
+}
+
+module.exports = GiteaProvider;
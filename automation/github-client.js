@@ -0,0 +1,359 @@
+/**
+ * GitHub Client
+ * Shared Octokit factory with fixture record/replay. Record mode captures real API
+ * responses (secrets scrubbed, unread stats fields trimmed) into fixtures/github;
+ * replay mode serves them back through the same Octokit code path, so offline runs
+ * behave like production.
+ * Live and record runs revalidate GET responses through the shared HTTP cache.
+ */
+
+const { Octokit } = require('@octokit/rest');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const HttpCache = require('./http-cache');
+const RequestScheduler = require('./request-scheduler');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Response headers worth keeping in fixtures (pagination, caching, rate limits)
+const KEPT_HEADERS = [
+  'content-type',
+  'etag',
+  'last-modified',
+  'link',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset',
+  'x-ratelimit-used'
+];
+
+// Bulky per-item fields no consumer reads, dropped from recorded list responses
+const TRIMMED_FIELDS = [
+  { path: /\/stats\/commit_activity$/, fields: ['days'] },
+  { path: /\/stats\/contributors$/, fields: ['weeks'] }
+];
+
+const SECRET_KEY_PATTERN = /token|secret|password|private_key|authorization/i;
+const SECRET_VALUE_PATTERN = /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g;
+const REDACTED = '[REDACTED]';
+
+// One scheduler per credential: every client using the same token shares its rate limit
+const schedulers = new Map();
+
+class GitHubClient {
+  constructor({
+    auth = process.env.GITHUB_TOKEN,
+    fixturesDir = process.env.GITHUB_FIXTURES_DIR,
+    baseUrl = process.env.GITHUB_API_URL
+  } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.fixturesDir = fixturesDir || path.join(this.baseDir, 'fixtures', 'github');
+    this.hasToken = !!auth;
+
+    // live/record need a token; without one, runs replay the recorded fixtures
+    this.mode = (process.env.GITHUB_FIXTURE_MODE || (this.hasToken ? 'live' : 'replay')).toLowerCase();
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown GitHub fixture mode: ${this.mode} (expected ${MODES.join(', ')})`);
+    }
+
+    if (this.mode === 'record' && !this.hasToken) {
+      throw new Error('GITHUB_FIXTURE_MODE=record needs GITHUB_TOKEN to call the real API');
+    }
+
+    // baseUrl points at GitHub Enterprise Server or a local stand-in API
+    this.octokit = new Octokit({ auth, ...(baseUrl ? { baseUrl } : {}) });
+    const namespace = auth ? crypto.createHash('sha1').update(auth).digest('hex').slice(0, 16) : 'anonymous';
+    this.cache = new HttpCache({ namespace });
+
+    if (!schedulers.has(namespace)) {
+      schedulers.set(namespace, new RequestScheduler());
+    }
+    this.scheduler = schedulers.get(namespace);
+
+    // Hooks nest outward in install order: fixtures wrap the cache, which wraps the
+    // scheduler, so recordings capture full responses and 304s still pass the scheduler
+    this.installSchedulerHook();
+    this.installCacheHook();
+    this.installFixtureHook();
+  }
+
+  /**
+   * Whether API data is available (live token or recorded fixtures)
+   */
+  isAvailable() {
+    return this.hasToken || (this.mode === 'replay' && fs.existsSync(this.fixturesDir));
+  }
+
+  /**
+   * Human-readable description of where API data comes from
+   */
+  describeMode() {
+    switch (this.mode) {
+      case 'record':
+        return `Recording API responses to ${path.relative(this.baseDir, this.fixturesDir)}`;
+      case 'replay':
+        return `Replaying recorded fixtures from ${path.relative(this.baseDir, this.fixturesDir)}`;
+      default:
+        return 'Live GitHub API';
+    }
+  }
+
+  /**
+   * Run every network request through the shared rate-limit-aware scheduler
+   */
+  installSchedulerHook() {
+    if (this.mode === 'replay') {
+      return;
+    }
+
+    this.octokit.hook.wrap('request', (request, options) =>
+      this.scheduler.schedule(() => request(options), this.scheduler.getResource(options.url)));
+  }
+
+  /**
+   * Check that a run of about `requests` calls fits the rate limit budget (replay has none).
+   * Throws a RATE_LIMIT_EXCEEDED error when it would need a longer wait than allowed.
+   */
+  async checkRateBudget(requests, label) {
+    if (this.mode === 'replay') {
+      return null;
+    }
+
+    if (!this.scheduler.limits.core) {
+      try {
+        const { data } = await this.octokit.rest.rateLimit.get();
+        this.scheduler.update({
+          'x-ratelimit-resource': 'core',
+          'x-ratelimit-limit': String(data.resources.core.limit),
+          'x-ratelimit-remaining': String(data.resources.core.remaining),
+          'x-ratelimit-reset': String(data.resources.core.reset)
+        });
+      } catch (error) {
+        // Unknown budget (e.g. a stand-in API without /rate_limit): the scheduler learns it from responses
+        return null;
+      }
+    }
+
+    return this.scheduler.checkBudget(requests, label);
+  }
+
+  /**
+   * Send GET requests conditionally when a cached copy exists; a 304 is answered
+   * from the cache. Replay never reaches the network, so it skips the cache.
+   */
+  installCacheHook() {
+    if (this.mode === 'replay') {
+      return;
+    }
+
+    this.octokit.hook.wrap('request', async (request, options) => {
+      const endpoint = this.octokit.request.endpoint.parse(options);
+
+      if (endpoint.method !== 'GET') {
+        return request(options);
+      }
+
+      const requestPath = this.getRequestPath(endpoint.url);
+      const entry = this.cache.get(requestPath);
+
+      if (entry) {
+        options.headers = { ...options.headers, ...this.cache.getConditionalHeaders(entry) };
+      }
+
+      try {
+        const response = await request(options);
+        this.cache.recordMiss(this.cache.store(requestPath, response));
+        return response;
+      } catch (error) {
+        if (error.status === 304 && entry) {
+          this.cache.recordHit();
+          return {
+            status: entry.status,
+            url: endpoint.url,
+            headers: { ...entry.headers, ...error.response?.headers },
+            data: entry.data
+          };
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Route every Octokit request (REST, pagination and GraphQL) through the fixture store
+   */
+  installFixtureHook() {
+    if (this.mode === 'live') {
+      return;
+    }
+
+    this.octokit.hook.wrap('request', async (request, options) => {
+      const endpoint = this.octokit.request.endpoint.parse(options);
+      const readOnly = this.isReadRequest(endpoint);
+
+      if (this.mode === 'replay') {
+        if (!readOnly) {
+          throw new Error(`Replay mode is read-only: ${endpoint.method} ${this.getRequestPath(endpoint.url)} was not sent`);
+        }
+
+        return this.replay(endpoint);
+      }
+
+      const response = await request(options);
+
+      if (readOnly) {
+        this.record(endpoint, response);
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * GET requests and GraphQL queries are recorded; mutations never are
+   */
+  isReadRequest(endpoint) {
+    if (endpoint.method === 'GET') {
+      return true;
+    }
+
+    return endpoint.method === 'POST' &&
+      this.getRequestPath(endpoint.url) === '/graphql' &&
+      !/^\s*mutation\b/.test(this.getRequestBody(endpoint)?.query || '');
+  }
+
+  /**
+   * Request body as a plain object (null for bodiless requests)
+   */
+  getRequestBody(endpoint) {
+    if (!endpoint.body) {
+      return null;
+    }
+
+    return typeof endpoint.body === 'string' ? JSON.parse(endpoint.body) : { ...endpoint.body };
+  }
+
+  /**
+   * Serve a recorded response, or fail like a 404 when nothing was recorded
+   */
+  replay(endpoint) {
+    const fixturePath = this.getFixturePath(endpoint);
+
+    if (!fs.existsSync(fixturePath)) {
+      const error = new Error(`No recorded fixture for ${endpoint.method} ${this.getRequestPath(endpoint.url)} (record one with GITHUB_FIXTURE_MODE=record)`);
+      error.status = 404;
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return {
+      status: fixture.response.status,
+      url: endpoint.url,
+      headers: fixture.response.headers,
+      data: fixture.response.data
+    };
+  }
+
+  /**
+   * Save a scrubbed copy of a real response
+   */
+  record(endpoint, response) {
+    const headers = {};
+    KEPT_HEADERS.forEach(name => {
+      if (response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    });
+
+    const fixture = {
+      recorded_at: new Date().toISOString(),
+      request: {
+        method: endpoint.method,
+        url: this.getRequestPath(endpoint.url),
+        ...(endpoint.body ? { body: this.scrub(this.getRequestBody(endpoint)) } : {})
+      },
+      response: {
+        status: response.status,
+        headers: this.scrub(headers),
+        data: this.scrub(this.trim(this.getRequestPath(endpoint.url), response.data))
+      }
+    };
+
+    if (!fs.existsSync(this.fixturesDir)) {
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.getFixturePath(endpoint), JSON.stringify(fixture, null, 2));
+  }
+
+  /**
+   * Drop the TRIMMED_FIELDS of list items recorded from a matching endpoint
+   */
+  trim(requestPath, data) {
+    const pathname = requestPath.split('?')[0];
+    const trimmed = TRIMMED_FIELDS.filter(({ path: pattern }) => pattern.test(pathname));
+
+    if (trimmed.length === 0 || !Array.isArray(data)) {
+      return data;
+    }
+
+    const fields = trimmed.flatMap(entry => entry.fields);
+    return data.map(item => Object.fromEntries(Object.entries(item).filter(([key]) => !fields.includes(key))));
+  }
+
+  /**
+   * Recursively redact secret-looking keys and token-shaped strings
+   */
+  scrub(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.scrub(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const scrubbed = {};
+      Object.entries(value).forEach(([key, item]) => {
+        scrubbed[key] = SECRET_KEY_PATTERN.test(key) && item !== null && typeof item !== 'object' ?
+          REDACTED :
+          this.scrub(item);
+      });
+      return scrubbed;
+    }
+
+    return typeof value === 'string' ? value.replace(SECRET_VALUE_PATTERN, REDACTED) : value;
+  }
+
+  /**
+   * Request path relative to the API base URL, with sorted query parameters
+   * and any access token stripped
+   */
+  getRequestPath(url) {
+    const parsed = new URL(url, 'https://api.github.com');
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => key !== 'access_token')
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+
+    return `${parsed.pathname}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Fixture file for a request: readable method and path, plus a body hash for GraphQL
+   */
+  getFixturePath(endpoint) {
+    const requestPath = this.getRequestPath(endpoint.url);
+    const body = this.getRequestBody(endpoint);
+    const bodyHash = body ?
+      `-${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex').slice(0, 12)}` :
+      '';
+    const fileName = `${endpoint.method} ${requestPath}`
+      .replace(/[^A-Za-z0-9._=-]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    return path.join(this.fixturesDir, `${fileName}${bodyHash}.json`);
+  }
+}
+
+module.exports = GitHubClient;
@@ -0,0 +1,386 @@
+/**
+ * GitHub Provider
+ * Repository provider backed by the shared GitHub client (live, recording or
+ * replaying fixtures). Lists repositories through paginated REST listings or,
+ * with apiMode "graphql", in bulk with languages and topics included.
+ */
+
+const GitHubClient = require('./github-client');
+const RepositoryProvider = require('./repository-provider');
+
+const API_MODES = ['rest', 'graphql'];
+
+// GitHub answers 202 while it computes repository statistics; poll with exponential backoff
+const STATS_RETRIES = parseInt(process.env.GITHUB_STATS_RETRIES || '4', 10);
+const STATS_BACKOFF_MS = parseInt(process.env.GITHUB_STATS_BACKOFF_MS || '1000', 10);
+
+class GitHubProvider extends RepositoryProvider {
+  constructor({ client = new GitHubClient(), apiMode = 'rest', ...config } = {}) {
+    super({ name: 'github', type: 'github', token_env: 'GITHUB_TOKEN', ...config });
+    this.gitUsername = 'x-access-token';
+    this.client = client;
+    this.github = client.octokit;
+    this.apiMode = apiMode;
+
+    if (!API_MODES.includes(this.apiMode)) {
+      throw new Error(`Unknown discovery API mode: ${this.apiMode} (expected rest or graphql)`);
+    }
+  }
+
+  /**
+   * Whether API data is available (live token or recorded fixtures)
+   */
+  isAvailable() {
+    return this.client.isAvailable();
+  }
+
+  /**
+   * Human-readable description of where repository data comes from
+   */
+  describeMode() {
+    return this.client.describeMode();
+  }
+
+  /**
+   * List every repository of an owner as discovery records
+   */
+  async listRepositories(owner) {
+    return this.apiMode === 'graphql' ?
+      this.fetchRepositoriesGraphQL(owner.login) :
+      this.fetchRepositoriesRest(owner);
+  }
+
+  /**
+   * Fetch every repository of an owner through the paginated REST listings
+   */
+  async fetchRepositoriesRest(owner) {
+    let repos;
+
+    if (owner.type === 'organization') {
+      repos = await this.github.paginate(this.github.repos.listForOrg, {
+        org: owner.login,
+        type: 'all',
+        sort: 'updated',
+        per_page: 100
+      });
+    } else if (owner.login === await this.getAuthenticatedLogin()) {
+      // listForUser only returns public repositories, even for the token owner
+      repos = await this.github.paginate(this.github.repos.listForAuthenticatedUser, {
+        affiliation: 'owner',
+        visibility: 'all',
+        sort: 'updated',
+        per_page: 100
+      });
+    } else {
+      repos = await this.github.paginate(this.github.repos.listForUser, {
+        username: owner.login,
+        type: 'owner',
+        sort: 'updated',
+        per_page: 100
+      });
+    }
+
+    return repos.map(repo => ({
+      provider: this.name,
+      node_id: repo.node_id,
+      name: repo.name,
+      full_name: repo.full_name,
+      private: repo.private,
+      language: repo.language,
+      languages: null,
+      description: repo.description,
+      updated_at: repo.updated_at,
+      pushed_at: repo.pushed_at,
+      size: repo.size,
+      stargazers_count: repo.stargazers_count,
+      forks_count: repo.forks_count,
+      open_issues_count: repo.open_issues_count,
+      topics: repo.topics || [],
+      default_branch: repo.default_branch,
+      license: repo.license?.spdx_id || null,
+      fork: repo.fork,
+      is_template: !!repo.is_template,
+      archived: repo.archived,
+      disabled: repo.disabled
+    }));
+  }
+
+  /**
+   * Fetch every repository of an owner with languages, topics, default branch
+   * and license in bulk (100 repositories per round-trip)
+   */
+  async fetchRepositoriesGraphQL(login) {
+    const query = `
+      query ($login: String!, $cursor: String) {
+        repositoryOwner(login: $login) {
+          repositories(first: 100, after: $cursor, ownerAffiliations: OWNER, orderBy: { field: UPDATED_AT, direction: DESC }) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id
+              name
+              nameWithOwner
+              isPrivate
+              description
+              updatedAt
+              pushedAt
+              diskUsage
+              stargazerCount
+              forkCount
+              isFork
+              isTemplate
+              isArchived
+              isDisabled
+              issues(states: OPEN) { totalCount }
+              pullRequests(states: OPEN) { totalCount }
+              primaryLanguage { name }
+              languages(first: 20, orderBy: { field: SIZE, direction: DESC }) {
+                edges { size node { name } }
+              }
+              repositoryTopics(first: 20) { nodes { topic { name } } }
+              defaultBranchRef { name }
+              licenseInfo { spdxId }
+            }
+          }
+        }
+      }
+    `;
+
+    const repos = [];
+    let cursor = null;
+
+    do {
+      const { repositoryOwner } = await this.github.graphql(query, { login, cursor });
+
+      if (!repositoryOwner) {
+        throw new Error(`Owner ${login} not found`);
+      }
+
+      const { nodes, pageInfo } = repositoryOwner.repositories;
+      repos.push(...nodes.map(repo => this.normalizeGraphQLRepository(repo)));
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+
+    return repos;
+  }
+
+  /**
+   * Map a GraphQL repository node onto the REST-shaped discovery record
+   */
+  normalizeGraphQLRepository(repo) {
+    const languages = {};
+    repo.languages.edges.forEach(edge => {
+      languages[edge.node.name] = edge.size;
+    });
+
+    return {
+      provider: this.name,
+      node_id: repo.id,
+      name: repo.name,
+      full_name: repo.nameWithOwner,
+      private: repo.isPrivate,
+      language: repo.primaryLanguage?.name || null,
+      languages,
+      description: repo.description,
+      updated_at: repo.updatedAt,
+      pushed_at: repo.pushedAt,
+      size: repo.diskUsage,
+      stargazers_count: repo.stargazerCount,
+      forks_count: repo.forkCount,
+      open_issues_count: repo.issues.totalCount + repo.pullRequests.totalCount,
+      topics: repo.repositoryTopics.nodes.map(node => node.topic.name),
+      default_branch: repo.defaultBranchRef?.name || null,
+      license: repo.licenseInfo?.spdxId || null,
+      fork: repo.isFork,
+      is_template: repo.isTemplate,
+      archived: repo.isArchived,
+      disabled: repo.isDisabled
+    };
+  }
+
+  /**
+   * Get (and cache) the login of the token owner
+   */
+  async getAuthenticatedLogin() {
+    if (this.authenticatedLogin === undefined) {
+      try {
+        const { data } = await this.github.users.getAuthenticated();
+        this.authenticatedLogin = data.login;
+      } catch (error) {
+        this.authenticatedLogin = null;
+      }
+    }
+
+    return this.authenticatedLogin;
+  }
+
+  /**
+   * Language byte counts
+   */
+  async getLanguages(owner, name) {
+    const { data } = await this.github.rest.repos.listLanguages({ owner, repo: name });
+    return data;
+  }
+
+  /**
+   * Repository metadata used by the stats collector
+   */
+  async getMetadata(owner, name) {
+    const { data } = await this.github.rest.repos.get({ owner, repo: name });
+
+    return {
+      // A size of 0 also means GitHub has not computed it yet (fresh pushes, tiny
+      // repositories), so only the git tree decides whether there are no commits
+      empty: data.size === 0 && await this.isEmpty(owner, name, data.default_branch),
+      private: data.private,
+      description: data.description,
+      stars: data.stargazers_count,
+      forks: data.forks_count,
+      default_branch: data.default_branch,
+      clone_url: data.clone_url || `https://github.com/${owner}/${name}.git`,
+      pushed_at: data.pushed_at,
+      updated_at: data.updated_at,
+      archived: data.archived,
+      size: data.size
+    };
+  }
+
+  /**
+   * Whether a repository has no commits: its git tree answers 409 (Git Repository is empty)
+   */
+  async isEmpty(owner, name, ref) {
+    try {
+      await this.github.rest.git.getTree({ owner, repo: name, tree_sha: ref });
+      return false;
+    } catch (error) {
+      if (error.status === 409) {
+        return true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Raw file contents on a ref (default branch when omitted); null when the file is missing
+   */
+  async getFileContents(owner, name, filePath, ref) {
+    try {
+      const { data } = await this.github.rest.repos.getContent({
+        owner,
+        repo: name,
+        path: filePath,
+        ref,
+        mediaType: { format: 'raw' }
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every file path on a ref from the recursive git tree (empty repositories have none)
+   */
+  async listFiles(owner, name, ref) {
+    if (!ref) {
+      return { paths: [], truncated: false };
+    }
+
+    try {
+      const { data } = await this.github.rest.git.getTree({ owner, repo: name, tree_sha: ref, recursive: 'true' });
+      return {
+        paths: data.tree.filter(item => item.type === 'blob').map(item => item.path),
+        truncated: !!data.truncated
+      };
+    } catch (error) {
+      // 409: Git Repository is empty
+      if (error.status === 409) {
+        return { paths: [], truncated: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Weekly commit totals for the last year; null while GitHub is still computing them
+   */
+  async getCommitActivity(owner, name) {
+    const weeks = await this.requestStatistics(this.github.rest.repos.getCommitActivityStats, { owner, repo: name });
+
+    return weeks && weeks.map(week => ({
+      week: new Date(week.week * 1000).toISOString().slice(0, 10),
+      total: week.total
+    }));
+  }
+
+  /**
+   * Contributors by commit count (top 100); null while GitHub is still computing them
+   */
+  async getContributors(owner, name) {
+    const contributors = await this.requestStatistics(this.github.rest.repos.getContributorsStats, { owner, repo: name });
+
+    return contributors && contributors
+      .map(contributor => ({ login: contributor.author?.login || null, total: contributor.total }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Issues and pull requests updated since a date. The issues listing includes pull
+   * requests (with merged_at); it is read newest-updated first and stops at `since`,
+   * which keeps the request (and its recorded fixture) the same from run to run.
+   */
+  async getIssueActivity(owner, name, since) {
+    const items = await this.github.paginate(this.github.rest.issues.listForRepo, {
+      owner,
+      repo: name,
+      state: 'all',
+      sort: 'updated',
+      direction: 'desc',
+      per_page: 100
+    }, (response, done) => {
+      const recent = response.data.filter(item => new Date(item.updated_at) >= since);
+      if (recent.length < response.data.length) {
+        done();
+      }
+      return recent;
+    });
+
+    return {
+      issues: items
+        .filter(item => !item.pull_request)
+        .map(item => ({ created_at: item.created_at, closed_at: item.closed_at })),
+      pull_requests: items
+        .filter(item => item.pull_request)
+        .map(item => ({ created_at: item.created_at, merged_at: item.pull_request.merged_at || null, closed_at: item.closed_at }))
+    };
+  }
+
+  /**
+   * Call a /stats endpoint, polling while GitHub computes the statistics (202).
+   * Returns [] for empty repositories (204) and null if they are still pending
+   * after the last retry. Replayed fixtures never change, so replay does not wait.
+   */
+  async requestStatistics(endpoint, params) {
+    for (let attempt = 0; attempt <= STATS_RETRIES; attempt++) {
+      const response = await endpoint(params);
+
+      if (response.status === 204) {
+        return [];
+      }
+
+      if (response.status !== 202 && Array.isArray(response.data)) {
+        return response.data;
+      }
+
+      if (attempt < STATS_RETRIES && this.client.mode !== 'replay') {
+        await new Promise(resolve => setTimeout(resolve, STATS_BACKOFF_MS * 2 ** attempt));
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = GitHubProvider;
@@ -2,49 +2,79 @@
 
 /**
  * GitHub Stats Collector
- * Collects language statistics and repository data from GitHub API
- * for cross-organization analysis and visualization
+ * Collects language statistics and repository data from GitHub API (and any
+ * GitLab/Gitea providers) for cross-organization analysis and visualization
  */
 
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+const GitHubClient = require('./github-client');
+const RepositoryProviders = require('./repository-providers');
+const RequestScheduler = require('./request-scheduler');
+const VisibilityPolicy = require('./visibility-policy');
+const StatsSnapshotStore = require('./stats-snapshot-store');
+const LanguageTrends = require('./language-trends');
+const ActivityCollector = require('./activity-collector');
+const LineCounter = require('./line-counter');
+const RepositoryClones = require('./repository-clones');
+const LanguageRegistry = require('./language-registry');
+const StatsExporter = require('./stats-exporter');
+
+// repos.get, languages, commit activity, contributors and the issues listing
+const REQUESTS_PER_REPOSITORY = 5;
+// Days languages and line counts may be carried forward before a repository is collected again in full
+const MAX_CARRY_FORWARD_DAYS = parseInt(process.env.STATS_MAX_CARRY_FORWARD_DAYS || '7', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class GitHubStatsCollector {
-  constructor() {
+  constructor({
+    full = false,
+    refresh = (process.env.STATS_REFRESH_REPOSITORIES || '').split(',').filter(Boolean)
+  } = {}) {
     this.baseDir = path.dirname(__dirname);
     this.outputDir = path.join(this.baseDir, 'docs', 'analytics');
     this.cacheDir = path.join(this.baseDir, '.github-stats-cache');
     
-    // Organization and repository configuration (auto-updated by ecosystem-auto-discovery)
-            this.organizations =     {
-          "DevBusinessHub": [
-                "business-management",
-                "automation-tools",
-                "Test",
-                "client-investigation", 
-                "client-language-platform"
-          ],
-          "DevPersonalHub": [
-                "external-learning-platforms",
-                "learning-projects",
-                "portfolio-website",
-                "technical-showcase"
-          ],
-          "DevAcademicHub": [
-                "academic-portfolio",
-                "collaborative-projects",
-                "Test2"
-          ],
-          "DevEcosystem": [
-                "ecosystem-central-command",
-                "ecosystem-automation-tools"
-          ]
-    };
+    // GitHub API (live, recording or replaying fixtures)
+    this.client = new GitHubClient();
+    this.github = this.client.octokit;
+    
+    // Organization and repository configuration: discovered repositories from the
+    // registry, falling back to those declared in config/ecosystem-manifest.json
+    this.manifest = new EcosystemManifest();
+    this.registry = new RepositoryRegistry();
+    this.providers = new RepositoryProviders(this.manifest, { client: this.client });
+    this.visibility = new VisibilityPolicy(this.manifest, this.registry);
+    this.snapshots = new StatsSnapshotStore(this.manifest, { snapshotDir: this.cacheDir });
+    this.languages = new LanguageRegistry();
+    this.trends = new LanguageTrends(this.snapshots, this.manifest.getTrendSettings(), this.languages);
+    this.activity = new ActivityCollector();
+    
+    // Real line counts from repository clones instead of language bytes (line_counting.mode)
+    this.lineCounting = this.manifest.getLineCounting();
+    this.lineCounter = new LineCounter(this.lineCounting);
+    this.clones = new RepositoryClones(this.lineCounting);
+    this.organizations = this.registry.exists() ?
+      this.registry.getRepositoriesByOwner() :
+      this.manifest.getRepositoriesByOwner();
+    
+    // Incremental collection: repositories not pushed to since the last run carry their
+    // languages and line counts forward (activity is always fetched again, as pull requests
+    // and issues change without pushes), for at most MAX_CARRY_FORWARD_DAYS.
+    // `full` re-fetches everything; `refresh` (owner/name list) re-fetches only those
+    // repositories and keeps every other one as last collected.
+    this.full = full;
+    this.refresh = refresh;
+    this.statePath = path.join(this.cacheDir, 'repository-state.json');
+    this.repositoryState = this.loadRepositoryState();
     
     this.stats = {
       collected_at: new Date().toISOString(),
       organizations: {},
       ecosystem_totals: {},
+      activity: {},
       trends: {},
       metadata: {}
     };
@@ -73,21 +103,26 @@ class GitHubStatsCollector {
     console.log('====================================');
     
     try {
-      // Check GitHub token
-      if (!process.env.GITHUB_TOKEN) {
-        console.log('⚠️ GITHUB_TOKEN not set - using mock data for development');
-        console.log('💡 Mock data provides realistic development experience without API limits');
-        console.log('🚀 Real data collection happens automatically via GitHub Actions');
-        await this.generateMockStats();
-      } else {
-        console.log('🔑 Using GitHub API with provided token');
-        await this.collectRealStats();
+      if (!this.providers.getAll().some(provider => provider.isAvailable())) {
+        throw new Error('Set GITHUB_TOKEN, or record fixtures with GITHUB_FIXTURE_MODE=record');
+      }
+      
+      console.log(`🔑 Using ${this.client.describeMode()}`);
+      this.providers.getAll().slice(1).forEach(provider => {
+        console.log(`🔌 ${provider.name}: ${provider.describeMode()}`);
+      });
+      if (this.lineCounting.mode !== 'off') {
+        console.log(`🧮 Counting lines from ${this.lineCounting.mode === 'clone' ? 'shallow clones' : 'local clones'} in ${this.lineCounting.clones_dir}`);
       }
+      await this.collectRealStats();
+      this.applyVisibilityPolicy();
+      this.summarizeRepositoryStatus();
+      this.summarizeActivity();
       
       // Process and analyze collected data
       await this.processLanguageStatistics();
-      await this.calculateTrends();
       await this.generateEcosystemTotals();
+      await this.calculateTrends();
       
       // Save results
       await this.saveStats();
@@ -103,11 +138,24 @@ class GitHubStatsCollector {
   }
 
   /**
-   * Collect real stats from GitHub API
+   * Collect real stats from GitHub API. Repositories are collected concurrently;
+   * the shared request scheduler bounds concurrency and paces the rate limit.
    */
   async collectRealStats() {
     console.log('📡 Collecting data from GitHub API...');
     
+    const unknown = this.getUnknownRepositories(this.refresh);
+    if (unknown.length > 0) {
+      console.log(`  ⚠️ Not refreshing repositories that are not collected: ${unknown.join(', ')}`);
+      this.refresh = this.refresh.filter(fullName => !unknown.includes(fullName));
+    }
+    
+    const githubRepos = Object.entries(this.organizations)
+      .filter(([orgName]) => this.providers.forOwner(orgName).type === 'github')
+      .reduce((sum, [orgName, repositories]) =>
+        sum + repositories.filter(repoName => !this.isPinned(orgName, repoName)).length, 0);
+    await this.client.checkRateBudget(githubRepos * REQUESTS_PER_REPOSITORY, 'Stats collection');
+    
     for (const [orgName, repositories] of Object.entries(this.organizations)) {
       console.log(`🏢 Processing ${orgName}...`);
       
@@ -121,146 +169,396 @@ class GitHubStatsCollector {
         }
       };
       
-      for (const repoName of repositories) {
-        console.log(`  📊 Analyzing ${orgName}/${repoName}...`);
-        
-        try {
-          const repoStats = await this.getRepositoryStats(orgName, repoName);
-          this.stats.organizations[orgName].repositories[repoName] = repoStats;
-          
-          // Add delay to respect rate limits
-          await this.delay(200);
-          
-        } catch (error) {
-          console.log(`    ⚠️ Failed to get stats for ${repoName}: ${error.message}`);
-          this.stats.organizations[orgName].repositories[repoName] = {
-            error: error.message,
-            languages: {},
-            metadata: { accessible: false }
-          };
-        }
-      }
+      const results = await Promise.all(repositories.map(repoName => this.collectRepositoryStats(orgName, repoName)));
+      
+      // Assign in listing order so output does not depend on response timing
+      repositories.forEach((repoName, index) => {
+        this.stats.organizations[orgName].repositories[repoName] = results[index];
+      });
     }
+    
+    const records = Object.values(this.stats.organizations).flatMap(orgData => Object.values(orgData.repositories));
+    const carriedForward = records.filter(repoData => repoData.metadata?.carried_forward_from).length;
+    this.stats.metadata.collection = {
+      mode: this.full ? 'full' : this.refresh.length > 0 ? 'repository' : 'incremental',
+      refreshed: records.length - carriedForward,
+      carried_forward: carriedForward
+    };
+    console.log(`  ✓ ${records.length - carriedForward} repositories collected, ${carriedForward} carried forward unchanged`);
+    
+    this.saveRepositoryState();
   }
 
   /**
-   * Generate mock stats for development/testing
+   * Collection state of the last runs: per repository, the pushed_at and default
+   * branch its stats were collected at, the line counting mode and the stats themselves
    */
-  async generateMockStats() {
-    console.log('🧪 Generating mock stats for development...');
-    
-    const mockLanguages = {
-      'DevBusinessHub': {
-        'business-management': {
-          'TypeScript': 2060, 'JavaScript': 890, 'CSS': 144, 'SCSS': 67
-        },
-        'automation-tools': {
-          'JavaScript': 1800, 'Node.js': 1200, 'JSON': 340, 'Shell': 180
-        },
-        'Test': {
-          'JavaScript': 890, 'HTML': 234, 'CSS': 120
-        },
-        'client-investigation': {
-          'TypeScript': 2450, 'JavaScript': 680, 'CSS': 250, 'HTML': 120
-        },
-        'client-language-platform': {
-          'JavaScript': 2890, 'TypeScript': 1560, 'CSS': 780, 'HTML': 445, 'Python': 340
-        }
-      },
-      'DevPersonalHub': {
-        'external-learning-platforms': {
-          'JavaScript': 2762, 'Python': 890, 'HTML': 345, 'CSS': 234
-        },
-        'learning-projects': {
-          'JavaScript': 1890, 'Python': 780, 'Markdown': 345, 'CSS': 234
-        },
-        'portfolio-website': {
-          'TypeScript': 1890, 'CSS': 567, 'HTML': 234, 'SCSS': 123
-        },
-        'technical-showcase': {
-          'JavaScript': 1456, 'Python': 567, 'CSS': 234, 'HTML': 123
-        }
-      },
-      'DevAcademicHub': {
-        'academic-portfolio': {
-          'Python': 1890, 'JavaScript': 567, 'HTML': 234, 'CSS': 123
-        },
-        'collaborative-projects': {
-          'Python': 2340, 'Java': 890, 'JavaScript': 456, 'C++': 234
-        },
-        'Test2': {
-          'Python': 1200, 'JavaScript': 340, 'HTML': 120, 'CSS': 80
-        }
-      },
-      'DevEcosystem': {
-        'ecosystem-central-command': {
-          'JavaScript': 4567, 'JSON': 890, 'Markdown': 345, 'Shell': 123
-        },
-        'ecosystem-automation-tools': {
-          'JavaScript': 2890, 'Node.js': 1200, 'JSON': 456, 'Shell': 234
-        }
+  loadRepositoryState() {
+    if (!fs.existsSync(this.statePath)) {
+      return { repositories: {} };
+    }
+    
+    try {
+      return { repositories: JSON.parse(fs.readFileSync(this.statePath, 'utf8')).repositories || {} };
+    } catch (error) {
+      console.log(`  ⚠️ Ignoring unreadable repository state ${this.statePath}: ${error.message}`);
+      return { repositories: {} };
+    }
+  }
+
+  /**
+   * Save the collection state (it holds private repositories unredacted and is never published)
+   */
+  saveRepositoryState() {
+    const repositories = {};
+    Object.entries(this.organizations).forEach(([orgName, repoNames]) => {
+      repoNames
+        .map(repoName => `${orgName}/${repoName}`)
+        .filter(fullName => this.repositoryState.repositories[fullName])
+        .forEach(fullName => {
+          repositories[fullName] = this.repositoryState.repositories[fullName];
+        });
+    });
+    
+    fs.writeFileSync(this.statePath, JSON.stringify({ updated_at: new Date().toISOString(), repositories }, null, 2));
+  }
+
+  /**
+   * State a repository's stats can be carried forward from: none on full runs, for
+   * stats collected under another line counting mode or more than MAX_CARRY_FORWARD_DAYS
+   * ago, or with statistics still missing
+   */
+  getReusableState(orgName, repoName) {
+    const entry = this.repositoryState.repositories[`${orgName}/${repoName}`];
+    const metadata = entry?.stats.metadata || {};
+    const age = entry ? Date.parse(this.stats.collected_at) - Date.parse(entry.collected_at) : NaN;
+    
+    if (this.full || !entry || entry.line_counting !== this.lineCounting.mode ||
+        !(age <= MAX_CARRY_FORWARD_DAYS * DAY_MS) ||
+        metadata.statistics_pending || metadata.statistics_error || metadata.line_count_error) {
+      return null;
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Repositories of an owner/name list that are not collected (unknown, excluded or archived)
+   */
+  getUnknownRepositories(fullNames) {
+    return fullNames.filter(fullName => {
+      const [orgName, repoName] = fullName.split('/');
+      return !(this.organizations[orgName] || []).includes(repoName);
+    });
+  }
+
+  /**
+   * Whether a repository is kept as last collected without any request
+   * (a refresh of other repositories, with its stats available)
+   */
+  isPinned(orgName, repoName) {
+    return this.refresh.length > 0 &&
+      !this.refresh.includes(`${orgName}/${repoName}`) &&
+      !!this.getReusableState(orgName, repoName);
+  }
+
+  /**
+   * Stats carried forward from the last collection. When the repository metadata was
+   * fetched they get current stars, forks and visibility and freshly collected activity,
+   * so only the push-dependent languages and line counts are reused.
+   */
+  carryForward(entry, repository = null, activity = null) {
+    return {
+      ...entry.stats,
+      ...(activity ? { activity: activity.activity } : {}),
+      metadata: {
+        ...entry.stats.metadata,
+        ...(repository ? { stars: repository.stars, forks: repository.forks, private: repository.private } : {}),
+        ...(activity ? activity.metadata : {}),
+        carried_forward_from: entry.collected_at
       }
     };
+  }
 
-    for (const [orgName, repos] of Object.entries(mockLanguages)) {
-      this.stats.organizations[orgName] = {
-        name: orgName,
-        repositories: {},
-        totals: {},
-        metadata: {
-          total_repositories: Object.keys(repos).length,
-          last_updated: new Date().toISOString(),
-          data_source: 'mock'
-        }
-      };
+  /**
+   * Collect one repository, recording a classified error entry when it fails.
+   * An exhausted rate limit budget aborts the whole run instead.
+   */
+  async collectRepositoryStats(orgName, repoName) {
+    const fullName = `${orgName}/${repoName}`;
+    const previous = this.getReusableState(orgName, repoName);
+    
+    if (this.isPinned(orgName, repoName)) {
+      console.log(`  ⏭️ ${fullName}: not refreshed, keeping stats from ${previous.collected_at}`);
+      return this.carryForward(previous);
+    }
+    
+    console.log(`  📊 Analyzing ${fullName}...`);
+    
+    try {
+      const repository = await this.providers.forOwner(orgName).getMetadata(orgName, repoName);
       
-      for (const [repoName, languages] of Object.entries(repos)) {
-        const totalLines = Object.values(languages).reduce((sum, lines) => sum + lines, 0);
-        
-        this.stats.organizations[orgName].repositories[repoName] = {
-          name: repoName,
-          languages: languages,
-          metadata: {
-            total_lines: totalLines,
-            primary_language: this.getPrimaryLanguage(languages),
-            last_updated: new Date().toISOString(),
-            stars: Math.floor(Math.random() * 100) + 10,
-            forks: Math.floor(Math.random() * 20) + 1,
-            accessible: true,
-            data_source: 'mock'
-          }
-        };
+      if (previous && !this.refresh.includes(fullName) && repository.pushed_at &&
+          repository.pushed_at === previous.pushed_at && repository.default_branch === previous.default_branch) {
+        console.log(`    ⏭️ ${repoName}: unchanged since ${previous.pushed_at}, keeping languages from ${previous.collected_at}`);
+        const activity = await this.getActivityStats(this.providers.forOwner(orgName), orgName, repoName, repository);
+        return this.carryForward(previous, repository, activity);
       }
+      
+      const stats = await this.getRepositoryStats(orgName, repoName, repository);
+      this.repositoryState.repositories[fullName] = {
+        pushed_at: repository.pushed_at || null,
+        default_branch: repository.default_branch || null,
+        line_counting: this.lineCounting.mode,
+        collected_at: this.stats.collected_at,
+        stats
+      };
+      return stats;
+    } catch (error) {
+      if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+        throw error;
+      }
+      
+      const status = this.classifyError(error);
+      console.log(`    ⚠️ Failed to get stats for ${repoName} (${status.replace('_', ' ')}): ${error.message}`);
+      return {
+        error: error.message,
+        languages: {},
+        metadata: { accessible: false, status }
+      };
     }
   }
 
   /**
-   * Get repository stats from GitHub API
+   * Get repository stats through the provider hosting the owner: metadata and
+   * languages, plus weekly commit, pull request and issue activity and contributors.
+   * Languages are code lines when line counting is on, otherwise the API's bytes,
+   * under canonical names; only code languages (per config/languages.json) count,
+   * data and prose (JSON, Markdown, ...) are kept apart as other_languages.
+   * Empty repositories are recorded with status "empty" instead of failing.
    */
-  async getRepositoryStats(orgName, repoName) {
-    // Simulate GitHub API call structure
-    // In production, this would make actual API calls
-    
-    const repoData = {
+  async getRepositoryStats(orgName, repoName, repository) {
+    const provider = this.providers.forOwner(orgName);
+    const languageBytes = repository.empty ? {} : await provider.getLanguages(orgName, repoName);
+    const lineCount = repository.empty ? null : await this.countLines(provider, orgName, repoName, repository);
+    const countedLines = lineCount && !lineCount.error;
+    const { code: languages, other: otherLanguages } = this.languages.split(countedLines ?
+      Object.fromEntries(Object.entries(lineCount.languages).map(([language, counts]) => [language, counts.code])) :
+      languageBytes);
+    const { activity, metadata: activityMetadata } = await this.getActivityStats(provider, orgName, repoName, repository);
+    
+    return {
       name: repoName,
-      languages: {},
+      languages,
+      ...(Object.keys(otherLanguages).length > 0 ? { other_languages: otherLanguages } : {}),
+      ...(countedLines ? { language_bytes: languageBytes, line_count: lineCount } : {}),
+      activity,
       metadata: {
-        total_lines: 0,
-        primary_language: '',
-        last_updated: new Date().toISOString(),
-        stars: 0,
-        forks: 0,
+        status: repository.empty ? 'empty' : 'ok',
+        total_lines: Object.values(languages).reduce((sum, lines) => sum + lines, 0),
+        line_unit: countedLines ? 'lines' : 'bytes',
+        ...(lineCount?.error ? { line_count_error: lineCount.error } : {}),
+        primary_language: this.getPrimaryLanguage(languages),
+        last_updated: repository.pushed_at || repository.updated_at,
+        stars: repository.stars,
+        forks: repository.forks,
+        private: repository.private,
+        ...activityMetadata,
+        provider: provider.name,
         accessible: true,
-        data_source: 'github_api'
+        data_source: provider.type !== 'github' ? `${provider.type}_api` :
+          (this.client.mode === 'replay' ? 'fixtures' : 'github_api')
+      }
+    };
+  }
+
+  /**
+   * Weekly commit, pull request and issue activity and contributors of a repository,
+   * with the metadata fields summarizing them
+   */
+  async getActivityStats(provider, orgName, repoName, repository) {
+    const activity = await this.activity.collectRepository(provider, orgName, repoName, { empty: repository.empty });
+    const { pending, error } = activity;
+    delete activity.pending;
+    delete activity.error;
+    
+    if (pending) {
+      console.log(`    ⏳ ${repoName}: statistics still being computed, will be collected on the next run`);
+    } else if (error) {
+      console.log(`    ⚠️ Activity unavailable for ${repoName}: ${error}`);
+    }
+    
+    return {
+      activity,
+      metadata: {
+        commits_last_year: activity.totals.commits,
+        active_weeks: activity.totals.active_weeks,
+        contributors: activity.contributors,
+        ...(pending ? { statistics_pending: true } : {}),
+        ...(error ? { statistics_error: error } : {})
       }
     };
+  }
 
-    // GitHub API endpoints that would be called:
-    // 1. GET /repos/{owner}/{repo}/languages
-    // 2. GET /repos/{owner}/{repo}
-    // 3. GET /repos/{owner}/{repo}/stats/code_frequency
+  /**
+   * Count code, comment and blank lines in a clone of the repository (null when line
+   * counting is off). Failures fall back to language bytes and are recorded.
+   */
+  async countLines(provider, orgName, repoName, repository) {
+    if (this.lineCounting.mode === 'off') {
+      return null;
+    }
     
-    return repoData;
+    try {
+      const directory = await this.clones.checkout(provider, orgName, repoName, repository);
+      return {
+        revision: await this.clones.getRevision(directory),
+        ...this.lineCounter.countDirectory(directory)
+      };
+    } catch (error) {
+      console.log(`    ⚠️ Line count unavailable for ${repoName}, using language bytes: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Roll repository activity up into organization and ecosystem activity
+   * (after the visibility policy, so hidden repositories are not counted)
+   */
+  summarizeActivity() {
+    const organizations = Object.values(this.stats.organizations);
+    
+    organizations.forEach(orgData => {
+      orgData.activity = this.activity.combine(Object.values(orgData.repositories)
+        .map(repoData => repoData.activity)
+        .filter(Boolean));
+    });
+    
+    this.stats.activity = this.activity.combine(organizations.map(orgData => orgData.activity));
+  }
+
+  /**
+   * Classify an API failure for a repository: not_found, forbidden, empty, rate_limited or error
+   */
+  classifyError(error) {
+    const headers = error.response?.headers || {};
+    
+    switch (error.status) {
+      case 404:
+        return 'not_found';
+      case 409:
+        // Git Repository is empty
+        return 'empty';
+      case 403:
+      case 429:
+        return headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] || error.status === 429 ?
+          'rate_limited' :
+          'forbidden';
+      case 401:
+      case 451:
+        return 'forbidden';
+      default:
+        return 'error';
+    }
+  }
+
+  /**
+   * Repositories whose stats could not be collected, with their status
+   */
+  getUnavailableRepositories() {
+    return Object.entries(this.stats.organizations).flatMap(([orgName, orgData]) =>
+      Object.entries(orgData.repositories)
+        .filter(([, repoData]) => repoData.metadata?.accessible === false)
+        .map(([repoName, repoData]) => ({ full_name: `${orgName}/${repoName}`, status: repoData.metadata.status || 'error' })));
+  }
+
+  /**
+   * How repositories were collected this run, e.g. "incremental (2 refreshed, 16 carried forward)"
+   */
+  describeCollection() {
+    const { mode, refreshed, carried_forward: carriedForward } = this.stats.metadata.collection;
+    return `${mode} (${refreshed} refreshed, ${carriedForward} carried forward)`;
+  }
+
+  /**
+   * Repositories whose lines could not be counted (they fall back to language bytes)
+   */
+  getLineCountFailures() {
+    return Object.entries(this.stats.organizations).flatMap(([orgName, orgData]) =>
+      Object.entries(orgData.repositories)
+        .filter(([, repoData]) => repoData.metadata?.line_count_error)
+        .map(([repoName, repoData]) => ({ full_name: `${orgName}/${repoName}`, error: repoData.metadata.line_count_error })));
+  }
+
+  /**
+   * Count repositories by collection status (ok, empty, not_found, forbidden, ...)
+   */
+  summarizeRepositoryStatus() {
+    const status = {};
+    
+    Object.values(this.stats.organizations).forEach(orgData => {
+      Object.values(orgData.repositories).forEach(repoData => {
+        const key = repoData.metadata?.status || 'ok';
+        status[key] = (status[key] || 0) + (repoData.metadata?.repository_count || 1);
+      });
+    });
+    
+    this.stats.metadata.repository_status = status;
+    return status;
+  }
+
+  /**
+   * Redact private repositories before anything is processed or written: hidden,
+   * aliased, or merged into one anonymous entry per organization
+   */
+  applyVisibilityPolicy() {
+    for (const [orgName, orgData] of Object.entries(this.stats.organizations)) {
+      const repos = Object.entries(orgData.repositories).map(([repoName, repoData]) => ({
+        owner: orgName,
+        name: repoName,
+        private: repoData.metadata?.private,
+        data: repoData
+      }));
+      const { mode, visible, aggregated } = this.visibility.apply('stats', repos);
+      
+      orgData.repositories = {};
+      visible.forEach(repo => {
+        orgData.repositories[repo.display_name] = { ...repo.data, name: repo.display_name };
+      });
+      
+      const accessible = aggregated.filter(repo => repo.data.metadata?.accessible);
+      if (accessible.length > 0) {
+        const languages = {};
+        accessible.forEach(repo => {
+          Object.entries(repo.data.languages).forEach(([language, lines]) => {
+            languages[language] = (languages[language] || 0) + lines;
+          });
+        });
+        
+        const label = this.visibility.getAggregateLabel(orgName, accessible.length);
+        orgData.repositories[label] = {
+          name: label,
+          languages,
+          activity: this.activity.combine(accessible.map(repo => repo.data.activity).filter(Boolean)),
+          metadata: {
+            total_lines: Object.values(languages).reduce((sum, lines) => sum + lines, 0),
+            line_unit: LineCounter.combineUnits(accessible.map(repo => repo.data.metadata.line_unit)),
+            primary_language: this.getPrimaryLanguage(languages),
+            commits_last_year: accessible.reduce((sum, repo) => sum + (repo.data.metadata.commits_last_year || 0), 0),
+            repository_count: accessible.length,
+            private: true,
+            aggregated: true,
+            accessible: true,
+            data_source: accessible[0].data.metadata.data_source
+          }
+        };
+      }
+      
+      const redacted = repos.length - visible.filter(repo => !repo.aliased).length;
+      if (redacted > 0) {
+        console.log(`  🔒 ${orgName}: ${redacted} private repositories ${mode === 'alias' ? 'aliased' : mode === 'hide' ? 'hidden' : 'aggregated'}`);
+      }
+    }
   }
 
   /**
@@ -277,7 +575,7 @@ class GitHubStatsCollector {
       // Aggregate languages across all repositories in organization
       for (const [repoName, repoData] of Object.entries(orgData.repositories)) {
         if (repoData.languages && repoData.metadata?.accessible) {
-          accessibleRepos++;
+          accessibleRepos += repoData.metadata.repository_count || 1;
           
           for (const [language, lines] of Object.entries(repoData.languages)) {
             languageTotals[language] = (languageTotals[language] || 0) + lines;
@@ -300,7 +598,11 @@ class GitHubStatsCollector {
       // Store processed statistics
       this.stats.organizations[orgName].totals = {
         total_lines: totalLines,
-        total_repositories: Object.keys(orgData.repositories).length,
+        line_unit: LineCounter.combineUnits(Object.values(orgData.repositories)
+          .filter(repoData => repoData.metadata?.accessible)
+          .map(repoData => repoData.metadata.line_unit)),
+        total_repositories: Object.values(orgData.repositories)
+          .reduce((sum, repoData) => sum + (repoData.metadata?.repository_count || 1), 0),
         accessible_repositories: accessibleRepos,
         languages: languageStats,
         primary_language: languageStats[0]?.language || 'Unknown',
@@ -343,6 +645,9 @@ class GitHubStatsCollector {
     
     this.stats.ecosystem_totals = {
       total_lines: ecosystemTotalLines,
+      line_unit: LineCounter.combineUnits(Object.values(this.stats.organizations)
+        .filter(orgData => orgData.totals.accessible_repositories > 0)
+        .map(orgData => orgData.totals.line_unit)),
       total_repositories: ecosystemTotalRepos,
       total_organizations: Object.keys(this.stats.organizations).length,
       languages: ecosystemStats,
@@ -379,112 +684,67 @@ class GitHubStatsCollector {
   }
 
   /**
-   * Calculate trends and growth patterns
+   * Calculate language trends over the configured time windows
    */
   async calculateTrends() {
     console.log('📈 Calculating trends...');
     
-    // Load historical data if available
-    const historyPath = path.join(this.cacheDir, 'language-history.json');
-    let history = { snapshots: [] };
+    this.stats.trends = this.trends.calculate(this.stats);
     
-    if (fs.existsSync(historyPath)) {
-      try {
-        history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
-      } catch (error) {
-        console.log('⚠️ Could not load historical data');
-      }
-    }
-    
-    // Add current snapshot to history
-    history.snapshots.push({
-      timestamp: new Date().toISOString(),
-      ecosystem_totals: this.stats.ecosystem_totals
+    Object.entries(this.stats.trends.windows).forEach(([key, window]) => {
+      console.log(window.available ?
+        `  ✓ ${key}: compared with ${window.baseline}` :
+        `  ⏭️ ${key}: ${window.reason}`);
     });
-    
-    // Keep only last 30 snapshots
-    if (history.snapshots.length > 30) {
-      history.snapshots = history.snapshots.slice(-30);
-    }
-    
-    // Calculate trends if we have historical data
-    if (history.snapshots.length >= 2) {
-      const current = history.snapshots[history.snapshots.length - 1];
-      const previous = history.snapshots[history.snapshots.length - 2];
-      
-      this.stats.trends = this.calculateLanguageTrends(previous, current);
-    } else {
-      this.stats.trends = {
-        available: false,
-        reason: 'Insufficient historical data',
-        snapshots_needed: 2,
-        snapshots_available: history.snapshots.length
-      };
-    }
-    
-    // Save updated history
-    fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
   }
 
   /**
-   * Calculate language trends between snapshots
+   * Activity table of the stats report: one row per organization plus the ecosystem
    */
-  calculateLanguageTrends(previous, current) {
-    const trends = {
-      available: true,
-      period: 'snapshot_to_snapshot',
-      languages: {}
-    };
-    
-    // Ensure languages array exists and is iterable
-    const currentLanguages = current.ecosystem_totals.languages || [];
-    const previousLanguages = previous.ecosystem_totals.languages || [];
-    
-    for (const currentLang of currentLanguages) {
-      const previousLang = previousLanguages.find(
-        lang => lang.language === currentLang.language
-      );
-      
-      if (previousLang) {
-        const linesDiff = currentLang.lines - previousLang.lines;
-        const percentageChange = previousLang.lines > 0 
-          ? ((linesDiff / previousLang.lines) * 100).toFixed(1)
-          : 0;
-        
-        trends.languages[currentLang.language] = {
-          current_lines: currentLang.lines,
-          previous_lines: previousLang.lines,
-          lines_change: linesDiff,
-          percentage_change: percentageChange,
-          trend: linesDiff > 0 ? 'growing' : linesDiff < 0 ? 'declining' : 'stable',
-          trend_icon: this.getTrendIcon(percentageChange)
-        };
-      } else {
-        trends.languages[currentLang.language] = {
-          current_lines: currentLang.lines,
-          previous_lines: 0,
-          lines_change: currentLang.lines,
-          percentage_change: '+100',
-          trend: 'new',
-          trend_icon: '🆕'
-        };
-      }
-    }
-    
-    return trends;
+  generateActivityReport() {
+    const formatCount = value => value === null || value === undefined ? 'n/a' : value.toLocaleString();
+    const row = (label, activity) => `| ${label} | ${formatCount(activity.totals.commits)} | ` +
+      `${formatCount(activity.totals.active_weeks)} | ${formatCount(activity.contributors)} | ` +
+      `${formatCount(activity.totals.prs_opened)} | ${formatCount(activity.totals.prs_merged)} | ` +
+      `${formatCount(activity.totals.issues_opened)} | ${formatCount(activity.totals.issues_closed)} |`;
+    
+    return [
+      '| Organization | Commits | Active Weeks | Contributors | PRs Opened | PRs Merged | Issues Opened | Issues Closed |',
+      '|--------------|---------|--------------|--------------|------------|------------|---------------|---------------|',
+      ...Object.entries(this.stats.organizations).map(([orgName, orgData]) => row(orgName, orgData.activity)),
+      row('**Ecosystem**', this.stats.activity)
+    ].join('\n');
   }
 
   /**
-   * Get trend icon based on percentage change
+   * Trends section of the stats report: default window per language, every window's
+   * ecosystem total, and organization totals over the default window
    */
-  getTrendIcon(percentageChange) {
-    const change = parseFloat(percentageChange);
-    if (change >= 20) return '🚀';
-    if (change >= 10) return '📈';
-    if (change >= 5) return '⬆️';
-    if (change > -5) return '➡️';
-    if (change > -10) return '⬇️';
-    return '📉';
+  generateTrendsReport() {
+    const trends = this.stats.trends;
+    const unit = LineCounter.describeUnit(this.stats.ecosystem_totals.line_unit);
+    const formatTrend = trend => `${trend.trend_icon} ${trend.percentage_change}% (${trend.trend})`;
+    let section = '';
+    
+    if (trends.available) {
+      const window = trends.windows[trends.window];
+      section += `### Language Growth Patterns (${trends.period})\n`;
+      section += Object.entries(trends.languages).slice(0, 5).map(([lang, trend]) =>
+        `- **${lang}**: ${formatTrend(trend)}`).join('\n');
+      section += `\n\n### Organizations (${trends.period})\n`;
+      section += Object.entries(window.organizations).map(([orgName, trend]) =>
+        `- **${orgName}**: ${trend.total.moving_average.toLocaleString()} ${unit}, ${formatTrend(trend.total)}`).join('\n');
+      section += '\n\n';
+    } else {
+      section += `**Trends (${trends.period})**: ${trends.reason}\n\n`;
+    }
+    
+    section += `### Windows\n| Window | Baseline | Total (${unit}) | Change |\n|--------|----------|-------------|--------|\n`;
+    section += Object.values(trends.windows).map(window => window.available ?
+      `| ${window.days} days | ${window.baseline.slice(0, 10)} | ${window.ecosystem.total.moving_average.toLocaleString()} | ${formatTrend(window.ecosystem.total)} |` :
+      `| ${window.days} days | - | - | not enough history |`).join('\n');
+    
+    return `${section}\n`;
   }
 
   /**
@@ -504,14 +764,22 @@ class GitHubStatsCollector {
     console.log('💾 Saving statistics...');
     
     const statsPath = path.join(this.outputDir, 'github-language-stats.json');
-    fs.writeFileSync(statsPath, JSON.stringify(this.stats, null, 2));
-    
-    // Also save a timestamp-specific version
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const timestampPath = path.join(this.cacheDir, `stats-${timestamp}.json`);
-    fs.writeFileSync(timestampPath, JSON.stringify(this.stats, null, 2));
+    const statsJson = JSON.stringify(this.stats, null, 2);
+    this.visibility.assertNoLeaks('stats', statsJson, statsPath);
+    fs.writeFileSync(statsPath, statsJson);
     
     console.log(`  ✓ Stats saved to ${statsPath}`);
+    
+    // Keep history in the snapshot store: unchanged stats are not stored again
+    const snapshot = this.snapshots.save(this.stats);
+    console.log(snapshot.stored ?
+      `  ✓ Snapshot stored: ${path.basename(snapshot.path)}` :
+      `  ⏭️ Snapshot unchanged since ${snapshot.duplicate_of}, not stored`);
+    
+    const retention = this.snapshots.applyRetention();
+    if (retention.compacted > 0 || retention.removed > 0) {
+      console.log(`  🗜️ Snapshot retention: ${retention.compacted} compacted, ${retention.removed} removed (${retention.kept} kept)`);
+    }
   }
 
   /**
@@ -519,19 +787,20 @@ class GitHubStatsCollector {
    */
   async generateStatsReport() {
     const timestamp = new Date().toLocaleString();
+    const unit = LineCounter.describeUnit(this.stats.ecosystem_totals.line_unit);
     
     const report = `# 📊 GitHub Language Statistics Report
 
 **Generated**: ${timestamp}  
 **Total Organizations**: ${this.stats.ecosystem_totals.total_organizations}  
 **Total Repositories**: ${this.stats.ecosystem_totals.total_repositories}  
-**Total Code Lines**: ${this.stats.ecosystem_totals.total_lines.toLocaleString()}
+**Total Code**: ${this.stats.ecosystem_totals.total_lines.toLocaleString()} ${unit}
 
 ## 🌍 Ecosystem Overview
 
 ### Top Languages Across All Organizations
 ${this.stats.ecosystem_totals.languages.slice(0, 10).map(lang => 
-  `${lang.rank}. **${lang.language}**: ${lang.percentage}% (${lang.lines.toLocaleString()} lines)`
+  `${lang.rank}. **${lang.language}**: ${lang.percentage}% (${lang.lines.toLocaleString()} ${unit})`
 ).join('\n')}
 
 ## 🏢 Organization Breakdown
@@ -539,26 +808,36 @@ ${this.stats.ecosystem_totals.languages.slice(0, 10).map(lang =>
 ${Object.entries(this.stats.organizations).map(([orgName, orgData]) => `
 ### ${orgName}
 - **Repositories**: ${orgData.totals.accessible_repositories}
-- **Total Lines**: ${orgData.totals.total_lines.toLocaleString()}
+- **Total Code**: ${orgData.totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(orgData.totals.line_unit)}
 - **Primary Language**: ${orgData.totals.primary_language}
 - **Languages Used**: ${orgData.totals.language_diversity}
 
 #### Top Languages
 ${orgData.totals.languages.slice(0, 5).map(lang => 
-  `- **${lang.language}**: ${lang.percentage}% (${lang.lines.toLocaleString()} lines)`
+  `- **${lang.language}**: ${lang.percentage}% (${lang.lines.toLocaleString()} ${LineCounter.describeUnit(orgData.totals.line_unit)})`
 ).join('\n')}
 `).join('\n')}
 
+## 🔥 Activity (last ${this.stats.activity.weekly.commits.length} weeks)
+
+${this.generateActivityReport()}
+
+## 🩺 Collection Status
+
+${[
+  ...Object.entries(this.stats.metadata.repository_status || {}).map(([status, count]) =>
+    `- **${status.replace('_', ' ')}**: ${count}`),
+  ...this.getUnavailableRepositories().map(repo =>
+    `- ⚠️ ${repo.full_name}: ${repo.status.replace('_', ' ')}`),
+  `- **collection**: ${this.describeCollection()}`,
+  `- **line counting**: ${this.lineCounting.mode === 'off' ? 'off (language bytes from the API)' : this.lineCounting.mode}`,
+  ...this.getLineCountFailures().map(repo =>
+    `- ⚠️ ${repo.full_name}: counted in bytes, ${repo.error}`)
+].join('\n')}
+
 ## 📈 Trends Analysis
 
-${this.stats.trends.available ? `
-### Language Growth Patterns
-${Object.entries(this.stats.trends.languages).slice(0, 5).map(([lang, trend]) => 
-  `- **${lang}**: ${trend.trend_icon} ${trend.percentage_change}% (${trend.trend})`
-).join('\n')}
-` : `
-**Trends**: ${this.stats.trends.reason}
-`}
+${this.generateTrendsReport()}
 
 ---
 
@@ -567,23 +846,54 @@ ${Object.entries(this.stats.trends.languages).slice(0, 5).map(([lang, trend]) =>
 `;
     
     const reportPath = path.join(this.baseDir, 'docs', 'GITHUB_STATS_REPORT.md');
+    this.visibility.assertNoLeaks('stats', report, reportPath);
     fs.writeFileSync(reportPath, report);
     
     console.log(`📋 Report generated: ${reportPath}`);
   }
-
-
-  /**
-   * Utility: Add delay for rate limiting
-   */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
-// CLI execution
-if (require.main === module) {
-  const collector = new GitHubStatsCollector();
+// CLI execution: collect, or export the collected stats
+// (export --format csv|ndjson|openmetrics [--output file])
+if (require.main === module && process.argv[2] === 'export') {
+  const args = process.argv.slice(3);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? null : args[index + 1];
+  };
+  
+  try {
+    const format = option('format') || 'csv';
+    const output = new StatsExporter().export(format);
+    const outputPath = option('output');
+    
+    if (outputPath) {
+      fs.writeFileSync(outputPath, output);
+      console.log(`📤 Exported ${format} to ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error('❌ Stats export failed:', error.message);
+    process.exit(1);
+  }
+} else if (require.main === module) {
+  // --full re-fetches every repository, --repo owner/name (repeatable) only the named ones
+  const args = process.argv.slice(2);
+  const refresh = args.flatMap((arg, index) => arg === '--repo' ? [args[index + 1]] : []);
+  
+  if (refresh.some(fullName => !/^[^/\s]+\/[^/\s]+$/.test(fullName || ''))) {
+    console.error('❌ Usage: github-stats-collector.js [--full] [--repo owner/name ...] | export --format csv|ndjson|openmetrics [--output file]');
+    process.exit(1);
+  }
+  
+  const collector = new GitHubStatsCollector({ full: args.includes('--full'), ...(refresh.length > 0 ? { refresh } : {}) });
+  const unknown = collector.getUnknownRepositories(refresh);
+  
+  if (unknown.length > 0) {
+    console.error(`❌ Not a collected repository: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
   
   collector.collectAllStats()
     .then((stats) => {
@@ -591,7 +901,7 @@ if (require.main === module) {
       console.log('📊 Statistics generated for ecosystem analysis');
       console.log('🔍 Language distribution across all organizations');
       console.log('📈 Trends and growth patterns calculated');
-      console.log(`🌍 Total: ${stats.ecosystem_totals.total_lines.toLocaleString()} lines across ${stats.ecosystem_totals.total_repositories} repositories`);
+      console.log(`🌍 Total: ${stats.ecosystem_totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(stats.ecosystem_totals.line_unit)} across ${stats.ecosystem_totals.total_repositories} repositories`);
     })
     .catch(error => {
       console.error('\n❌ GitHub Stats Collection failed:', error.message);
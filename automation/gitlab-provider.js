@@ -0,0 +1,188 @@
+/**
+ * GitLab Provider
+ * Repository provider for gitlab.com or a self-hosted GitLab (REST API v4). Owners are
+ * groups (top-level projects only) or user namespaces; projects are addressed by their
+ * URL-encoded "namespace/path".
+ */
+
+const RepositoryProvider = require('./repository-provider');
+
+class GitLabProvider extends RepositoryProvider {
+  constructor(config) {
+    super({ ...config, type: 'gitlab' });
+  }
+
+  /**
+   * GitLab personal/project access tokens go in the PRIVATE-TOKEN header
+   */
+  getAuthHeaders() {
+    return this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  /**
+   * API path of a project
+   */
+  getProjectPath(owner, name) {
+    return `/api/v4/projects/${encodeURIComponent(`${owner}/${name}`)}`;
+  }
+
+  /**
+   * List every project of a group or user as discovery records
+   */
+  async listRepositories(owner) {
+    const namespace = owner.type === 'user' ? 'users' : 'groups';
+    const projects = await this.paginate(`/api/v4/${namespace}/${encodeURIComponent(owner.login)}/projects`, {
+      order_by: 'last_activity_at',
+      statistics: true
+    });
+
+    return projects.map(project => this.normalizeProject(project));
+  }
+
+  /**
+   * Map a GitLab project onto the GitHub REST-shaped discovery record
+   */
+  normalizeProject(project) {
+    return {
+      provider: this.name,
+      node_id: `${this.name}:${project.id}`,
+      name: project.path,
+      full_name: project.path_with_namespace,
+      private: project.visibility !== 'public',
+      // GitLab listings carry no language; discovery consumers fall back to stats
+      language: null,
+      languages: null,
+      description: project.description,
+      updated_at: project.last_activity_at,
+      pushed_at: project.last_activity_at,
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : null,
+      stargazers_count: project.star_count,
+      forks_count: project.forks_count,
+      open_issues_count: project.open_issues_count || 0,
+      topics: project.topics || project.tag_list || [],
+      default_branch: project.default_branch || null,
+      clone_url: project.http_url_to_repo,
+      license: project.license?.key || null,
+      fork: !!project.forked_from_project,
+      is_template: false,
+      archived: !!project.archived,
+      disabled: false
+    };
+  }
+
+  /**
+   * Language sizes. GitLab reports percentages, so they are scaled by the repository
+   * size in bytes; without statistics access the percentages themselves are returned.
+   */
+  async getLanguages(owner, name) {
+    const projectPath = this.getProjectPath(owner, name);
+    const { data: percentages } = await this.request(`${projectPath}/languages`);
+    const { data: project } = await this.request(projectPath, { query: { statistics: true } });
+    const repositorySize = project.statistics?.repository_size;
+
+    const languages = {};
+    Object.entries(percentages).forEach(([language, percentage]) => {
+      languages[language] = repositorySize ? Math.round(repositorySize * percentage / 100) : percentage;
+    });
+
+    return languages;
+  }
+
+  /**
+   * Repository metadata used by the stats collector
+   */
+  async getMetadata(owner, name) {
+    const { data: project } = await this.request(this.getProjectPath(owner, name));
+
+    return {
+      empty: !!project.empty_repo,
+      private: project.visibility !== 'public',
+      description: project.description,
+      stars: project.star_count,
+      forks: project.forks_count,
+      default_branch: project.default_branch || null,
+      clone_url: project.http_url_to_repo,
+      pushed_at: project.last_activity_at,
+      updated_at: project.last_activity_at,
+      archived: !!project.archived,
+      size: null
+    };
+  }
+
+  /**
+   * Raw file contents on a ref (HEAD when omitted); null when the file is missing
+   */
+  async getFileContents(owner, name, filePath, ref = 'HEAD') {
+    try {
+      const { data } = await this.request(
+        `${this.getProjectPath(owner, name)}/repository/files/${encodeURIComponent(filePath)}/raw`,
+        { query: { ref }, raw: true }
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every file path on a ref (HEAD when omitted); an empty repository has no tree
+   */
+  async listFiles(owner, name, ref = 'HEAD') {
+    try {
+      const items = await this.paginate(`${this.getProjectPath(owner, name)}/repository/tree`, { ref, recursive: true });
+      return { paths: items.filter(item => item.type === 'blob').map(item => item.path), truncated: false };
+    } catch (error) {
+      if (error.status === 404) {
+        return { paths: [], truncated: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Weekly commit totals for the last year, counted from the default branch history
+   */
+  async getCommitActivity(owner, name) {
+    const commits = await this.paginate(`${this.getProjectPath(owner, name)}/repository/commits`, {
+      since: this.getActivitySince().toISOString()
+    });
+
+    return this.groupCommitsByWeek(commits.map(commit => commit.committed_date));
+  }
+
+  /**
+   * Contributors by commit count; GitLab identifies them by commit author name
+   */
+  async getContributors(owner, name) {
+    const contributors = await this.paginate(`${this.getProjectPath(owner, name)}/repository/contributors`, {
+      order_by: 'commits',
+      sort: 'desc'
+    });
+
+    return contributors.map(contributor => ({ login: contributor.name, total: contributor.commits }));
+  }
+
+  /**
+   * Issues and merge requests updated since a date
+   */
+  async getIssueActivity(owner, name, since) {
+    const projectPath = this.getProjectPath(owner, name);
+    const query = { updated_after: since.toISOString(), scope: 'all' };
+    const issues = await this.paginate(`${projectPath}/issues`, query);
+    const mergeRequests = await this.paginate(`${projectPath}/merge_requests`, query);
+
+    return {
+      issues: issues.map(issue => ({ created_at: issue.created_at, closed_at: issue.closed_at })),
+      pull_requests: mergeRequests.map(request => ({
+        created_at: request.created_at,
+        merged_at: request.merged_at,
+        closed_at: request.closed_at
+      }))
+    };
+  }
+}
+
+module.exports = GitLabProvider;
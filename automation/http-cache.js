@@ -0,0 +1,150 @@
+/**
+ * HTTP Cache
+ * Persistent conditional-request cache for GitHub API reads. Responses carrying an
+ * ETag or Last-Modified header are stored under .github-stats-cache/http/; the next
+ * request for the same URL sends If-None-Match / If-Modified-Since, and a 304 (which
+ * GitHub does not count against the rate limit) is answered from the stored copy.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Response headers kept with cached entries
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+class HttpCache {
+  /**
+   * The namespace separates entries per credential, so data one token can read
+   * is never served to another
+   */
+  constructor({ cacheDir = process.env.GITHUB_HTTP_CACHE_DIR, namespace = 'anonymous' } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.cacheDir = cacheDir || path.join(this.baseDir, '.github-stats-cache', 'http');
+    this.namespace = namespace;
+    this.enabled = process.env.GITHUB_HTTP_CACHE !== 'false';
+    this.counters = { hits: 0, misses: 0, uncacheable: 0 };
+  }
+
+  /**
+   * Cache file for a request URL
+   */
+  getEntryPath(url) {
+    const key = crypto.createHash('sha1').update(`${this.namespace} GET ${url}`).digest('hex');
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Load the cached entry for a URL (null when missing or unreadable)
+   */
+  get(url) {
+    const entryPath = this.getEntryPath(url);
+
+    if (!this.enabled || !fs.existsSync(entryPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Conditional request headers for a cached entry
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+
+    if (entry.headers.etag) {
+      headers['if-none-match'] = entry.headers.etag;
+    }
+    if (entry.headers['last-modified']) {
+      headers['if-modified-since'] = entry.headers['last-modified'];
+    }
+
+    return headers;
+  }
+
+  /**
+   * Store a 200 response that can be revalidated later; returns whether it was stored
+   */
+  store(url, response) {
+    if (!this.enabled || response.status !== 200 ||
+      (!response.headers.etag && !response.headers['last-modified'])) {
+      return false;
+    }
+
+    const headers = {};
+    CACHED_HEADERS.forEach(name => {
+      if (response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    });
+
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.getEntryPath(url), JSON.stringify({
+      url,
+      cached_at: new Date().toISOString(),
+      status: response.status,
+      headers,
+      data: response.data
+    }));
+
+    return true;
+  }
+
+  /**
+   * Count a revalidated (304) response served from the cache
+   */
+  recordHit() {
+    this.counters.hits++;
+  }
+
+  /**
+   * Count a response downloaded in full (cacheable or not)
+   */
+  recordMiss(cacheable = true) {
+    if (cacheable) {
+      this.counters.misses++;
+    } else {
+      this.counters.uncacheable++;
+    }
+  }
+
+  /**
+   * Request counts and hit ratio for this run
+   */
+  getStats() {
+    const requests = this.counters.hits + this.counters.misses + this.counters.uncacheable;
+
+    return {
+      enabled: this.enabled,
+      requests,
+      ...this.counters,
+      hit_ratio: requests > 0 ? Math.round(this.counters.hits / requests * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Combine the stats of several caches (e.g. one per pipeline component)
+   */
+  static combineStats(statsList) {
+    const combined = { requests: 0, hits: 0, misses: 0, uncacheable: 0 };
+
+    statsList.forEach(stats => {
+      Object.keys(combined).forEach(key => {
+        combined[key] += stats[key];
+      });
+    });
+
+    combined.hit_ratio = combined.requests > 0 ? Math.round(combined.hits / combined.requests * 1000) / 1000 : null;
+    return combined;
+  }
+}
+
+module.exports = HttpCache;
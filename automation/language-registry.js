@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Language Registry
+ * Shared loader for config/languages.json - canonical language names with their
+ * aliases, Linguist type (programming, markup, data or prose), official color and
+ * the emoji READMEs draw it with. The `code_types` rule decides which languages
+ * count toward code totals in stats, trends, reports and every README generator.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_VERSION = 1;
+const TYPES = ['programming', 'markup', 'data', 'prose'];
+
+class LanguageRegistry {
+  constructor(registryPath = process.env.LANGUAGE_REGISTRY) {
+    this.baseDir = path.dirname(__dirname);
+    this.registryPath = registryPath || path.join(this.baseDir, 'config', 'languages.json');
+    this.registry = this.loadRegistry();
+
+    // Canonical names by lower-cased name or alias
+    this.lookup = new Map();
+    Object.entries(this.registry.languages).forEach(([name, language]) => {
+      [name, ...language.aliases].forEach(alias => this.lookup.set(alias.toLowerCase(), name));
+    });
+  }
+
+  /**
+   * Load and validate the registry file
+   */
+  loadRegistry() {
+    if (!fs.existsSync(this.registryPath)) {
+      throw new Error(`Language registry not found: ${this.registryPath}`);
+    }
+
+    let registry;
+    try {
+      registry = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid language registry ${this.registryPath}: ${error.message}`);
+    }
+
+    if (registry.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported language registry version: ${registry.version} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    const codeTypes = registry.code_types || ['programming', 'markup'];
+    const types = [...codeTypes, registry.default?.type, ...Object.values(registry.languages || {}).map(language => language.type)];
+    const unknownType = types.filter(type => type !== undefined).find(type => !TYPES.includes(type));
+    if (unknownType !== undefined) {
+      throw new Error(`Unknown language type in ${this.registryPath}: ${unknownType} (expected ${TYPES.join(', ')})`);
+    }
+
+    const defaults = { type: 'programming', color: '#cccccc', emoji: '⬜', ...registry.default };
+    const languages = {};
+    Object.entries(registry.languages || {}).forEach(([name, language]) => {
+      languages[name] = {
+        type: language.type,
+        color: language.color || defaults.color,
+        emoji: language.emoji || defaults.emoji,
+        aliases: language.aliases || []
+      };
+    });
+
+    return { version: registry.version, code_types: codeTypes, default: defaults, languages };
+  }
+
+  /**
+   * Canonical name of a language or alias ("Node.js" -> "JavaScript"); unknown names are kept
+   */
+  getCanonicalName(name) {
+    return this.lookup.get(name.toLowerCase()) || name;
+  }
+
+  /**
+   * Registry entry of a language or alias; unknown languages get the defaults
+   */
+  resolve(name) {
+    const canonical = this.getCanonicalName(name);
+    const language = this.registry.languages[canonical] || this.registry.default;
+    return { name: canonical, type: language.type, color: language.color, emoji: language.emoji };
+  }
+
+  /**
+   * Whether a language counts toward code (its type is one of code_types)
+   */
+  isCode(name) {
+    return this.registry.code_types.includes(this.resolve(name).type);
+  }
+
+  /**
+   * Official hex color of a language
+   */
+  getColor(name) {
+    return this.resolve(name).color;
+  }
+
+  /**
+   * Emoji square READMEs use for a language in bars and lists
+   */
+  getEmoji(name) {
+    return this.resolve(name).emoji;
+  }
+
+  /**
+   * Merge a { Language: amount } map under canonical names
+   */
+  normalize(languages) {
+    const normalized = {};
+    Object.entries(languages || {}).forEach(([name, amount]) => {
+      const canonical = this.getCanonicalName(name);
+      normalized[canonical] = (normalized[canonical] || 0) + amount;
+    });
+    return normalized;
+  }
+
+  /**
+   * Normalize a { Language: amount } map and split it into code and other (data, prose) languages
+   */
+  split(languages) {
+    const code = {};
+    const other = {};
+    Object.entries(this.normalize(languages)).forEach(([name, amount]) => {
+      (this.isCode(name) ? code : other)[name] = amount;
+    });
+    return { code, other };
+  }
+
+  /**
+   * Bar of emoji squares, one segment per language proportional to its percentage
+   */
+  renderBar(languages, width = 25) {
+    return languages.map(language => {
+      const segmentLength = Math.max(1, Math.round((parseFloat(language.percentage) / 100) * width));
+      return this.getEmoji(language.language).repeat(segmentLength);
+    }).join('');
+  }
+}
+
+// CLI: list the registry, or resolve names given as arguments
+if (require.main === module) {
+  const registry = new LanguageRegistry();
+  const names = process.argv.slice(2);
+
+  if (names.length > 0) {
+    names.forEach(name => {
+      const language = registry.resolve(name);
+      console.log(`${language.emoji} ${name} -> ${language.name} (${language.type}, ${language.color})${registry.isCode(name) ? '' : ' - not counted as code'}`);
+    });
+  } else {
+    console.log(`🔤 Code types: ${registry.registry.code_types.join(', ')}`);
+    Object.entries(registry.registry.languages).forEach(([name, language]) => {
+      console.log(`  ${language.emoji} ${name} (${language.type}, ${language.color})${language.aliases.length > 0 ? ` aka ${language.aliases.join(', ')}` : ''}`);
+    });
+  }
+}
+
+module.exports = LanguageRegistry;
@@ -0,0 +1,234 @@
+/**
+ * Language Trends
+ * Language growth over time windows (e.g. the last 7/30/90 days) for the ecosystem,
+ * each organization and each repository, from the stats snapshot history. Values are
+ * smoothed with a moving average of daily closing snapshots, so a single failed or
+ * partial run does not show up as a trend. Only snapshots measured in the current unit
+ * (language bytes or counted lines) are compared.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LanguageTrends {
+  constructor(snapshots, settings, languages) {
+    this.snapshots = snapshots;
+    // Language registry: older snapshots are re-read with today's names and code rule
+    this.languages = languages;
+    this.windows = settings.windows;
+    this.defaultWindow = settings.default_window;
+    this.movingAverage = settings.moving_average;
+  }
+
+  /**
+   * Trends for every window; the top-level languages/available fields describe the default window
+   */
+  calculate(stats, now = new Date()) {
+    const earliest = new Date(now.getTime() - (2 * Math.max(...this.windows) + this.movingAverage) * DAY_MS);
+    const points = this.getDailyPoints([
+      ...this.snapshots.list({ from: earliest.toISOString(), to: now.toISOString() }),
+      this.snapshots.summarize(stats, now.toISOString())
+    ]);
+
+    const windows = {};
+    this.windows.forEach(days => {
+      windows[this.getWindowKey(days)] = this.calculateWindow(points, days, now);
+    });
+
+    const selected = windows[this.getWindowKey(this.defaultWindow)];
+    return {
+      available: selected.available,
+      window: this.getWindowKey(this.defaultWindow),
+      period: this.describeWindow(this.defaultWindow),
+      moving_average_days: this.movingAverage,
+      ...(selected.available ?
+        { baseline: selected.baseline, languages: selected.ecosystem.languages } :
+        { reason: selected.reason }),
+      windows
+    };
+  }
+
+  /**
+   * Key of a window in the trends object ("30d")
+   */
+  getWindowKey(days) {
+    return `${days}d`;
+  }
+
+  /**
+   * Human-readable window label for reports and READMEs
+   */
+  describeWindow(days) {
+    return `last ${days} days, ${this.movingAverage}-day moving average`;
+  }
+
+  /**
+   * One point per UTC day (its latest snapshot), with language lists turned into maps
+   * of code languages.
+   * Snapshots without any lines are failed collections and are skipped, as are those
+   * in another unit than the latest one (before or after line counting was switched)
+   * and synthetic ones when the latest is real, or the other way round.
+   */
+  getDailyPoints(summaries) {
+    const byDay = new Map();
+    const unitOf = summary => summary.ecosystem_totals.line_unit || 'bytes';
+    const latest = summaries[summaries.length - 1];
+    const unit = unitOf(latest);
+    summaries
+      .filter(summary => summary.ecosystem_totals.total_lines > 0 && unitOf(summary) === unit &&
+        !summary.synthetic === !latest.synthetic)
+      .forEach(summary => byDay.set(summary.timestamp.slice(0, 10), summary));
+
+    const toTotals = totals => {
+      const { code } = this.languages.split(Array.isArray(totals.languages) ?
+        Object.fromEntries(totals.languages.map(({ language, lines }) => [language, lines])) :
+        totals.languages);
+      return { total: Object.values(code).reduce((sum, lines) => sum + lines, 0), languages: code };
+    };
+
+    return [...byDay.values()]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map(summary => {
+        const organizations = {};
+        Object.entries(summary.organizations || {}).forEach(([name, org]) => {
+          const repositories = {};
+          Object.entries(org.repositories || {}).forEach(([repoName, repo]) => {
+            repositories[repoName] = toTotals(repo);
+          });
+          organizations[name] = { ...toTotals(org), repositories };
+        });
+
+        return {
+          time: new Date(summary.timestamp).getTime(),
+          timestamp: summary.timestamp,
+          ecosystem: toTotals(summary.ecosystem_totals),
+          organizations
+        };
+      });
+  }
+
+  /**
+   * Compare now against the snapshot that opened the window. The baseline is the last
+   * snapshot at or before the window start, and no older than one more window length.
+   */
+  calculateWindow(points, days, now) {
+    const windowStart = now.getTime() - days * DAY_MS;
+    const baseline = points
+      .filter(point => point.time <= windowStart && point.time >= windowStart - days * DAY_MS)
+      .pop();
+
+    if (!baseline) {
+      return {
+        available: false,
+        days,
+        reason: `No snapshot from around ${new Date(windowStart).toISOString().slice(0, 10)} to start the ${days}-day window`
+      };
+    }
+
+    const current = points[points.length - 1];
+    const organizations = {};
+    const repositories = {};
+
+    Object.entries(current.organizations).forEach(([orgName, org]) => {
+      organizations[orgName] = this.compareEntity(points, baseline, point => point.organizations[orgName]);
+
+      Object.keys(org.repositories).forEach(repoName => {
+        repositories[`${orgName}/${repoName}`] = this.compareEntity(points, baseline,
+          point => point.organizations[orgName]?.repositories[repoName]);
+      });
+    });
+
+    return {
+      available: true,
+      days,
+      baseline: baseline.timestamp,
+      ecosystem: this.compareEntity(points, baseline, point => point.ecosystem),
+      organizations,
+      repositories
+    };
+  }
+
+  /**
+   * Total and per-language trends of one entity (ecosystem, organization or repository).
+   * A missing entity counts as unknown; a language missing from a known entity as zero.
+   */
+  compareEntity(points, baseline, select) {
+    const current = select(points[points.length - 1]);
+    const languages = {};
+
+    Object.keys(current.languages)
+      .sort((a, b) => current.languages[b] - current.languages[a])
+      .forEach(language => {
+        languages[language] = this.compareSeries(points, baseline, point => {
+          const entity = select(point);
+          return entity ? entity.languages[language] || 0 : undefined;
+        });
+      });
+
+    return {
+      total: this.compareSeries(points, baseline, point => select(point)?.total),
+      languages
+    };
+  }
+
+  /**
+   * Moving averages at the baseline and now, and the trend between them
+   */
+  compareSeries(points, baseline, value) {
+    const current = points[points.length - 1];
+    const currentAverage = this.getMovingAverage(points, current.time, value);
+    const baselineAverage = this.getMovingAverage(points, baseline.time, value);
+
+    if (baselineAverage === null || baselineAverage === 0) {
+      return {
+        current_lines: value(current),
+        baseline_lines: value(baseline) ?? 0,
+        moving_average: currentAverage,
+        lines_change: currentAverage,
+        percentage_change: currentAverage > 0 ? '+100' : '0.0',
+        trend: currentAverage > 0 ? 'new' : 'stable',
+        trend_icon: currentAverage > 0 ? '🆕' : '➡️'
+      };
+    }
+
+    const change = currentAverage - baselineAverage;
+    const percentageChange = (change / baselineAverage * 100).toFixed(1);
+
+    return {
+      current_lines: value(current),
+      baseline_lines: value(baseline),
+      moving_average: currentAverage,
+      lines_change: change,
+      percentage_change: percentageChange,
+      trend: change > 0 ? 'growing' : change < 0 ? 'declining' : 'stable',
+      trend_icon: this.getTrendIcon(percentageChange)
+    };
+  }
+
+  /**
+   * Mean of the known daily values in the moving average span ending at `time`
+   * (null when none is known)
+   */
+  getMovingAverage(points, time, value) {
+    const values = points
+      .filter(point => point.time <= time && point.time > time - this.movingAverage * DAY_MS)
+      .map(value)
+      .filter(lines => lines !== undefined);
+
+    return values.length > 0 ? Math.round(values.reduce((sum, lines) => sum + lines, 0) / values.length) : null;
+  }
+
+  /**
+   * Get trend icon based on percentage change
+   */
+  getTrendIcon(percentageChange) {
+    const change = parseFloat(percentageChange);
+    if (change >= 20) return '🚀';
+    if (change >= 10) return '📈';
+    if (change >= 5) return '⬆️';
+    if (change > -5) return '➡️';
+    if (change > -10) return '⬇️';
+    return '📉';
+  }
+}
+
+module.exports = LanguageTrends;
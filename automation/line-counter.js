@@ -0,0 +1,342 @@
+/**
+ * Line Counter
+ * Counts real code, comment and blank lines per language in a repository checkout,
+ * instead of the language bytes the hosting APIs report. Like GitHub Linguist it
+ * skips vendored, generated and build files (node_modules, lockfiles, dist/, minified
+ * bundles, ...), and honors linguist-vendored / linguist-generated overrides in
+ * .gitattributes. Comments are recognized per language without parsing strings,
+ * so a comment marker inside a string literal is counted as a comment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const C_STYLE = { line: ['//'], block: [['/*', '*/']] };
+const HASH = { line: ['#'], block: [] };
+const MARKUP = { line: [], block: [['<!--', '-->']] };
+const NONE = { line: [], block: [] };
+
+// Language names follow GitHub Linguist so counts line up with the languages API
+const LANGUAGES = {
+  '.js': ['JavaScript', C_STYLE], '.mjs': ['JavaScript', C_STYLE], '.cjs': ['JavaScript', C_STYLE],
+  '.jsx': ['JavaScript', C_STYLE], '.ts': ['TypeScript', C_STYLE], '.tsx': ['TSX', C_STYLE],
+  '.java': ['Java', C_STYLE], '.kt': ['Kotlin', C_STYLE], '.kts': ['Kotlin', C_STYLE],
+  '.c': ['C', C_STYLE], '.h': ['C', C_STYLE], '.cpp': ['C++', C_STYLE], '.cc': ['C++', C_STYLE],
+  '.hpp': ['C++', C_STYLE], '.cs': ['C#', C_STYLE], '.go': ['Go', C_STYLE], '.rs': ['Rust', C_STYLE],
+  '.swift': ['Swift', C_STYLE], '.scala': ['Scala', C_STYLE], '.dart': ['Dart', C_STYLE],
+  '.php': ['PHP', { line: ['//', '#'], block: [['/*', '*/']] }],
+  '.css': ['CSS', { line: [], block: [['/*', '*/']] }], '.scss': ['SCSS', C_STYLE], '.less': ['Less', C_STYLE],
+  '.py': ['Python', HASH], '.rb': ['Ruby', { line: ['#'], block: [['=begin', '=end']] }],
+  '.sh': ['Shell', HASH], '.bash': ['Shell', HASH], '.zsh': ['Shell', HASH],
+  '.ps1': ['PowerShell', { line: ['#'], block: [['<#', '#>']] }], '.pl': ['Perl', HASH], '.r': ['R', HASH],
+  '.yml': ['YAML', HASH], '.yaml': ['YAML', HASH], '.toml': ['TOML', HASH],
+  '.sql': ['SQL', { line: ['--'], block: [['/*', '*/']] }], '.lua': ['Lua', { line: ['--'], block: [['--[[', ']]']] }],
+  '.html': ['HTML', MARKUP], '.htm': ['HTML', MARKUP], '.xml': ['XML', MARKUP], '.svg': ['SVG', MARKUP],
+  '.vue': ['Vue', { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']] }],
+  '.svelte': ['Svelte', { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']] }],
+  '.md': ['Markdown', MARKUP], '.json': ['JSON', NONE], '.ipynb': ['Jupyter Notebook', NONE]
+};
+const FILENAMES = {
+  Dockerfile: ['Dockerfile', HASH],
+  Makefile: ['Makefile', HASH],
+  Gemfile: ['Ruby', HASH],
+  Rakefile: ['Ruby', HASH]
+};
+
+// Default exclusions: dependencies and build output (vendored), lockfiles and bundles (generated)
+const VENDORED_DIRECTORIES = ['node_modules', 'bower_components', 'vendor', 'third_party', '.venv', 'venv', '__pycache__'];
+const BUILD_DIRECTORIES = ['dist', 'build', 'out', 'target', 'coverage', '.next', '.nuxt', '.cache'];
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'composer.lock',
+  'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum'];
+const GENERATED_FILE_PATTERN = /\.min\.(js|css)$|\.bundle\.js$/;
+const GENERATED_HEADER_PATTERN = /@generated|Code generated .* DO NOT EDIT|auto-generated|autogenerated/i;
+const GENERATED_HEADER_LINES = 5;
+const BINARY_SAMPLE_BYTES = 8000;
+
+class LineCounter {
+  constructor({ exclude = [] } = {}) {
+    // Extra path patterns to skip, from line_counting.exclude in the manifest
+    this.exclude = exclude.map(pattern => this.toPathMatcher(pattern, ''));
+  }
+
+  /**
+   * Count every file of a checkout:
+   * { languages: { Language: { files, code, comments, blank } }, totals, skipped: { vendored, generated, excluded } }
+   */
+  countDirectory(directory) {
+    const files = this.listFiles(directory);
+    const attributes = this.loadAttributes(directory, files);
+    const languages = {};
+    const skipped = { vendored: 0, generated: 0, excluded: 0 };
+
+    files.forEach(file => {
+      const language = this.detectLanguage(file);
+      if (!language) {
+        return;
+      }
+
+      const content = this.readText(path.join(directory, file));
+      if (content === null) {
+        return;
+      }
+
+      const reason = this.getSkipReason(file, content, attributes);
+      if (reason) {
+        skipped[reason]++;
+        return;
+      }
+
+      const [name, syntax] = language;
+      const counts = this.countLines(content, syntax);
+      const totals = languages[name] || { files: 0, code: 0, comments: 0, blank: 0 };
+      totals.files++;
+      totals.code += counts.code;
+      totals.comments += counts.comments;
+      totals.blank += counts.blank;
+      languages[name] = totals;
+    });
+
+    const sorted = Object.fromEntries(Object.entries(languages).sort(([, a], [, b]) => b.code - a.code));
+    const totals = { files: 0, code: 0, comments: 0, blank: 0 };
+    Object.values(sorted).forEach(counts => {
+      Object.keys(totals).forEach(key => {
+        totals[key] += counts[key];
+      });
+    });
+
+    return { languages: sorted, totals, skipped };
+  }
+
+  /**
+   * Files of a checkout relative to its root: the tracked files of a git checkout
+   * (so .gitignore'd build output never counts), otherwise every file on disk
+   */
+  listFiles(directory) {
+    if (fs.existsSync(path.join(directory, '.git'))) {
+      const output = execFileSync('git', ['-C', directory, 'ls-files', '-z'], { maxBuffer: 64 * 1024 * 1024 });
+      return output.toString('utf8').split('\0').filter(Boolean);
+    }
+
+    const files = [];
+    const walk = relative => {
+      fs.readdirSync(path.join(directory, relative), { withFileTypes: true }).forEach(entry => {
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory() && entry.name !== '.git') {
+          walk(entryPath);
+        } else if (entry.isFile()) {
+          files.push(entryPath);
+        }
+      });
+    };
+    walk('');
+    return files;
+  }
+
+  /**
+   * Linguist attribute rules from every .gitattributes in the checkout, outermost first,
+   * so deeper files (and later lines) win like git's own attribute lookup
+   */
+  loadAttributes(directory, files) {
+    return files
+      .filter(file => path.posix.basename(file) === '.gitattributes')
+      .sort((a, b) => a.split('/').length - b.split('/').length)
+      .flatMap(file => {
+        const base = path.posix.dirname(file) === '.' ? '' : `${path.posix.dirname(file)}/`;
+        return fs.readFileSync(path.join(directory, file), 'utf8')
+          .split('\n')
+          .map(line => line.trim())
+          .filter(line => line && !line.startsWith('#'))
+          .map(line => {
+            const [pattern, ...attributes] = line.split(/\s+/);
+            return { matches: this.toPathMatcher(pattern, base), attributes: this.parseAttributes(attributes) };
+          })
+          .filter(rule => Object.keys(rule.attributes).length > 0);
+      });
+  }
+
+  /**
+   * linguist-vendored / linguist-generated settings of one .gitattributes line
+   * ("attr", "attr=true" set it; "-attr", "attr=false" unset it; "!attr" restores detection)
+   */
+  parseAttributes(attributes) {
+    const settings = {};
+
+    attributes.forEach(attribute => {
+      const [, prefix, name, value] = attribute.match(/^(-|!)?linguist-(vendored|generated)(?:=(.*))?$/) || [];
+      if (name) {
+        settings[name] = prefix === '!' ? undefined : !prefix && value !== 'false';
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Matcher for a gitattributes-style pattern relative to `base`: patterns without a
+   * slash match the file name at any depth, others the path from `base`; * stays
+   * within a directory and ** crosses directories
+   */
+  toPathMatcher(pattern, base) {
+    const anchored = pattern.replace(/\/$/, '/**').replace(/^\//, '');
+    const source = anchored
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/|\/\*\*|\*\*|\*|\?/g, token => ({
+        '**/': '(?:.*/)?',
+        '/**': '/.*',
+        '**': '.*',
+        '*': '[^/]*',
+        '?': '[^/]'
+      })[token]);
+    const regex = new RegExp(`^${source}$`);
+
+    return file => {
+      if (!file.startsWith(base)) {
+        return false;
+      }
+      const relative = file.slice(base.length);
+      return anchored.includes('/') ? regex.test(relative) : regex.test(path.posix.basename(relative));
+    };
+  }
+
+  /**
+   * Why a file is left out (vendored, generated or excluded), or null to count it.
+   * .gitattributes overrides the built-in vendored and generated detection both ways.
+   */
+  getSkipReason(file, content, attributes) {
+    if (this.exclude.some(matches => matches(file))) {
+      return 'excluded';
+    }
+
+    const override = {};
+    attributes.filter(rule => rule.matches(file)).forEach(rule => Object.assign(override, rule.attributes));
+
+    const vendored = override.vendored ?? this.isVendored(file);
+    if (vendored) {
+      return 'vendored';
+    }
+
+    const generated = override.generated ?? this.isGenerated(file, content);
+    return generated ? 'generated' : null;
+  }
+
+  /**
+   * Dependency or build output directories anywhere in the path
+   */
+  isVendored(file) {
+    const directories = file.split('/').slice(0, -1);
+    return directories.some(directory => VENDORED_DIRECTORIES.includes(directory) || BUILD_DIRECTORIES.includes(directory));
+  }
+
+  /**
+   * Lockfiles, minified bundles and files whose header marks them as generated
+   */
+  isGenerated(file, content) {
+    const name = path.posix.basename(file);
+    if (LOCKFILES.includes(name) || GENERATED_FILE_PATTERN.test(name)) {
+      return true;
+    }
+
+    return GENERATED_HEADER_PATTERN.test(content.split('\n', GENERATED_HEADER_LINES).join('\n'));
+  }
+
+  /**
+   * Language name and comment syntax of a file, or null for files that are not counted
+   */
+  detectLanguage(file) {
+    const name = path.posix.basename(file);
+    return FILENAMES[name] || LANGUAGES[path.posix.extname(name).toLowerCase()] || null;
+  }
+
+  /**
+   * File contents as text, or null for binary files
+   */
+  readText(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    return buffer.subarray(0, BINARY_SAMPLE_BYTES).includes(0) ? null : buffer.toString('utf8');
+  }
+
+  /**
+   * Classify each line as code, comment or blank. A line with any code on it is code;
+   * a line inside or starting with a comment (and no code) is a comment.
+   */
+  countLines(content, syntax) {
+    const counts = { code: 0, comments: 0, blank: 0 };
+    let openBlock = null;
+
+    content.replace(/\n$/, '').split(/\r?\n/).forEach(line => {
+      let text = line.trim();
+      let code = false;
+      let comment = false;
+
+      if (!text) {
+        counts.blank++;
+        return;
+      }
+
+      while (text) {
+        if (openBlock) {
+          comment = true;
+          const end = text.indexOf(openBlock[1]);
+          if (end === -1) {
+            break;
+          }
+          text = text.slice(end + openBlock[1].length).trim();
+          openBlock = null;
+          continue;
+        }
+
+        if (syntax.line.some(marker => text.startsWith(marker))) {
+          comment = true;
+          break;
+        }
+
+        const block = syntax.block.find(([open]) => text.startsWith(open));
+        if (block) {
+          openBlock = block;
+          text = text.slice(block[0].length);
+          continue;
+        }
+
+        // Code up to the next comment marker, if any
+        code = true;
+        const next = [...syntax.line, ...syntax.block.map(([open]) => open)]
+          .map(marker => text.indexOf(marker))
+          .filter(index => index > 0)
+          .sort((a, b) => a - b)[0];
+        text = next ? text.slice(next) : '';
+      }
+
+      if (code) {
+        counts.code++;
+      } else if (comment) {
+        counts.comments++;
+      } else {
+        counts.blank++;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Unit of a total built from parts measured in `units` ("lines" from line counting,
+   * "bytes" from the languages API): one of them, or "mixed"
+   */
+  static combineUnits(units) {
+    const distinct = [...new Set(units.filter(Boolean))];
+    if (distinct.length === 0) {
+      return 'bytes';
+    }
+    return distinct.length === 1 ? distinct[0] : 'mixed';
+  }
+
+  /**
+   * Label for amounts in a unit, for reports and READMEs
+   */
+  static describeUnit(unit) {
+    return { lines: 'lines', bytes: 'bytes', mixed: 'lines/bytes' }[unit || 'bytes'];
+  }
+}
+
+module.exports = LineCounter;
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const StatsSnapshotStore = require('./stats-snapshot-store');
 
 class MetricsCollector {
   constructor() {
@@ -56,6 +57,9 @@ class MetricsCollector {
       
       // Collect organization metrics
       await this.collectOrganizationMetrics();
+
+      // Collect commit, contributor, pull request and issue activity
+      await this.collectActivityMetrics();
       
       // Aggregate ecosystem metrics
       await this.aggregateEcosystemMetrics();
@@ -134,6 +138,34 @@ class MetricsCollector {
     }
   }
 
+  async collectActivityMetrics() {
+    console.log('🔥 Collecting activity metrics...');
+
+    // Latest stats snapshot written by the GitHub stats collector
+    const latest = new StatsSnapshotStore(undefined, { snapshotDir: this.cacheDir }).getLatest();
+    if (!latest?.activity) {
+      this.metrics.health.warnings.push('No activity in the stats history yet');
+      return;
+    }
+
+    const { totals, contributors } = latest.activity;
+    Object.assign(this.metrics.ecosystem, {
+      total_commits: totals.commits,
+      total_contributors: contributors,
+      total_issues: totals.issues_opened,
+      total_prs: totals.prs_opened
+    });
+
+    Object.entries(latest.organizations).forEach(([org, data]) => {
+      if (data.activity) {
+        this.metrics.organizations[org] = {
+          ...this.metrics.organizations[org],
+          activity: { ...data.activity.totals, contributors: data.activity.contributors }
+        };
+      }
+    });
+  }
+
   async aggregateEcosystemMetrics() {
     console.log('🌐 Aggregating ecosystem metrics...');
     
@@ -216,6 +248,10 @@ Last Updated: ${this.metrics.timestamp}
 
 - **Total Repositories**: ${ecosystem.total_repositories}
 - **Total Organizations**: ${Object.keys(organizations).length}
+- **Commits (last year)**: ${ecosystem.total_commits ?? 'N/A'}
+- **Contributors**: ${ecosystem.total_contributors ?? 'N/A'}
+- **Pull Requests Opened**: ${ecosystem.total_prs ?? 'N/A'}
+- **Issues Opened**: ${ecosystem.total_issues ?? 'N/A'}
 - **Activity Score**: ${ecosystem.activity_score}/100
 - **Automation Status**: ${health.automation_status}
 
@@ -233,7 +269,9 @@ ${Object.entries(organizations)
   .map(([org, data]) => `### ${org}
 - Repositories: ${data.repository_count || 'N/A'}
 - Total Stars: ${data.total_stars || 'N/A'}
-- Total Forks: ${data.total_forks || 'N/A'}`)
+- Total Forks: ${data.total_forks || 'N/A'}${data.activity ? `
+- Commits (last year): ${data.activity.commits ?? 'N/A'}
+- Contributors: ${data.activity.contributors ?? 'N/A'}` : ''}`)
   .join('\n\n')}
 
 ## Health Status
@@ -7,9 +7,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const VisibilityPolicy = require('./visibility-policy');
+const LineCounter = require('./line-counter');
+const LanguageRegistry = require('./language-registry');
 
 class PortfolioGenerator {
   constructor() {
+    this.manifest = new EcosystemManifest();
+    this.visibility = new VisibilityPolicy(this.manifest);
+    this.languages = new LanguageRegistry();
     this.ecosystemData = {
       business: null,
       personal: null,
@@ -150,10 +157,11 @@ class PortfolioGenerator {
     const personalMetrics = this.extractMetrics(this.ecosystemData.personal, 'personal');
 
     const currentDate = new Date().toISOString().split('T')[0];
+    const organizations = this.manifest.getOrganizations();
 
     return `# 🌟 Development Ecosystem Command Center
 
-[![Portfolio](https://img.shields.io/badge/Portfolio-DevEcosystem-blue)](https://github.com/DevEcosystem) [![Projects](https://img.shields.io/badge/Active%20Projects-${businessMetrics.activeProjects || '8+'}-green)] [![Organizations](https://img.shields.io/badge/Organizations-4-orange)]
+[![Portfolio](https://img.shields.io/badge/Portfolio-DevEcosystem-blue)](https://github.com/DevEcosystem) [![Projects](https://img.shields.io/badge/Active%20Projects-${businessMetrics.activeProjects || '8+'}-green)] [![Organizations](https://img.shields.io/badge/Organizations-${organizations.length}-orange)]
 
 ## 🎯 Professional Overview
 **Full-Stack Developer** | **Computer Science Student** | **Freelance Entrepreneur** | **Future Graduate Researcher**
@@ -276,7 +284,7 @@ Personal ←→ Academic: Creative problem-solving + research methodology
 ## 📧 Professional Contact
 
 **For Business Inquiries**: taiu.engineer@gmail.com  
-**GitHub Organizations**: [@DevEcosystem](https://github.com/DevEcosystem) | [@DevPersonalHub](https://github.com/DevPersonalHub) | [@DevAcademicHub](https://github.com/DevAcademicHub) | [@DevBusinessHub](https://github.com/DevBusinessHub)  
+**GitHub Organizations**: ${organizations.map(org => `[@${org}](https://github.com/${org})`).join(' | ')}  
 **Portfolio Website**: [Auto-generated from ecosystem data]
 
 ---
@@ -315,31 +323,15 @@ Current ecosystem spans multiple repositories across 4 organizations, with autom
 
     const stats = this.ecosystemData.stats;
     const totals = stats.ecosystem_totals;
+    const unit = LineCounter.describeUnit(totals.line_unit);
     
     // Generate language distribution bar
     const languages = totals.languages.slice(0, 6); // Top 6 languages
-    let coloredBar = '';
-    languages.forEach(lang => {
-      const segmentLength = Math.max(1, Math.round((parseFloat(lang.percentage) / 100) * 25));
-      const colors = {
-        'JavaScript': '🟨',
-        'TypeScript': '🟦', 
-        'Python': '🟩',
-        'CSS': '🟪',
-        'HTML': '🟫',
-        'Java': '🟧',
-        'JSON': '⚪',
-        'C++': '🟥',
-        'C': '⬛',
-        'Shell': '🟢'
-      };
-      const segment = colors[lang.language] || '⬜';
-      coloredBar += segment.repeat(segmentLength);
-    });
+    const coloredBar = this.languages.renderBar(languages);
 
     let statsSection = `## 🌍 Ecosystem Technology Overview
 
-**Total Code**: ${totals.total_lines.toLocaleString()} lines across ${totals.total_repositories} repositories in ${totals.total_organizations} organizations
+**Total Code**: ${totals.total_lines.toLocaleString()} ${unit} across ${totals.total_repositories} repositories in ${totals.total_organizations} organizations
 
 ### 📊 Cross-Organization Language Distribution
 ${coloredBar}
@@ -353,7 +345,7 @@ ${coloredBar}
         lang.organizations.slice(0, 2).map(org => org.name.replace('Dev', '')).join(', ') : 
         'Multiple';
       
-      statsSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} lines) • *${orgList}*  \n`;
+      statsSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} ${unit}) • *${orgList}*  \n`;
     });
 
     // Add organization breakdown
@@ -363,27 +355,15 @@ ${coloredBar}
       const primaryLang = orgData.totals.primary_language;
       const repoCount = orgData.totals.accessible_repositories;
       const totalLines = orgData.totals.total_lines;
+      const orgUnit = LineCounter.describeUnit(orgData.totals.line_unit);
       const percentage = orgData.totals.languages?.[0]?.percentage || '0';
       
       // Generate mini bar for organization
       const orgLanguages = orgData.totals.languages.slice(0, 5);
-      let orgBar = '';
-      orgLanguages.forEach(lang => {
-        const segmentLength = Math.max(1, Math.round((parseFloat(lang.percentage) / 100) * 25));
-        const colors = {
-          'JavaScript': '🟨',
-          'TypeScript': '🟦', 
-          'Python': '🟩',
-          'CSS': '🟪',
-          'HTML': '🟫',
-          'Java': '🟧'
-        };
-        const segment = colors[lang.language] || '⬜';
-        orgBar += segment.repeat(segmentLength);
-      });
+      const orgBar = this.languages.renderBar(orgLanguages);
 
       statsSection += `#### ${orgName.replace('Dev', '')} Hub
-**${totalLines.toLocaleString()} lines** • **${repoCount} repositories** • **Primary**: ${primaryLang}
+**${totalLines.toLocaleString()} ${orgUnit}** • **${repoCount} repositories** • **Primary**: ${primaryLang}
 
 ${orgBar}
 
@@ -392,7 +372,7 @@ ${orgBar}
       // Add top languages for this org
       orgLanguages.slice(0, 5).forEach(lang => {
         const icon = this.getLanguageIcon(lang.language);
-        statsSection += `▪ **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} lines)  \n`;
+        statsSection += `▪ **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} ${orgUnit})  \n`;
       });
       
       statsSection += '\n';
@@ -402,24 +382,10 @@ ${orgBar}
   }
 
   /**
-   * Get emoji icon for programming language
+   * Get emoji icon for a language from the shared language registry
    */
   getLanguageIcon(language) {
-    const icons = {
-      'JavaScript': '🟨',
-      'TypeScript': '🟦', 
-      'Python': '🟩',
-      'CSS': '🟪',
-      'HTML': '🟫',
-      'Java': '🟧',
-      'JSON': '⚪',
-      'C++': '🟥',
-      'C': '⬛',
-      'Shell': '🟢',
-      'Markdown': '⬛',
-      'SCSS': '🟪'
-    };
-    return icons[language] || '⬜';
+    return this.languages.getEmoji(language);
   }
 
   /**
@@ -428,6 +394,9 @@ ${orgBar}
   async writePortfolioFile(content) {
     console.log('💾 Writing portfolio file...');
     
+    // Fails the run instead of publishing private repository details
+    this.visibility.assertNoLeaks('readme', content, this.outputPath);
+    
     try {
       fs.writeFileSync(this.outputPath, content, 'utf8');
       console.log(`  ✓ Portfolio written to ${this.outputPath}`);
@@ -0,0 +1,131 @@
+/**
+ * README Sections
+ * Generated README content lives between section markers:
+ *   <!-- ecosystem:begin language-stats -->
+ *   ...
+ *   <!-- ecosystem:end -->
+ * Merging a generated README into a repository's own README replaces only the inside
+ * of the marked sections; everything outside the markers is the repository owner's.
+ */
+
+const BEGIN_PATTERN = /<!--\s*ecosystem:begin\s+([\w-]+)\s*-->/y;
+const END_PATTERN = /<!--\s*ecosystem:end(?:\s+([\w-]+))?\s*-->/y;
+const MARKER_START = '<!--';
+const README_MARKER_ERROR = 'README_MARKER_ERROR';
+
+class ReadmeSections {
+  /**
+   * Marked sections in document order, with the positions of their markers and contents
+   */
+  parse(content, source = 'README.md') {
+    const sections = [];
+    let open = null;
+    let index = content.indexOf(MARKER_START);
+
+    while (index !== -1) {
+      const begin = this.matchAt(BEGIN_PATTERN, content, index);
+      const end = begin ? null : this.matchAt(END_PATTERN, content, index);
+      const location = `${source}:${content.slice(0, index).split('\n').length}`;
+
+      if (begin) {
+        if (open) {
+          throw this.error(`Section "${begin[1]}" begins inside section "${open.name}" at ${location}`);
+        }
+        if (sections.some(section => section.name === begin[1])) {
+          throw this.error(`Section "${begin[1]}" appears twice at ${location}`);
+        }
+        open = { name: begin[1], start: index, contentStart: index + begin[0].length, location };
+      } else if (end) {
+        if (!open || (end[1] && end[1] !== open.name)) {
+          throw this.error(`Unexpected ${end[0]} at ${location}` + (open ? ` (section "${open.name}" began at ${open.location})` : ''));
+        }
+        sections.push({ ...open, contentEnd: index, end: index + end[0].length });
+        open = null;
+      }
+
+      index = content.indexOf(MARKER_START, index + MARKER_START.length);
+    }
+
+    if (open) {
+      throw this.error(`Section "${open.name}" began at ${open.location} has no <!-- ecosystem:end -->`);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Section contents by name
+   */
+  getSections(content, source) {
+    return Object.fromEntries(this.parse(content, source)
+      .map(section => [section.name, content.slice(section.contentStart, section.contentEnd)]));
+  }
+
+  /**
+   * Update the marked sections of an existing README from a generated one. Sections the
+   * README has are replaced in place; opted-in sections it lacks are appended at the end.
+   * Sections the generated README does not have are left alone and reported as missing.
+   */
+  merge(existing, generated, { sections: optedIn = [], source } = {}) {
+    const generatedSections = this.getSections(generated, 'generated README');
+    const lineBreak = existing.includes('\r\n') ? '\r\n' : '\n';
+    const toExisting = text => text.replace(/\r?\n/g, lineBreak);
+    const result = { updated: [], unchanged: [], appended: [], missing: [] };
+    let content = '';
+    let last = 0;
+
+    const present = this.parse(existing, source);
+    present.forEach(section => {
+      content += existing.slice(last, section.contentStart);
+      last = section.contentEnd;
+
+      const current = existing.slice(section.contentStart, section.contentEnd);
+      if (!(section.name in generatedSections)) {
+        result.missing.push(section.name);
+        content += current;
+        return;
+      }
+
+      const replacement = toExisting(generatedSections[section.name]);
+      result[replacement === current ? 'unchanged' : 'updated'].push(section.name);
+      content += replacement;
+    });
+    content += existing.slice(last);
+
+    optedIn
+      .filter(name => !present.some(section => section.name === name))
+      .forEach(name => {
+        if (!(name in generatedSections)) {
+          result.missing.push(name);
+          return;
+        }
+        const separator = content === '' || content.endsWith(lineBreak + lineBreak) ? '' :
+          content.endsWith(lineBreak) ? lineBreak : lineBreak + lineBreak;
+        content += `${separator}<!-- ecosystem:begin ${name} -->${toExisting(generatedSections[name])}<!-- ecosystem:end -->${lineBreak}`;
+        result.appended.push(name);
+      });
+
+    return { ...result, content };
+  }
+
+  /**
+   * Match a sticky marker pattern exactly at a position
+   */
+  matchAt(pattern, content, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(content);
+  }
+
+  /**
+   * Marker errors carry a code so callers can tell a malformed README from API failures
+   */
+  error(message) {
+    const error = new Error(message);
+    error.code = README_MARKER_ERROR;
+    return error;
+  }
+}
+
+ReadmeSections.README_MARKER_ERROR = README_MARKER_ERROR;
+
+module.exports = ReadmeSections;
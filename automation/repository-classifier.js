@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Repository Classifier
+ * Assigns README template types to repositories from manifest overrides and
+ * ordered classification rules (owning org, name patterns, topics, primary language)
+ */
+
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+
+const RULE_CRITERIA = ['owners', 'name', 'topics', 'languages'];
+
+class RepositoryClassifier {
+  constructor(manifest = new EcosystemManifest()) {
+    this.manifest = manifest;
+    this.classification = manifest.getClassification();
+  }
+
+  /**
+   * Classify a repository. Precedence: manifest override, first matching rule, default type.
+   * An override of "type": null explicitly opts a repository out of README generation.
+   */
+  classify(repo) {
+    const override = this.manifest.getRepositoryConfig(repo.owner, repo.name);
+
+    if (Object.prototype.hasOwnProperty.call(override, 'type')) {
+      return {
+        full_name: `${repo.owner}/${repo.name}`,
+        type: override.type,
+        source: 'override',
+        rule_index: null
+      };
+    }
+
+    const ruleIndex = this.classification.rules.findIndex(rule => this.matchesRule(repo, rule));
+
+    if (ruleIndex !== -1) {
+      return {
+        full_name: `${repo.owner}/${repo.name}`,
+        type: this.classification.rules[ruleIndex].type,
+        source: 'rule',
+        rule_index: ruleIndex
+      };
+    }
+
+    return {
+      full_name: `${repo.owner}/${repo.name}`,
+      type: this.classification.default_type,
+      source: 'default',
+      rule_index: null
+    };
+  }
+
+  /**
+   * Classify a repository and report how every rule evaluated against it
+   */
+  explain(repo) {
+    const result = this.classify(repo);
+
+    result.rules = this.classification.rules.map((rule, index) => ({
+      index,
+      type: rule.type,
+      checks: this.evaluateRule(repo, rule),
+      matched: this.matchesRule(repo, rule)
+    }));
+
+    return result;
+  }
+
+  /**
+   * A rule matches when every criterion it declares matches (any value within a criterion)
+   */
+  matchesRule(repo, rule) {
+    const checks = this.evaluateRule(repo, rule);
+    return checks.length > 0 && checks.every(check => check.matched);
+  }
+
+  /**
+   * Evaluate each criterion a rule declares
+   */
+  evaluateRule(repo, rule) {
+    return RULE_CRITERIA
+      .filter(criterion => Array.isArray(rule[criterion]) && rule[criterion].length > 0)
+      .map(criterion => ({
+        criterion,
+        expected: rule[criterion],
+        actual: this.getCriterionValue(repo, criterion),
+        matched: this.matchesCriterion(repo, criterion, rule[criterion])
+      }));
+  }
+
+  /**
+   * Get the repository attribute a criterion compares against
+   */
+  getCriterionValue(repo, criterion) {
+    switch (criterion) {
+      case 'owners':
+        return repo.owner;
+      case 'name':
+        return repo.name;
+      case 'topics':
+        return repo.topics || [];
+      case 'languages':
+        return repo.language || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check a single criterion; name globs, topics and languages compare case-insensitively
+   */
+  matchesCriterion(repo, criterion, values) {
+    switch (criterion) {
+      case 'owners':
+        return values.includes(repo.owner);
+      case 'name':
+        return values.some(pattern => this.manifest.matchesPattern(repo.name.toLowerCase(), pattern.toLowerCase()));
+      case 'topics': {
+        const topics = (repo.topics || []).map(topic => topic.toLowerCase());
+        return values.some(topic => topics.includes(topic.toLowerCase()));
+      }
+      case 'languages':
+        return !!repo.language && values.some(language => language.toLowerCase() === repo.language.toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Repositories to classify: discovered repositories (if a registry exists)
+   * plus any repositories declared only in the manifest
+   */
+  getCandidateRepositories(registry = new RepositoryRegistry()) {
+    const candidates = new Map();
+
+    registry.getRepositories({ activeOnly: true })
+      .filter(repo => this.manifest.isIncluded(repo.full_name))
+      .forEach(repo => candidates.set(repo.full_name, repo));
+
+    this.manifest.getRepositories().forEach(repo => {
+      if (!candidates.has(repo.full_name)) {
+        candidates.set(repo.full_name, repo);
+      }
+    });
+
+    return [...candidates.values()];
+  }
+
+  /**
+   * Describe a rule's criteria on one line
+   */
+  describeRule(rule) {
+    return RULE_CRITERIA
+      .filter(criterion => Array.isArray(rule[criterion]) && rule[criterion].length > 0)
+      .map(criterion => `${criterion}=${rule[criterion].join('|')}`)
+      .join(' ');
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const explain = args.includes('--explain');
+  const target = args.slice(1).find(arg => !arg.startsWith('--'));
+
+  if (command !== 'classify') {
+    console.log('Usage: node automation/repository-classifier.js classify [--explain] [owner/name]');
+    process.exit(command ? 1 : 0);
+  }
+
+  try {
+    const classifier = new RepositoryClassifier();
+    let repositories = classifier.getCandidateRepositories();
+
+    if (target) {
+      repositories = repositories.filter(repo => repo.full_name === target || repo.name === target);
+      if (repositories.length === 0) {
+        throw new Error(`Repository not found: ${target}`);
+      }
+    }
+
+    console.log(`🏷️ Classifying ${repositories.length} repositories...`);
+
+    repositories.forEach(repo => {
+      const result = explain ? classifier.explain(repo) : classifier.classify(repo);
+      const source = result.source === 'rule' ? `rule #${result.rule_index}` : result.source;
+      console.log(`  ${result.type ? '✓' : '⏭️'} ${result.full_name}: ${result.type || 'no README'} (${source})`);
+
+      if (explain) {
+        if (result.source === 'override') {
+          console.log('      manifest override in config/ecosystem-manifest.json');
+        }
+
+        result.rules.forEach(rule => {
+          const marker = rule.index === result.rule_index ? '→' : (rule.matched ? '✓' : '✗');
+          const failed = rule.checks
+            .filter(check => !check.matched)
+            .map(check => `${check.criterion}: ${JSON.stringify(check.actual)}`);
+
+          console.log(`      ${marker} #${rule.index} ${rule.type} [${classifier.describeRule(classifier.classification.rules[rule.index])}]${failed.length > 0 ? ` ✗ ${failed.join(', ')}` : ''}`);
+        });
+      }
+    });
+  } catch (error) {
+    console.error('❌ Classification failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = RepositoryClassifier;
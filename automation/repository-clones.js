@@ -0,0 +1,110 @@
+/**
+ * Repository Clones
+ * Working copies for line counting. In "clone" mode repositories are shallow-cloned
+ * into the clones directory and refreshed with a shallow fetch on later runs; in
+ * "local" mode existing clones are read as they are, without touching the network.
+ * Clones live at <clones_dir>/<owner>/<name> (local clones may also sit at <clones_dir>/<name>).
+ * Clones and fetches run one at a time, however many repositories are collected at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = parseInt(process.env.LINE_COUNT_GIT_TIMEOUT_MS || '300000', 10);
+
+class RepositoryClones {
+  constructor({ mode, clones_dir: clonesDir }) {
+    this.mode = mode;
+    this.clonesDir = clonesDir;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Directory holding an up-to-date checkout of a repository
+   */
+  checkout(provider, owner, name, repository) {
+    const result = this.queue.then(() => this.updateCheckout(provider, owner, name, repository));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Clone or refresh a repository (or locate its local clone)
+   */
+  async updateCheckout(provider, owner, name, repository) {
+    if (this.mode === 'local') {
+      return this.findLocalClone(owner, name);
+    }
+
+    if (!repository.clone_url) {
+      throw new Error(`${provider.name} reported no clone URL for ${owner}/${name}`);
+    }
+
+    const directory = path.join(this.clonesDir, owner, name);
+    const branch = repository.default_branch;
+
+    if (fs.existsSync(path.join(directory, '.git'))) {
+      await this.git(provider, ['-C', directory, 'fetch', '--depth', '1', '--no-tags', 'origin', branch || 'HEAD']);
+      await this.git(provider, ['-C', directory, 'reset', '--hard', '--quiet', 'FETCH_HEAD']);
+    } else {
+      fs.mkdirSync(path.dirname(directory), { recursive: true });
+      fs.rmSync(directory, { recursive: true, force: true });
+      await this.git(provider, ['clone', '--depth', '1', '--single-branch', '--no-tags', '--quiet',
+        ...(branch ? ['--branch', branch] : []), repository.clone_url, directory]);
+    }
+
+    return directory;
+  }
+
+  /**
+   * An existing local clone of a repository
+   */
+  findLocalClone(owner, name) {
+    const candidates = [path.join(this.clonesDir, owner, name), path.join(this.clonesDir, name)];
+    const directory = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!directory) {
+      throw new Error(`No local clone of ${owner}/${name} in ${this.clonesDir}`);
+    }
+
+    return directory;
+  }
+
+  /**
+   * Commit checked out in a clone (null when it is not a git repository)
+   */
+  async getRevision(directory) {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', directory, 'rev-parse', 'HEAD'], { timeout: GIT_TIMEOUT_MS });
+      return stdout.trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Run git non-interactively, passing the provider token as an HTTP header through
+   * the environment so it never appears in the command line or the clone's config
+   */
+  async git(provider, args) {
+    const authHeader = provider.getGitAuthHeader();
+    const env = {
+      ...process.env,
+      GIT_TERMINAL_PROMPT: '0',
+      ...(authHeader ? { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'http.extraHeader', GIT_CONFIG_VALUE_0: authHeader } : {})
+    };
+
+    try {
+      await execFileAsync('git', args, { env, timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+    } catch (error) {
+      const command = args[0] === '-C' ? args[2] : args[0];
+      throw new Error(`git ${command} failed: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+    }
+  }
+}
+
+module.exports = RepositoryClones;
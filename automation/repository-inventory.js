@@ -0,0 +1,241 @@
+/**
+ * Repository Inventory
+ * Per-repository health facts recorded by discovery's opt-in deep scan: community
+ * files, workflows, branch protection, open issues/PRs and the latest release
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RequestScheduler = require('./request-scheduler');
+
+// Community files and the directories GitHub looks for them in
+const COMMUNITY_FILES = {
+  readme: /^readme(\.[a-z]+)?$/i,
+  contributing: /^contributing(\.[a-z]+)?$/i,
+  security: /^security(\.[a-z]+)?$/i,
+  codeowners: /^CODEOWNERS$/
+};
+const COMMUNITY_DIRS = ['', '.github', 'docs'];
+const WORKFLOW_PATTERN = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+
+class RepositoryInventory {
+  constructor(inventoryPath = process.env.REPOSITORY_INVENTORY) {
+    this.baseDir = path.dirname(__dirname);
+    this.inventoryPath = inventoryPath || path.join(this.baseDir, 'docs', 'repository-inventory.json');
+    this.data = null;
+  }
+
+  /**
+   * Deep-scan a discovered repository. Each check fails independently and is
+   * recorded under errors, so one forbidden endpoint never drops the whole entry.
+   */
+  async scanRepository(github, repo) {
+    const [owner, name] = repo.full_name.split('/');
+    const entry = {
+      full_name: repo.full_name,
+      owner,
+      scanned_at: new Date().toISOString(),
+      default_branch: repo.default_branch || null,
+      license: repo.license || null,
+      pushed_at: repo.pushed_at || null,
+      archived: !!repo.archived,
+      files: {},
+      workflows: [],
+      tree_truncated: false,
+      branch_protection: null,
+      open_issues: null,
+      open_pull_requests: null,
+      latest_release: null,
+      errors: {}
+    };
+
+    await this.runCheck(entry, 'files', async () => {
+      const { paths, truncated } = await this.listFiles(github, owner, name, entry.default_branch);
+
+      Object.entries(COMMUNITY_FILES).forEach(([file, pattern]) => {
+        entry.files[file] = this.findCommunityFile(paths, pattern);
+      });
+      entry.workflows = paths.filter(filePath => WORKFLOW_PATTERN.test(filePath));
+      entry.tree_truncated = truncated;
+    });
+
+    await this.runCheck(entry, 'branch_protection', async () => {
+      if (!entry.default_branch) {
+        return;
+      }
+
+      const { data } = await github.rest.repos.getBranch({ owner, repo: name, branch: entry.default_branch });
+      entry.branch_protection = data.protected;
+    });
+
+    await this.runCheck(entry, 'open_pull_requests', async () => {
+      const response = await github.rest.pulls.list({ owner, repo: name, state: 'open', per_page: 1 });
+      entry.open_pull_requests = this.getTotalFromLastPage(response);
+
+      // open_issues_count counts pull requests too
+      if (typeof repo.open_issues_count === 'number') {
+        entry.open_issues = Math.max(repo.open_issues_count - entry.open_pull_requests, 0);
+      }
+    });
+
+    await this.runCheck(entry, 'latest_release', async () => {
+      try {
+        const { data } = await github.rest.repos.getLatestRelease({ owner, repo: name });
+        entry.latest_release = {
+          tag_name: data.tag_name,
+          name: data.name,
+          published_at: data.published_at
+        };
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Run one scan check, recording its failure instead of throwing
+   * (an exhausted rate limit budget still aborts the scan)
+   */
+  async runCheck(entry, check, scan) {
+    try {
+      await scan();
+    } catch (error) {
+      if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+        throw error;
+      }
+      entry.errors[check] = error.status ? `${error.status}: ${error.message}` : error.message;
+    }
+  }
+
+  /**
+   * List every file path on a branch from the recursive git tree (empty repositories have none)
+   */
+  async listFiles(github, owner, name, branch) {
+    if (!branch) {
+      return { paths: [], truncated: false };
+    }
+
+    try {
+      const { data } = await github.rest.git.getTree({ owner, repo: name, tree_sha: branch, recursive: 'true' });
+      return {
+        paths: data.tree.filter(item => item.type === 'blob').map(item => item.path),
+        truncated: !!data.truncated
+      };
+    } catch (error) {
+      // 409: Git Repository is empty
+      if (error.status === 409) {
+        return { paths: [], truncated: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a community file in the repository root, .github/ or docs/
+   */
+  findCommunityFile(paths, pattern) {
+    for (const dir of COMMUNITY_DIRS) {
+      const match = paths.find(filePath => {
+        const slash = filePath.lastIndexOf('/');
+        const fileDir = slash === -1 ? '' : filePath.slice(0, slash);
+        return fileDir === dir && pattern.test(filePath.slice(slash + 1));
+      });
+
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Total item count of a per_page=1 listing, read from the rel="last" page number
+   */
+  getTotalFromLastPage(response) {
+    const lastPage = (response.headers.link || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+    return lastPage ? parseInt(lastPage[1], 10) : response.data.length;
+  }
+
+  /**
+   * Save scanned entries keyed by full name
+   */
+  save(entries, metadata = {}) {
+    const repositories = {};
+    entries.forEach(entry => {
+      repositories[entry.full_name] = entry;
+    });
+
+    this.data = {
+      generated_at: new Date().toISOString(),
+      ...metadata,
+      summary: this.summarize(entries),
+      repositories
+    };
+
+    const inventoryDir = path.dirname(this.inventoryPath);
+    if (!fs.existsSync(inventoryDir)) {
+      fs.mkdirSync(inventoryDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.inventoryPath, JSON.stringify(this.data, null, 2));
+    return this.data;
+  }
+
+  /**
+   * Count repositories with each health fact
+   */
+  summarize(entries) {
+    const count = predicate => entries.filter(predicate).length;
+
+    return {
+      total_repositories: entries.length,
+      with_readme: count(entry => entry.files.readme),
+      with_contributing: count(entry => entry.files.contributing),
+      with_security_policy: count(entry => entry.files.security),
+      with_codeowners: count(entry => entry.files.codeowners),
+      with_workflows: count(entry => entry.workflows.length > 0),
+      with_license: count(entry => entry.license),
+      protected_default_branch: count(entry => entry.branch_protection === true),
+      with_release: count(entry => entry.latest_release),
+      open_issues: entries.reduce((sum, entry) => sum + (entry.open_issues || 0), 0),
+      open_pull_requests: entries.reduce((sum, entry) => sum + (entry.open_pull_requests || 0), 0),
+      scan_errors: count(entry => Object.keys(entry.errors).length > 0)
+    };
+  }
+
+  /**
+   * Load the inventory written by the last deep scan
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!fs.existsSync(this.inventoryPath)) {
+      return null;
+    }
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.inventoryPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid repository inventory ${this.inventoryPath}: ${error.message}`);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Get the inventory entry of a single repository
+   */
+  getRepository(fullName) {
+    const data = this.load();
+    return data?.repositories[fullName] || null;
+  }
+}
+
+module.exports = RepositoryInventory;
@@ -0,0 +1,186 @@
+/**
+ * Repository Provider
+ * Interface shared by the GitHub, GitLab and Gitea adapters that discovery and the
+ * stats collector read repositories through, plus the HTTP helpers the REST-only
+ * adapters build on. Every adapter returns the same record shapes:
+ *
+ *   listRepositories(owner)          discovery records (GitHub REST field names)
+ *   getLanguages(owner, name)        { Language: bytes }
+ *   getMetadata(owner, name)         { empty, private, stars, forks, default_branch, clone_url, pushed_at, ... }
+ *   getFileContents(owner, name, p)  file text, or null when the file does not exist
+ *   listFiles(owner, name, ref)      { paths, truncated } every file path on a ref
+ *   getCommitActivity(owner, name)   [{ week: "YYYY-MM-DD", total }] for the last year
+ *   getContributors(owner, name)     [{ login, total }] by commit count
+ *   getIssueActivity(owner, name, since)
+ *                                    { issues: [{ created_at, closed_at }],
+ *                                      pull_requests: [{ created_at, merged_at, closed_at }] }
+ *                                    for issues and pull requests updated since a date
+ *
+ * Statistics methods return null when the provider cannot supply them (yet).
+ * getGitAuthHeader() authenticates git over HTTPS (clones for line counting).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVITY_WEEKS = 52;
+// Per-request limit for REST adapters, so an unresponsive self-hosted server cannot hang a run
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class RepositoryProvider {
+  constructor({ name, type, base_url: baseUrl = null, token_env: tokenEnv = null, owners = [], timeout_ms: timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    this.name = name;
+    this.type = type;
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.token = tokenEnv ? process.env[tokenEnv] : null;
+    this.owners = owners;
+    // Basic auth user sent with the token on git HTTPS requests
+    this.gitUsername = 'oauth2';
+  }
+
+  /**
+   * Whether the provider can be queried (REST providers serve public repositories without a token)
+   */
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Human-readable description of where repository data comes from
+   */
+  describeMode() {
+    return `${this.name} API at ${this.baseUrl}${this.token ? '' : ' (anonymous)'}`;
+  }
+
+  async listRepositories(owner) {
+    throw new Error(`${this.name} provider does not implement listRepositories (${owner.login})`);
+  }
+
+  async getLanguages(owner, name) {
+    throw new Error(`${this.name} provider does not implement getLanguages (${owner}/${name})`);
+  }
+
+  async getMetadata(owner, name) {
+    throw new Error(`${this.name} provider does not implement getMetadata (${owner}/${name})`);
+  }
+
+  async getFileContents(owner, name, filePath) {
+    throw new Error(`${this.name} provider does not implement getFileContents (${owner}/${name}/${filePath})`);
+  }
+
+  async listFiles(owner, name) {
+    throw new Error(`${this.name} provider does not implement listFiles (${owner}/${name})`);
+  }
+
+  async getCommitActivity(owner, name) {
+    throw new Error(`${this.name} provider does not implement getCommitActivity (${owner}/${name})`);
+  }
+
+  async getContributors(owner, name) {
+    throw new Error(`${this.name} provider does not implement getContributors (${owner}/${name})`);
+  }
+
+  async getIssueActivity(owner, name) {
+    throw new Error(`${this.name} provider does not implement getIssueActivity (${owner}/${name})`);
+  }
+
+  /**
+   * Authentication headers for API requests (set by each adapter)
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * HTTP header authenticating git clones and fetches (null without a token)
+   */
+  getGitAuthHeader() {
+    if (!this.token) {
+      return null;
+    }
+
+    return `Authorization: Basic ${Buffer.from(`${this.gitUsername}:${this.token}`).toString('base64')}`;
+  }
+
+  /**
+   * Call the provider API. Non-2xx responses throw an Error carrying the HTTP status,
+   * like Octokit's RequestError, so callers can branch on error.status. Requests
+   * (body included) that take longer than timeout_ms are aborted.
+   */
+  async request(pathname, { query = {}, raw = false } = {}) {
+    const url = new URL(`${this.baseUrl}${pathname}`);
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json', ...this.getAuthHeaders() },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${this.name} API ${response.status} for ${url.pathname}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        data: raw ? await response.text() : await response.json()
+      };
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`${this.name} API did not respond within ${this.timeoutMs}ms for ${url.pathname}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every page of a listing until a short page comes back
+   */
+  async paginate(pathname, query = {}, { pageSize = 100, sizeParam = 'per_page' } = {}) {
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const { data } = await this.request(pathname, { query: { ...query, [sizeParam]: pageSize, page } });
+      items.push(...data);
+
+      if (data.length < pageSize) {
+        return items;
+      }
+    }
+  }
+
+  /**
+   * Start of the activity window (the Sunday 52 weeks back, like GitHub's commit_activity)
+   */
+  getActivitySince(now = new Date()) {
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    since.setUTCDate(since.getUTCDate() - since.getUTCDay() - (ACTIVITY_WEEKS - 1) * 7);
+    return since;
+  }
+
+  /**
+   * Bucket commit timestamps into Sunday-starting weeks across the activity window
+   */
+  groupCommitsByWeek(dates, now = new Date()) {
+    const since = this.getActivitySince(now);
+    const weeks = Array.from({ length: ACTIVITY_WEEKS }, (_, index) => ({
+      week: new Date(since.getTime() + index * 7 * DAY_MS).toISOString().slice(0, 10),
+      total: 0
+    }));
+
+    dates.forEach(date => {
+      const index = Math.floor((new Date(date).getTime() - since.getTime()) / (7 * DAY_MS));
+      if (index >= 0 && index < ACTIVITY_WEEKS) {
+        weeks[index].total++;
+      }
+    });
+
+    return weeks;
+  }
+}
+
+module.exports = RepositoryProvider;
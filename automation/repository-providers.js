@@ -0,0 +1,60 @@
+/**
+ * Repository Providers
+ * Builds the provider adapters declared in the ecosystem manifest (GitHub plus any
+ * GitLab/Gitea instances) and resolves which one hosts a given owner
+ */
+
+const EcosystemManifest = require('./ecosystem-manifest');
+const GitHubProvider = require('./github-provider');
+const GitLabProvider = require('./gitlab-provider');
+const GiteaProvider = require('./gitea-provider');
+
+const ADAPTERS = {
+  github: GitHubProvider,
+  gitlab: GitLabProvider,
+  gitea: GiteaProvider
+};
+
+class RepositoryProviders {
+  /**
+   * GitHub options (client, apiMode) are passed to the GitHub adapter so callers
+   * share one client with their own code paths
+   */
+  constructor(manifest = new EcosystemManifest(), github = {}) {
+    this.manifest = manifest;
+    this.providers = manifest.getProviders().map(config => {
+      const Adapter = ADAPTERS[config.type];
+      return new Adapter(config.type === 'github' ? { ...config, ...github } : config);
+    });
+  }
+
+  /**
+   * Get every provider, GitHub first
+   */
+  getAll() {
+    return [...this.providers];
+  }
+
+  /**
+   * Get a provider by name
+   */
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  /**
+   * Get the provider hosting an owner (GitHub for owners no provider lists)
+   */
+  forOwner(login) {
+    return this.get(this.manifest.getProviderForOwner(login).name);
+  }
+
+  /**
+   * Get every owner paired with the provider that hosts it
+   */
+  getOwners() {
+    return this.providers.flatMap(provider => provider.owners.map(owner => ({ ...owner, provider })));
+  }
+}
+
+module.exports = RepositoryProviders;
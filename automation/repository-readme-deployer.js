@@ -2,25 +2,38 @@
 
 /**
  * Repository README Deployer
- * Deploys generated README files to actual repositories using GitHub API
+ * Deploys generated README files to actual repositories using GitHub API.
+ * Repositories without a README get the whole generated one; existing READMEs only
+ * have their marked sections updated (see readme-sections.js).
  */
 
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+const GitHubClient = require('./github-client');
+const ReadmeSections = require('./readme-sections');
+
+// Attempts at writing README.md when it changes between reading and writing it
+const MAX_UPDATE_ATTEMPTS = 3;
 
 class RepositoryReadmeDeployer {
   constructor() {
     this.baseDir = path.dirname(__dirname);
     this.generatedDir = path.join(this.baseDir, 'generated-readmes');
     this.ecosystemConfigPath = path.join(this.baseDir, 'docs', 'ecosystem-config.json');
+    this.manifest = new EcosystemManifest();
+    this.registry = new RepositoryRegistry();
+    this.sections = new ReadmeSections();
     
     // Initialize GitHub API
-    this.github = new Octokit({
+    this.client = new GitHubClient({
       auth: process.env.GITHUB_TOKEN || process.env.PERSONAL_GITHUB_TOKEN
     });
+    this.github = this.client.octokit;
     
-    this.isRealMode = !!(process.env.GITHUB_TOKEN || process.env.PERSONAL_GITHUB_TOKEN);
+    // Deployment writes to repositories, so it needs a real token (fixtures are read-only)
+    this.isRealMode = this.client.hasToken;
     
     if (!this.isRealMode) {
       console.log('⚠️ No GitHub token found. Running in preview mode.');
@@ -148,75 +161,132 @@ class RepositoryReadmeDeployer {
       };
     }
 
+    const provider = this.manifest.getProviderForOwner(orgName);
+    if (provider.type !== 'github') {
+      return {
+        repository: `${orgName}/${repoName}`,
+        success: false,
+        reason: `Hosted on ${provider.name} - README deployment supports GitHub only`
+      };
+    }
+
     const readmeContent = fs.readFileSync(readmeFilePath, 'utf8');
+    const optedIn = this.manifest.getReadmeSections(orgName, repoName);
 
     if (!this.isRealMode) {
       return {
         repository: `${orgName}/${repoName}`,
         success: false,
         reason: 'Preview mode - no GitHub token available',
-        content_length: readmeContent.length
+        content_length: readmeContent.length,
+        sections: this.sections.parse(readmeContent, `${repoName}-README.md`).map(section => section.name)
       };
     }
 
-    try {
-      // Get current README.md file (if exists)
-      let existingFile = null;
+    for (let attempt = 1; ; attempt++) {
       try {
-        const { data } = await this.github.rest.repos.getContent({
-          owner: orgName,
-          repo: repoName,
-          path: 'README.md'
-        });
-        existingFile = data;
+        return await this.writeReadme(orgName, repoName, readmeContent, optedIn);
       } catch (error) {
-        // README.md doesn't exist yet
-        console.log(`    📝 Creating new README.md for ${orgName}/${repoName}`);
-      }
+        if (error.status === 404) {
+          return {
+            repository: `${orgName}/${repoName}`,
+            success: false,
+            reason: 'Repository not found or no access'
+          };
+        }
 
-      // Update or create README.md
-      const commitMessage = existingFile 
-        ? 'Auto-update README with ecosystem statistics\n\n🤖 Generated with Claude Code'
-        : 'Initialize README with ecosystem integration\n\n🤖 Generated with Claude Code';
+        // README.md changed since it was read: merge into the new version instead of overwriting it
+        if (error.status === 409 && attempt < MAX_UPDATE_ATTEMPTS) {
+          console.log(`    🔁 README.md of ${orgName}/${repoName} changed during the update, merging again`);
+          continue;
+        }
 
-      const updateParams = {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Create README.md from the generated README, or update the marked sections of the
+   * existing one. The write is conditional on the version that was read.
+   */
+  async writeReadme(orgName, repoName, readmeContent, optedIn) {
+    // Get current README.md file (if exists)
+    let existingFile = null;
+    try {
+      const { data } = await this.github.rest.repos.getContent({
         owner: orgName,
         repo: repoName,
-        path: 'README.md',
-        message: commitMessage,
-        content: Buffer.from(readmeContent).toString('base64')
-      };
-
-      if (existingFile) {
-        updateParams.sha = existingFile.sha;
+        path: 'README.md'
+      });
+      existingFile = data;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
       }
+    }
 
-      await this.github.rest.repos.createOrUpdateFileContents(updateParams);
+    let content = readmeContent;
+    let sections = this.sections.parse(readmeContent, `${repoName}-README.md`).map(section => section.name);
 
-      return {
-        repository: `${orgName}/${repoName}`,
-        success: true,
-        operation: existingFile ? 'updated' : 'created',
-        commit_message: commitMessage
-      };
+    if (existingFile) {
+      const existing = Buffer.from(existingFile.content, 'base64').toString('utf8');
+      const merge = this.sections.merge(existing, readmeContent, { sections: optedIn, source: `${orgName}/${repoName}/README.md` });
+      merge.missing.forEach(name => console.log(`    ⚠️ ${orgName}/${repoName}: section "${name}" is not generated for this README type`));
 
-    } catch (error) {
-      if (error.status === 404) {
+      sections = [...merge.updated, ...merge.appended];
+      if (sections.length === 0) {
         return {
           repository: `${orgName}/${repoName}`,
           success: false,
-          reason: 'Repository not found or no access'
+          reason: merge.unchanged.length > 0 ?
+            `Sections up to date (${merge.unchanged.join(', ')})` :
+            'README.md has no ecosystem sections - add <!-- ecosystem:begin <section> --> ... <!-- ecosystem:end --> markers or list readme_sections in the manifest'
         };
       }
-      
-      throw error;
+      content = merge.content;
+    } else {
+      // README.md doesn't exist yet
+      console.log(`    📝 Creating new README.md for ${orgName}/${repoName}`);
+    }
+
+    // Update or create README.md
+    const commitMessage = existingFile 
+      ? 'Auto-update README with ecosystem statistics\n\n🤖 Generated with Claude Code'
+      : 'Initialize README with ecosystem integration\n\n🤖 Generated with Claude Code';
+
+    const updateParams = {
+      owner: orgName,
+      repo: repoName,
+      path: 'README.md',
+      message: commitMessage,
+      content: Buffer.from(content).toString('base64')
+    };
+
+    if (existingFile) {
+      updateParams.sha = existingFile.sha;
     }
+
+    await this.github.rest.repos.createOrUpdateFileContents(updateParams);
+
+    return {
+      repository: `${orgName}/${repoName}`,
+      success: true,
+      operation: existingFile ? 'updated' : 'created',
+      commit_message: commitMessage,
+      sections
+    };
   }
 
   /**
    * Find which organization a repository belongs to
    */
   findRepositoryOrganization(repoName, ecosystemConfig) {
+    const registeredOwner = this.registry.findOwner(repoName);
+    if (registeredOwner) {
+      return registeredOwner;
+    }
+
     for (const [orgName, orgData] of Object.entries(ecosystemConfig.organizations)) {
       if (orgData.repositories && orgData.repositories.includes(repoName)) {
         return orgName;
@@ -251,7 +321,8 @@ ${results.details.map(detail => {
   return `### ${status} ${detail.repository}
 **Status**: ${reason}  
 ${detail.commit_message ? `**Commit**: ${detail.commit_message}` : ''}  
-${detail.content_length ? `**Content**: ${detail.content_length} characters` : ''}
+${detail.content_length ? `**Content**: ${detail.content_length} characters` : ''}  
+${detail.sections && detail.sections.length > 0 ? `**Sections**: ${detail.sections.join(', ')}` : ''}
 `;
 }).join('\n')}
 
@@ -290,14 +361,18 @@ ${detail.content_length ? `**Content**: ${detail.content_length} characters` : '
       if (fs.existsSync(readmeFilePath)) {
         const content = fs.readFileSync(readmeFilePath, 'utf8');
         const lines = content.split('\n').length;
+        const sections = this.sections.parse(content, `${repoName}-README.md`).map(section => section.name);
+        const optedIn = orgName ? this.manifest.getReadmeSections(orgName, repoName) : [];
         
         console.log(`  📄 ${orgName}/${repoName} (${lines} lines, ${content.length} chars)`);
+        console.log(`     Sections: ${sections.join(', ') || 'none'}${optedIn.length > 0 ? ` (added when missing: ${optedIn.join(', ')})` : ''}`);
       }
     }
 
     console.log(`\n💡 To deploy these README files to actual repositories:`);
     console.log(`   1. Set GITHUB_TOKEN or PERSONAL_GITHUB_TOKEN environment variable`);
     console.log(`   2. Run: npm run ecosystem:deploy-readmes`);
+    console.log(`   Existing READMEs only get their <!-- ecosystem:begin <section> --> ... <!-- ecosystem:end --> sections updated`);
   }
 }
 
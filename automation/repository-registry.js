@@ -0,0 +1,124 @@
+/**
+ * Repository Registry
+ * Runtime data file of discovered repositories, written by ecosystem-auto-discovery
+ * and read by the stats collector and other consumers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class RepositoryRegistry {
+  constructor(registryPath = process.env.REPOSITORY_REGISTRY) {
+    this.baseDir = path.dirname(__dirname);
+    this.registryPath = registryPath || path.join(this.baseDir, 'docs', 'repository-registry.json');
+    this.data = null;
+  }
+
+  /**
+   * Check whether discovery has written a registry yet
+   */
+  exists() {
+    return fs.existsSync(this.registryPath);
+  }
+
+  /**
+   * Load registry data from disk (cached after the first read)
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.exists()) {
+      return null;
+    }
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid repository registry ${this.registryPath}: ${error.message}`);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Save discovered repositories, keyed by owner
+   */
+  save(discoveredRepos, metadata = {}) {
+    const repositories = {};
+
+    Object.entries(discoveredRepos).forEach(([owner, repos]) => {
+      repos.forEach(repo => {
+        repositories[repo.full_name || `${owner}/${repo.name}`] = { owner, ...repo };
+      });
+    });
+
+    this.data = {
+      generated_at: new Date().toISOString(),
+      ...metadata,
+      owners: Object.keys(discoveredRepos),
+      repositories
+    };
+
+    const registryDir = path.dirname(this.registryPath);
+    if (!fs.existsSync(registryDir)) {
+      fs.mkdirSync(registryDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.registryPath, JSON.stringify(this.data, null, 2));
+    return this.data;
+  }
+
+  /**
+   * Get all registered repositories
+   */
+  getRepositories({ activeOnly = false } = {}) {
+    const data = this.load();
+    if (!data) {
+      return [];
+    }
+
+    return Object.values(data.repositories)
+      .filter(repo => !activeOnly || (!repo.archived && !repo.disabled));
+  }
+
+  /**
+   * Get repository names grouped by owner
+   */
+  getRepositoriesByOwner({ activeOnly = true } = {}) {
+    const data = this.load();
+    if (!data) {
+      return {};
+    }
+
+    const grouped = {};
+    data.owners.forEach(owner => {
+      grouped[owner] = [];
+    });
+
+    this.getRepositories({ activeOnly }).forEach(repo => {
+      (grouped[repo.owner] = grouped[repo.owner] || []).push(repo.name);
+    });
+
+    return grouped;
+  }
+
+  /**
+   * Get a single registered repository
+   */
+  getRepository(owner, name) {
+    const data = this.load();
+    return data ? data.repositories[`${owner}/${name}`] || null : null;
+  }
+
+  /**
+   * Find the owner of a repository by name
+   */
+  findOwner(name) {
+    const repo = this.getRepositories().find(candidate => candidate.name === name);
+    return repo ? repo.owner : null;
+  }
+}
+
+module.exports = RepositoryRegistry;
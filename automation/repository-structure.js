@@ -0,0 +1,173 @@
+/**
+ * Repository Structure
+ * Reads the real file tree of a repository - from an existing local clone in the
+ * line counting clones directory, otherwise from the provider's git tree API - and
+ * derives the README directory tree and project count from it. The tree is limited
+ * to readme_structure.depth levels and max_entries entries per directory; entries
+ * are annotated from readme_structure.annotations (by name) and the repository's
+ * structure_annotations (by path). A project is a directory with its own project file
+ * (package.json, pyproject.toml, go.mod, ...); directories inside a project do not
+ * count again, and a repository without project directories is one project.
+ */
+
+const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const GitHubClient = require('./github-client');
+const RepositoryProviders = require('./repository-providers');
+const RepositoryClones = require('./repository-clones');
+const LineCounter = require('./line-counter');
+
+// repos.get and the file tree
+const REQUESTS_PER_REPOSITORY = 2;
+const MIN_ANNOTATION_GAP = 2;
+
+class RepositoryStructure {
+  constructor({ client, manifest } = {}) {
+    this.client = client || new GitHubClient();
+    this.manifest = manifest || new EcosystemManifest();
+    this.providers = new RepositoryProviders(this.manifest, { client: this.client });
+    this.settings = this.manifest.getReadmeStructure();
+    this.lineCounter = new LineCounter();
+    // Only existing clones are read; nothing is cloned for the structure
+    this.clones = new RepositoryClones({ ...this.manifest.getLineCounting(), mode: 'local' });
+  }
+
+  /**
+   * Reserve the request budget for analyzing a number of GitHub repositories
+   */
+  async checkRateBudget(repositories) {
+    await this.client.checkRateBudget(repositories * REQUESTS_PER_REPOSITORY, 'Structure analysis');
+  }
+
+  /**
+   * Analyze one repository: { tree, project_count, projects, files, source, truncated, metadata }
+   */
+  async analyze(owner, name) {
+    const provider = this.providers.forOwner(owner);
+    const metadata = await provider.getMetadata(owner, name);
+    const { paths, source, truncated } = await this.listFiles(provider, owner, name, metadata);
+    const files = paths.filter(filePath => !this.lineCounter.isVendored(filePath) && this.isVisible(filePath));
+    const projects = this.findProjects(files);
+
+    return {
+      tree: this.renderTree(name, files, projects, this.manifest.getRepositoryConfig(owner, name).structure_annotations || {}),
+      project_count: files.length === 0 ? 0 : Math.max(projects.length, 1),
+      projects,
+      files: files.length,
+      source,
+      truncated,
+      metadata
+    };
+  }
+
+  /**
+   * Tracked files of the repository, from a local clone when there is one
+   */
+  async listFiles(provider, owner, name, metadata) {
+    let directory = null;
+    try {
+      directory = this.clones.findLocalClone(owner, name);
+    } catch (error) {
+      // No local clone: read the tree through the API
+    }
+
+    if (directory) {
+      return { paths: this.lineCounter.listFiles(directory), source: 'clone', truncated: false };
+    }
+
+    if (metadata.empty) {
+      return { paths: [], source: provider.name, truncated: false };
+    }
+
+    const { paths, truncated } = await provider.listFiles(owner, name, metadata.default_branch);
+    return { paths, source: provider.name, truncated };
+  }
+
+  /**
+   * Hidden files and directories (.github, .gitignore, ...) only show when configured
+   */
+  isVisible(filePath) {
+    return this.settings.hidden || !filePath.split('/').some(segment => segment.startsWith('.'));
+  }
+
+  /**
+   * Outermost directories holding a project file, sorted
+   */
+  findProjects(files) {
+    const projectFiles = new Set(this.settings.project_files);
+    const directories = [...new Set(files
+      .filter(filePath => filePath.includes('/') && projectFiles.has(path.posix.basename(filePath)))
+      .map(filePath => path.posix.dirname(filePath)))]
+      .sort();
+
+    return directories.filter(directory =>
+      !directories.some(other => other !== directory && directory.startsWith(`${other}/`)));
+  }
+
+  /**
+   * Depth-limited tree: directories first, then files, each in natural order; directories
+   * holding several projects say how many
+   */
+  renderTree(name, files, projects, pathAnnotations) {
+    const root = { children: new Map() };
+    files.forEach(filePath => {
+      let node = root;
+      filePath.split('/').forEach((segment, index, segments) => {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, { children: new Map(), file: index === segments.length - 1 });
+        }
+        node = node.children.get(segment);
+      });
+    });
+
+    const lines = [];
+    const walk = (node, prefix, parentPath, level) => {
+      const entries = [...node.children.entries()].sort(([a, nodeA], [b, nodeB]) =>
+        (nodeA.file - nodeB.file) || a.localeCompare(b, undefined, { numeric: true }));
+      const shown = entries.length > this.settings.max_entries ? entries.slice(0, this.settings.max_entries - 1) : entries;
+      const hidden = entries.length - shown.length;
+
+      shown.forEach(([segment, child], index) => {
+        const entryPath = parentPath ? `${parentPath}/${segment}` : segment;
+        const last = index === shown.length - 1 && hidden === 0;
+        const icon = child.file ? '📄' : projects.includes(entryPath) ? '📦' : '📁';
+
+        lines.push({
+          text: `${prefix}${last ? '└── ' : '├── '}${icon} ${segment}${child.file ? '' : '/'}`,
+          annotation: this.getAnnotation(entryPath, segment, child.file, projects, pathAnnotations)
+        });
+
+        if (!child.file && level < this.settings.depth) {
+          walk(child, `${prefix}${last ? '    ' : '│   '}`, entryPath, level + 1);
+        }
+      });
+
+      if (hidden > 0) {
+        lines.push({ text: `${prefix}└── … ${hidden} more`, annotation: null });
+      }
+    };
+    walk(root, '', '', 1);
+
+    const width = Math.max(0, ...lines.filter(line => line.annotation).map(line => line.text.length)) + MIN_ANNOTATION_GAP;
+    return [`${name}/`, ...lines.map(({ text, annotation }) =>
+      annotation ? `${text.padEnd(width)}# ${annotation}` : text)].join('\n');
+  }
+
+  /**
+   * Annotation of a tree entry: the repository's path annotation, else the annotation
+   * of its name, plus the number of projects inside a directory that is not one itself
+   */
+  getAnnotation(entryPath, segment, isFile, projects, pathAnnotations) {
+    const annotation = pathAnnotations[entryPath] ?? pathAnnotations[`${entryPath}/`] ?? this.settings.annotations[segment] ?? null;
+    const nested = isFile || projects.includes(entryPath) ? 0 :
+      projects.filter(project => project.startsWith(`${entryPath}/`)).length;
+
+    if (nested < 2) {
+      return annotation;
+    }
+
+    return annotation ? `${annotation} (${nested} projects)` : `${nested} projects`;
+  }
+}
+
+module.exports = RepositoryStructure;
@@ -0,0 +1,243 @@
+/**
+ * Request Scheduler
+ * Shared GitHub API request gate: runs requests with bounded concurrency, tracks the
+ * primary rate limit from x-ratelimit-* headers, honors retry-after and secondary rate
+ * limits, and pauses for a reset (or fails fast) when a run would exhaust the budget.
+ */
+
+const RATE_LIMIT_EXCEEDED = 'RATE_LIMIT_EXCEEDED';
+
+class RequestScheduler {
+  constructor({
+    concurrency = parseInt(process.env.GITHUB_MAX_CONCURRENCY || '4', 10),
+    reserve = parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE || '100', 10),
+    maxWaitMs = parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT || '300', 10) * 1000,
+    maxRetries = parseInt(process.env.GITHUB_MAX_RETRIES || '3', 10)
+  } = {}) {
+    this.concurrency = Math.max(concurrency, 1);
+    this.reserve = reserve;
+    this.maxWaitMs = maxWaitMs;
+    this.maxRetries = maxRetries;
+
+    this.active = 0;
+    this.queue = [];
+    this.limits = {};
+    this.counters = { requests: 0, retries: 0, paused_ms: 0 };
+  }
+
+  /**
+   * Run a request once a concurrency slot and rate limit budget are available,
+   * retrying secondary rate limits and retry-after responses
+   */
+  async schedule(task, resource = 'core') {
+    await this.acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        if (resource) {
+          await this.waitForBudget(resource);
+          this.consume(resource);
+        }
+
+        try {
+          const response = await task();
+          this.update(response.headers);
+          return response;
+        } catch (error) {
+          this.update(error.response?.headers || {});
+
+          const waitMs = this.getRetryDelay(error, attempt);
+          if (waitMs === null) {
+            throw error;
+          }
+
+          this.counters.retries++;
+          console.log(`  ⏳ GitHub rate limited (${error.status}), retrying in ${Math.ceil(waitMs / 1000)}s...`);
+          await this.pause(waitMs);
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Rate limit resource a request counts against (null for the free /rate_limit)
+   */
+  getResource(url) {
+    if (/\/rate_limit$/.test(url)) {
+      return null;
+    }
+
+    if (/\/graphql$/.test(url)) {
+      return 'graphql';
+    }
+
+    return /\/search\//.test(url) ? 'search' : 'core';
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   */
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+
+    await new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next queued request, or free it
+   */
+  release() {
+    const next = this.queue.shift();
+
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Record the latest x-ratelimit-* headers. Concurrent responses arrive out of order,
+   * so within one reset window the lowest remaining count wins.
+   */
+  update(headers) {
+    if (headers['x-ratelimit-remaining'] === undefined || headers['x-ratelimit-reset'] === undefined) {
+      return;
+    }
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const current = this.limits[resource];
+    const limit = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10) || null,
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+    };
+
+    if (current && current.reset === limit.reset) {
+      limit.remaining = Math.min(current.remaining, limit.remaining);
+    }
+
+    this.limits[resource] = limit;
+  }
+
+  /**
+   * Count a request against the known budget before its response arrives
+   */
+  consume(resource) {
+    this.counters.requests++;
+
+    if (this.limits[resource]) {
+      this.limits[resource].remaining = Math.max(this.limits[resource].remaining - 1, 0);
+    }
+  }
+
+  /**
+   * Pause until the reset when only the reserve is left (fails fast if that is too long)
+   */
+  async waitForBudget(resource) {
+    const limit = this.limits[resource];
+
+    if (!limit || limit.remaining > this.reserve || limit.reset <= Date.now()) {
+      return;
+    }
+
+    const waitMs = limit.reset - Date.now() + 1000;
+    this.assertWaitAllowed(waitMs, `Only ${limit.remaining} ${resource} requests left (reserve ${this.reserve})`, limit);
+
+    console.log(`  ⏸️ GitHub ${resource} rate limit down to ${limit.remaining}, pausing ${Math.ceil(waitMs / 1000)}s until reset...`);
+    await this.pause(waitMs);
+    delete this.limits[resource];
+  }
+
+  /**
+   * Delay before retrying a failed request, or null when it should not be retried.
+   * 403/429 with retry-after, an exhausted primary limit or a secondary rate limit are retried.
+   */
+  getRetryDelay(error, attempt) {
+    if (![403, 429].includes(error.status) || attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const headers = error.response?.headers || {};
+    let waitMs = null;
+
+    if (headers['retry-after']) {
+      waitMs = parseInt(headers['retry-after'], 10) * 1000;
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      waitMs = parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now() + 1000;
+    } else if (/secondary rate limit/i.test(error.message) || error.status === 429) {
+      // No hint from GitHub: back off from one minute
+      waitMs = 60000 * 2 ** attempt;
+    }
+
+    if (waitMs === null) {
+      return null;
+    }
+
+    this.assertWaitAllowed(waitMs, `GitHub rate limit hit (${error.status})`, this.limits.core);
+    return Math.max(waitMs, 0);
+  }
+
+  /**
+   * Check a planned run against the known budget: fine if it fits above the reserve,
+   * a pause if the reset is near enough, otherwise fail before spending anything
+   */
+  checkBudget(requests, label, resource = 'core') {
+    const limit = this.limits[resource];
+
+    if (!limit || limit.reset <= Date.now() || requests <= limit.remaining - this.reserve) {
+      return { fits: true, remaining: limit?.remaining ?? null };
+    }
+
+    this.assertWaitAllowed(limit.reset - Date.now(),
+      `${label} needs about ${requests} GitHub API requests but only ${limit.remaining} remain (reserve ${this.reserve})`, limit);
+
+    console.log(`  ⏸️ ${label} will pause for the rate limit reset at ${new Date(limit.reset).toLocaleTimeString()}`);
+    return { fits: false, remaining: limit.remaining };
+  }
+
+  /**
+   * Throw a clear error when a wait would exceed GITHUB_RATE_LIMIT_MAX_WAIT
+   */
+  assertWaitAllowed(waitMs, reason, limit) {
+    if (waitMs <= this.maxWaitMs) {
+      return;
+    }
+
+    const resetAt = limit?.reset ? ` (resets at ${new Date(limit.reset).toLocaleTimeString()})` : '';
+    const error = new Error(
+      `${reason}${resetAt}: waiting ${Math.ceil(waitMs / 60000)} min exceeds GITHUB_RATE_LIMIT_MAX_WAIT ` +
+      `(${Math.round(this.maxWaitMs / 1000)}s). Re-run after the reset or raise the limit.`
+    );
+    error.code = RATE_LIMIT_EXCEEDED;
+    throw error;
+  }
+
+  /**
+   * Sleep, counting the time spent waiting on rate limits
+   */
+  async pause(ms) {
+    this.counters.paused_ms += ms;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Request, retry and pause counts plus the last known limits
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      ...this.counters,
+      limits: { ...this.limits }
+    };
+  }
+}
+
+RequestScheduler.RATE_LIMIT_EXCEEDED = RATE_LIMIT_EXCEEDED;
+
+module.exports = RequestScheduler;
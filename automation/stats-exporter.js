@@ -0,0 +1,244 @@
+/**
+ * Stats Exporter
+ * Flattens the published language statistics (docs/analytics/github-language-stats.json,
+ * already redacted by the visibility policy) into one row per repository and language
+ * for spreadsheets and log pipelines (CSV, NDJSON), or into gauges for Prometheus
+ * (OpenMetrics text format). Column and metric names are part of the export contract:
+ * add new ones at the end rather than renaming or reordering.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LanguageRegistry = require('./language-registry');
+
+const COLUMNS = [
+  'collected_at',
+  'owner',
+  'repository',
+  'language',
+  'language_type',
+  'amount',
+  'unit',
+  'repository_share',
+  'repository_total',
+  'primary_language',
+  'status',
+  'private',
+  'aggregated',
+  'repository_count',
+  'stars',
+  'forks',
+  'commits_last_year',
+  'contributors',
+  'provider',
+  'data_source'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  openmetrics: { contentType: 'application/openmetrics-text; version=1.0.0; charset=utf-8', extension: 'txt' }
+};
+
+const METRIC_PREFIX = 'ecosystem';
+
+class StatsExporter {
+  constructor({ statsPath } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.statsPath = statsPath || path.join(this.baseDir, 'docs', 'analytics', 'github-language-stats.json');
+    this.languages = new LanguageRegistry();
+  }
+
+  /**
+   * Published statistics
+   */
+  loadStats() {
+    if (!fs.existsSync(this.statsPath)) {
+      throw new Error(`Stats not found: ${this.statsPath} (run npm run ecosystem:stats first)`);
+    }
+
+    return JSON.parse(fs.readFileSync(this.statsPath, 'utf8'));
+  }
+
+  /**
+   * Render the statistics in one of the export formats
+   */
+  export(format, stats = this.loadStats()) {
+    if (!StatsExporter.isFormat(format)) {
+      throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    switch (format) {
+      case 'csv':
+        return this.toCsv(this.getRows(stats));
+      case 'ndjson':
+        return this.toNdjson(this.getRows(stats));
+      default:
+        return this.toOpenMetrics(stats);
+    }
+  }
+
+  /**
+   * One row per repository and language, with every column present (null when unknown).
+   * Repositories without languages (empty or failed) get a single row with no language.
+   */
+  getRows(stats) {
+    const rows = [];
+
+    Object.entries(stats.organizations || {}).forEach(([owner, orgData]) => {
+      Object.entries(orgData.repositories || {}).forEach(([repository, repoData]) => {
+        const metadata = repoData.metadata || {};
+        const languages = Object.entries(repoData.languages || {}).sort(([, a], [, b]) => b - a);
+        const total = languages.reduce((sum, [, amount]) => sum + amount, 0);
+        const repositoryRow = {
+          collected_at: stats.collected_at,
+          owner,
+          repository,
+          language: null,
+          language_type: null,
+          amount: null,
+          unit: metadata.line_unit || 'bytes',
+          repository_share: null,
+          repository_total: total,
+          primary_language: metadata.primary_language || null,
+          status: metadata.status || (metadata.accessible === false ? 'error' : 'ok'),
+          private: !!metadata.private,
+          aggregated: !!metadata.aggregated,
+          repository_count: metadata.repository_count || 1,
+          stars: metadata.stars ?? null,
+          forks: metadata.forks ?? null,
+          commits_last_year: metadata.commits_last_year ?? null,
+          contributors: metadata.contributors ?? null,
+          provider: metadata.provider || null,
+          data_source: metadata.data_source || null
+        };
+
+        if (languages.length === 0) {
+          rows.push(repositoryRow);
+          return;
+        }
+
+        languages.forEach(([language, amount]) => {
+          rows.push({
+            ...repositoryRow,
+            language,
+            language_type: this.languages.resolve(language).type,
+            amount,
+            repository_share: total > 0 ? Math.round(amount / total * 1000) / 10 : 0
+          });
+        });
+      });
+    });
+
+    return rows.map(row => Object.fromEntries(COLUMNS.map(column => [column, row[column]])));
+  }
+
+  /**
+   * RFC 4180 CSV with a header row; unknown values are empty cells
+   */
+  toCsv(rows) {
+    const escape = value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(column => escape(row[column])).join(','))]
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Newline-delimited JSON, one row object per line
+   */
+  toNdjson(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+  }
+
+  /**
+   * OpenMetrics gauges: language sizes and repository facts per repository, plus
+   * organization and ecosystem totals. Sizes carry their unit (bytes or lines) as a label.
+   */
+  toOpenMetrics(stats) {
+    const families = [];
+    const family = (name, help) => {
+      const samples = [];
+      families.push({ name: `${METRIC_PREFIX}_${name}`, help, samples });
+      return (labels, value) => {
+        if (value !== null && value !== undefined) {
+          samples.push({ labels, value });
+        }
+      };
+    };
+
+    const languageSize = family('language_size', 'Size of a language in a repository');
+    const repositorySize = family('repository_size', 'Size of all code languages in a repository');
+    const stars = family('repository_stars', 'Stars of a repository');
+    const forks = family('repository_forks', 'Forks of a repository');
+    const commits = family('repository_commits_last_year', 'Commits to a repository over the last 52 weeks');
+    const contributors = family('repository_contributors', 'Unique contributors to a repository');
+    const accessible = family('repository_accessible', 'Whether the repository statistics could be collected (1) or not (0)');
+    const organizationSize = family('organization_size', 'Size of all code languages in an organization');
+    const ecosystemSize = family('size', 'Size of all code languages across the ecosystem');
+    const repositories = family('repositories', 'Repositories whose statistics were collected');
+    const collected = family('collected_timestamp_seconds', 'When the statistics were collected');
+
+    this.getRows(stats).forEach(row => {
+      const repository = { owner: row.owner, repository: row.repository };
+      if (row.language) {
+        languageSize({ ...repository, language: row.language, type: row.language_type, unit: row.unit }, row.amount);
+      }
+    });
+
+    Object.entries(stats.organizations || {}).forEach(([owner, orgData]) => {
+      Object.entries(orgData.repositories || {}).forEach(([repositoryName, repoData]) => {
+        const metadata = repoData.metadata || {};
+        const labels = { owner, repository: repositoryName };
+        repositorySize({ ...labels, unit: metadata.line_unit || 'bytes' }, metadata.accessible === false ? null : metadata.total_lines);
+        stars(labels, metadata.stars);
+        forks(labels, metadata.forks);
+        commits(labels, metadata.commits_last_year);
+        contributors(labels, metadata.contributors);
+        accessible(labels, metadata.accessible === false ? 0 : 1);
+      });
+
+      if (orgData.totals) {
+        organizationSize({ owner, unit: orgData.totals.line_unit || 'bytes' }, orgData.totals.total_lines);
+      }
+    });
+
+    const totals = stats.ecosystem_totals || {};
+    ecosystemSize({ unit: totals.line_unit || 'bytes' }, totals.total_lines);
+    repositories({}, totals.total_repositories);
+    collected({}, stats.collected_at ? new Date(stats.collected_at).getTime() / 1000 : null);
+
+    const formatLabels = labels => {
+      const entries = Object.entries(labels).filter(([, value]) => value !== null && value !== undefined);
+      return entries.length === 0 ? '' :
+        `{${entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+    };
+
+    return families
+      .filter(({ samples }) => samples.length > 0)
+      .map(({ name, help, samples }) => [
+        `# TYPE ${name} gauge`,
+        `# HELP ${name} ${help}.`,
+        ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ].join('\n'))
+      .join('\n') + '\n# EOF\n';
+  }
+
+  /**
+   * Whether a (user-supplied) name is one of the export formats; inherited object
+   * properties such as "constructor" or "__proto__" are not
+   */
+  static isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+}
+
+StatsExporter.COLUMNS = COLUMNS;
+StatsExporter.FORMATS = FORMATS;
+
+module.exports = StatsExporter;
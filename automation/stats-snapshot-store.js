@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+/**
+ * Stats Snapshot Store
+ * History of collected language statistics in .github-stats-cache/. Recent runs are
+ * kept as full stats-<timestamp>.json snapshots; once a snapshot leaves the hourly
+ * retention tier it is compacted into snapshot-archive.json as per-owner language
+ * totals. Identical snapshots are skipped, and retention downsamples history to one
+ * snapshot per hour, then per day, then per week (config/ecosystem-manifest.json).
+ * Weekly activity (commits, pull requests, issues) is kept alongside the language
+ * totals for the ecosystem and each owner, so both can be charted from the history.
+ * Snapshots of generated data (synthetic-data-generator.js) keep their synthetic marker.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const ActivityCollector = require('./activity-collector');
+const LineCounter = require('./line-counter');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SNAPSHOT_PATTERN = /^stats-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+// Fields that change on every run without the statistics changing
+const VOLATILE_KEYS = ['collected_at', 'last_updated', 'generated_at', 'timestamp', 'carried_forward_from'];
+
+class StatsSnapshotStore {
+  constructor(manifest = new EcosystemManifest(), { snapshotDir } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.snapshotDir = snapshotDir || path.join(this.baseDir, '.github-stats-cache');
+    this.archivePath = path.join(this.snapshotDir, 'snapshot-archive.json');
+    this.retention = manifest.getSnapshotRetention();
+  }
+
+  /**
+   * Store a stats snapshot unless it is identical to the latest one
+   */
+  save(stats, now = new Date()) {
+    const fingerprint = this.fingerprint(stats);
+    const latest = this.getLatest();
+
+    if (latest && latest.fingerprint === fingerprint) {
+      return { stored: false, duplicate_of: latest.timestamp };
+    }
+
+    if (!fs.existsSync(this.snapshotDir)) {
+      fs.mkdirSync(this.snapshotDir, { recursive: true });
+    }
+
+    const timestamp = now.toISOString();
+    const snapshotPath = path.join(this.snapshotDir, `stats-${timestamp.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(snapshotPath, JSON.stringify(stats, null, 2));
+
+    return { stored: true, timestamp, path: snapshotPath };
+  }
+
+  /**
+   * Content hash of the statistics, ignoring collection timestamps
+   */
+  fingerprint(stats) {
+    const content = JSON.stringify(
+      { organizations: stats.organizations || {}, ecosystem_totals: stats.ecosystem_totals || {} },
+      (key, value) => VOLATILE_KEYS.includes(key) ? undefined : value
+    );
+
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Compact form of a snapshot: ecosystem, per-owner and per-repository language totals,
+   * and weekly activity (per repository only its totals). Repositories that could not
+   * be collected are left out rather than counted as empty.
+   */
+  summarize(stats, timestamp) {
+    const ecosystem = stats.ecosystem_totals || {};
+    const organizations = {};
+
+    Object.entries(stats.organizations || {}).forEach(([name, org]) => {
+      const repositories = {};
+      Object.entries(org.repositories || {})
+        .filter(([, repo]) => repo.metadata?.accessible !== false)
+        .forEach(([repoName, repo]) => {
+          const languages = repo.languages || {};
+          repositories[repoName] = {
+            total_lines: Object.values(languages).reduce((sum, lines) => sum + lines, 0),
+            line_unit: repo.metadata?.line_unit || 'bytes',
+            languages: { ...languages },
+            ...(repo.activity ? { activity: { totals: repo.activity.totals, contributors: repo.activity.contributors } } : {})
+          };
+        });
+
+      organizations[name] = {
+        total_lines: org.totals?.total_lines || 0,
+        line_unit: org.totals?.line_unit || 'bytes',
+        total_repositories: org.totals?.total_repositories || 0,
+        languages: (org.totals?.languages || []).map(({ language, lines }) => ({ language, lines })),
+        ...(org.activity ? { activity: org.activity } : {}),
+        repositories
+      };
+    });
+
+    return {
+      timestamp,
+      fingerprint: this.fingerprint(stats),
+      ecosystem_totals: {
+        total_lines: ecosystem.total_lines || 0,
+        line_unit: ecosystem.line_unit || 'bytes',
+        total_repositories: ecosystem.total_repositories || 0,
+        total_organizations: ecosystem.total_organizations || 0,
+        languages: (ecosystem.languages || []).map(({ language, lines, percentage }) => ({ language, lines, percentage }))
+      },
+      ...(stats.activity?.weekly ? { activity: stats.activity } : {}),
+      ...(stats.metadata?.synthetic ? { synthetic: stats.metadata.synthetic } : {}),
+      organizations
+    };
+  }
+
+  /**
+   * Full snapshot files, oldest first
+   */
+  listFiles() {
+    if (!fs.existsSync(this.snapshotDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.snapshotDir)
+      .map(file => {
+        const match = file.match(SNAPSHOT_PATTERN);
+        return match && {
+          timestamp: `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`,
+          path: path.join(this.snapshotDir, file)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Load the compacted snapshot archive
+   */
+  loadArchive() {
+    if (!fs.existsSync(this.archivePath)) {
+      return { snapshots: [] };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.archivePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid snapshot archive ${this.archivePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the archive, oldest snapshot first
+   */
+  saveArchive(archive) {
+    archive.snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    fs.writeFileSync(this.archivePath, JSON.stringify(archive, null, 2));
+  }
+
+  /**
+   * Summaries of every stored snapshot (archived and full) within an optional date range, oldest first
+   */
+  list({ from = null, to = null } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const inRange = timestamp => {
+      const time = new Date(timestamp).getTime();
+      return time >= fromTime && time <= toTime;
+    };
+
+    const archived = this.loadArchive().snapshots
+      .filter(snapshot => inRange(snapshot.timestamp))
+      .map(snapshot => ({ ...snapshot, compacted: true }));
+
+    const full = this.listFiles()
+      .filter(file => inRange(file.timestamp))
+      .map(file => ({
+        ...this.summarize(JSON.parse(fs.readFileSync(file.path, 'utf8')), file.timestamp),
+        compacted: false,
+        path: file.path
+      }));
+
+    return [...archived, ...full].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Summary of the most recent snapshot, or null when none is stored
+   */
+  getLatest() {
+    const files = this.listFiles();
+
+    if (files.length > 0) {
+      const latest = files[files.length - 1];
+      return this.summarize(JSON.parse(fs.readFileSync(latest.path, 'utf8')), latest.timestamp);
+    }
+
+    const archived = this.loadArchive().snapshots;
+    return archived.length > 0 ? archived[archived.length - 1] : null;
+  }
+
+  /**
+   * Language totals of one owner (or the whole ecosystem when omitted), or of one of the
+   * owner's repositories, per snapshot between two dates:
+   * [{ timestamp, total_lines, languages: { Language: lines } }]
+   */
+  getLanguageTotals(owner = null, { from = null, to = null, repository = null } = {}) {
+    return this.list({ from, to })
+      .map(snapshot => {
+        const org = owner ? snapshot.organizations[owner] : null;
+        const totals = !owner ? snapshot.ecosystem_totals : repository ? org?.repositories?.[repository] : org;
+
+        return totals && {
+          timestamp: snapshot.timestamp,
+          total_lines: totals.total_lines,
+          languages: Array.isArray(totals.languages) ?
+            Object.fromEntries(totals.languages.map(({ language, lines }) => [language, lines])) :
+            { ...totals.languages }
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Weekly activity of one owner (or the whole ecosystem when omitted) between two
+   * dates, merged across snapshots (a later snapshot's count for a week wins):
+   * [{ week, commits, prs_opened, prs_merged, issues_opened, issues_closed }]
+   */
+  getActivity(owner = null, { from = null, to = null } = {}) {
+    const activityCollector = new ActivityCollector();
+    const fromWeek = from ? new Date(from).toISOString().slice(0, 10) : '';
+    const toWeek = to ? new Date(to).toISOString().slice(0, 10) : '9999';
+    const byWeek = new Map();
+
+    // Snapshots before `from` still hold the weeks after it
+    this.list({ to }).forEach(snapshot => {
+      const activity = owner ? snapshot.organizations[owner]?.activity : snapshot.activity;
+      if (activity?.weekly) {
+        activityCollector.getWeeks(activity).forEach(row => byWeek.set(row.week, row));
+      }
+    });
+
+    return [...byWeek.values()]
+      .filter(row => row.week >= fromWeek && row.week <= toWeek)
+      .sort((a, b) => a.week.localeCompare(b.week));
+  }
+
+  /**
+   * Retention bucket of a snapshot by age (null once it is older than every tier)
+   */
+  getRetentionBucket(timestamp, now) {
+    const age = now.getTime() - new Date(timestamp).getTime();
+    const { hourly, daily, weekly } = this.retention;
+    const hourlyLimit = hourly === null ? Infinity : hourly * HOUR_MS;
+    const dailyLimit = daily === null ? Infinity : hourlyLimit + daily * DAY_MS;
+    const weeklyLimit = weekly === null ? Infinity : dailyLimit + weekly * 7 * DAY_MS;
+
+    if (age < hourlyLimit) {
+      return { tier: 'hourly', key: `hour:${timestamp.slice(0, 13)}` };
+    }
+    if (age < dailyLimit) {
+      return { tier: 'daily', key: `day:${timestamp.slice(0, 10)}` };
+    }
+    if (age < weeklyLimit) {
+      // Weeks start on Monday
+      const date = new Date(`${timestamp.slice(0, 10)}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+      return { tier: 'weekly', key: `week:${date.toISOString().slice(0, 10)}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Downsample history to the latest snapshot per retention bucket and compact full
+   * snapshots that have left the hourly tier into the archive
+   */
+  applyRetention(now = new Date()) {
+    const archive = this.loadArchive();
+    const files = this.listFiles();
+    const latestByBucket = new Map();
+
+    [
+      ...archive.snapshots.map(snapshot => ({ timestamp: snapshot.timestamp, snapshot })),
+      ...files
+    ]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(entry => {
+        const bucket = this.getRetentionBucket(entry.timestamp, now);
+        entry.bucket = bucket;
+        if (bucket) {
+          latestByBucket.set(bucket.key, entry);
+        }
+      });
+
+    const kept = new Set(latestByBucket.values());
+    const keptArchived = new Set([...kept].map(entry => entry.snapshot).filter(Boolean));
+    const result = { kept: kept.size, compacted: 0, removed: archive.snapshots.length - keptArchived.size };
+
+    archive.snapshots = archive.snapshots.filter(snapshot => keptArchived.has(snapshot));
+
+    files.forEach(file => {
+      if (!kept.has(file)) {
+        fs.unlinkSync(file.path);
+        result.removed++;
+      } else if (file.bucket.tier !== 'hourly') {
+        archive.snapshots.push(this.summarize(JSON.parse(fs.readFileSync(file.path, 'utf8')), file.timestamp));
+        fs.unlinkSync(file.path);
+        result.compacted++;
+      }
+    });
+
+    if (result.removed > 0 || result.compacted > 0) {
+      this.saveArchive(archive);
+    }
+
+    return result;
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'list';
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+  };
+
+  try {
+    const store = new StatsSnapshotStore();
+
+    if (command === 'compact') {
+      const result = store.applyRetention();
+      console.log(`🗜️ Snapshot retention: ${result.kept} kept, ${result.compacted} compacted, ${result.removed} removed`);
+    } else if (command === 'activity') {
+      const owner = option('org');
+      const weeks = store.getActivity(owner, { from: option('from'), to: option('to') });
+      console.log(JSON.stringify({ owner: owner || 'ecosystem', weeks }, null, 2));
+    } else if (command === 'query') {
+      const owner = option('org');
+      const repository = option('repo');
+      const totals = store.getLanguageTotals(owner, { from: option('from'), to: option('to'), repository });
+      console.log(JSON.stringify({ owner: owner || 'ecosystem', repository, snapshots: totals }, null, 2));
+    } else if (command === 'list') {
+      store.list({ from: option('from'), to: option('to') }).forEach(snapshot => {
+        console.log(`  ${snapshot.compacted ? '🗜️' : '📄'} ${snapshot.timestamp}: ${snapshot.ecosystem_totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(snapshot.ecosystem_totals.line_unit)}, ` +
+          `${snapshot.ecosystem_totals.total_repositories} repositories`);
+      });
+    } else {
+      console.log('Usage: node stats-snapshot-store.js [list|query|activity|compact] [--org <owner> [--repo <name>]] [--from <date>] [--to <date>]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Snapshot store failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = StatsSnapshotStore;
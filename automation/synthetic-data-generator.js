@@ -0,0 +1,714 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic Data Generator
+ * Seeded simulation of the ecosystem for offline development. A scenario from
+ * config/synthetic-scenarios.json drives N days of evolution: repositories created and
+ * archived, languages growing with every push, push bursts, failing deployments and
+ * collection outages. Every simulated day runs a deployment pass and a stats collection,
+ * stored in .deployment-cache/synthetic-history.json and as stats snapshots (with
+ * trends and retention applied as a real run would), so analytics, trend and alerting
+ * code can be exercised deterministically: the same scenario, seed, days and end date
+ * always produce the same history.
+ * Generated data is marked synthetic. Real snapshots found in the caches are set aside
+ * in .synthetic-backup/ first and put back by `clean`, so the two are never mixed. The
+ * real deployment history is tracked in git and never touched: the dashboard and the
+ * analytics engine read the synthetic history instead while it exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const StatsSnapshotStore = require('./stats-snapshot-store');
+const LanguageTrends = require('./language-trends');
+const RepositoryProvider = require('./repository-provider');
+const GitHubStatsCollector = require('./github-stats-collector');
+const LineCounter = require('./line-counter');
+
+const SUPPORTED_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_TYPES = ['push_burst', 'language_surge', 'deployment_failures', 'collection_outage'];
+
+// Names simulated repositories are drawn from, without repeats per owner
+const REPOSITORY_NAMES = [
+  'api-gateway', 'web-dashboard', 'data-pipeline', 'cli-toolkit', 'docs-site',
+  'mobile-app', 'ml-experiments', 'infra-scripts', 'auth-service', 'design-system',
+  'analytics-notebooks', 'billing-service', 'search-indexer', 'chat-bot', 'config-sync',
+  'release-tools', 'status-page', 'image-service', 'feature-flags', 'onboarding-guide'
+];
+const CONTRIBUTOR_POOL = 12;
+const REAL_HISTORY = path.join('.deployment-cache', 'deployment-history.json');
+const SYNTHETIC_HISTORY = path.join('.deployment-cache', 'synthetic-history.json');
+const BACKUP_DIR = '.synthetic-backup';
+const FAILURE_REASONS = [
+  'GitHub API error: 502 Bad Gateway',
+  'Merge conflict in README.md',
+  'Branch protection rejected the README update',
+  'Template rendering failed'
+];
+
+class SyntheticDataGenerator {
+  constructor({ scenario = null, days = null, seed = null, end = null, scenariosPath = process.env.SYNTHETIC_SCENARIOS } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.scenariosPath = scenariosPath || path.join(this.baseDir, 'config', 'synthetic-scenarios.json');
+    this.config = this.loadScenarios();
+
+    this.scenarioName = scenario || this.config.defaults.scenario;
+    this.scenario = this.config.scenarios[this.scenarioName];
+    if (!this.scenario) {
+      throw new Error(`Unknown scenario: ${this.scenarioName} (expected ${Object.keys(this.config.scenarios).join(', ')})`);
+    }
+
+    this.days = days ?? this.config.defaults.days;
+    this.seed = seed ?? this.config.defaults.seed;
+    if (!Number.isInteger(this.days) || this.days < 1) {
+      throw new Error(`Invalid number of days: ${this.days}`);
+    }
+    if (!Number.isInteger(this.seed)) {
+      throw new Error(`Invalid seed: ${this.seed}`);
+    }
+
+    // Last simulated day (UTC); today unless given, so pass it for fully reproducible output
+    this.end = end ? new Date(`${end}T00:00:00Z`) : new Date(new Date().toISOString().slice(0, 10));
+    if (isNaN(this.end.getTime())) {
+      throw new Error(`Invalid end date: ${end} (expected YYYY-MM-DD)`);
+    }
+
+    this.manifest = new EcosystemManifest();
+    this.statsDir = path.join(this.baseDir, '.github-stats-cache');
+    this.historyPath = path.join(this.baseDir, SYNTHETIC_HISTORY);
+    this.backupDir = path.join(this.baseDir, BACKUP_DIR);
+    this.snapshots = new StatsSnapshotStore(this.manifest, { snapshotDir: this.statsDir });
+    this.provider = new RepositoryProvider({ name: 'synthetic', type: 'synthetic' });
+  }
+
+  /**
+   * Deployment history to read: the synthetic one while it exists, else the real one
+   */
+  static resolveHistoryPath(baseDir) {
+    const syntheticPath = path.join(baseDir, SYNTHETIC_HISTORY);
+    return fs.existsSync(syntheticPath) ? syntheticPath : path.join(baseDir, REAL_HISTORY);
+  }
+
+  /**
+   * Synthetic history and set-aside real history present in a checkout (relative paths)
+   */
+  static findSyntheticData(baseDir) {
+    return [SYNTHETIC_HISTORY, BACKUP_DIR].filter(file => fs.existsSync(path.join(baseDir, file)));
+  }
+
+  /**
+   * Load and validate the scenarios file
+   */
+  loadScenarios() {
+    if (!fs.existsSync(this.scenariosPath)) {
+      throw new Error(`Synthetic scenarios not found: ${this.scenariosPath}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.scenariosPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid synthetic scenarios ${this.scenariosPath}: ${error.message}`);
+    }
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported synthetic scenarios version: ${config.version} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    if (Object.keys(config.profiles || {}).length === 0) {
+      throw new Error(`No language profiles in ${this.scenariosPath}`);
+    }
+
+    Object.entries(config.scenarios || {}).forEach(([name, scenario]) => {
+      const unknown = (scenario.events || []).find(event => !EVENT_TYPES.includes(event.type));
+      if (unknown) {
+        throw new Error(`Unknown event type in scenario ${name}: ${unknown.type} (expected ${EVENT_TYPES.join(', ')})`);
+      }
+    });
+
+    return { defaults: {}, ...config };
+  }
+
+  /**
+   * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Whether an event of the given probability happens
+   */
+  chance(probability) {
+    return this.random() < probability;
+  }
+
+  /**
+   * Random integer between min and max, both included
+   */
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Random item of a list
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Scenario events of a type active on a simulated day (negative `day` counts from the end)
+   */
+  getActiveEvents(type, dayIndex, owner) {
+    return (this.scenario.events || []).filter(event => {
+      const start = event.day < 0 ? this.days + event.day : event.day;
+      return event.type === type && dayIndex >= start && dayIndex < start + (event.days || 1) &&
+        (!event.owner || event.owner === owner);
+    });
+  }
+
+  /**
+   * Combined multiplier of the active events of a type (1 when none is active)
+   */
+  getMultiplier(type, dayIndex, owner) {
+    return this.getActiveEvents(type, dayIndex, owner).reduce((product, event) => product * (event.multiplier || 1), 1);
+  }
+
+  /**
+   * Generate the history: clear earlier synthetic data, set real history aside, then
+   * simulate day by day
+   */
+  async generate() {
+    console.log(`🧪 Generating ${this.days} days of synthetic history (scenario ${this.scenarioName}, seed ${this.seed}, ending ${this.end.toISOString().slice(0, 10)})`);
+    console.log(`  📖 ${this.scenario.description}`);
+
+    this.clean({ restore: false });
+    this.setAsideRealHistory();
+
+    // Aggregation, language split and activity records exactly as a real collection
+    this.collector = new GitHubStatsCollector({ full: true });
+    this.trends = new LanguageTrends(this.snapshots, this.manifest.getTrendSettings(), this.collector.languages);
+    this.random = this.createRandom(this.seed);
+
+    const start = new Date(this.end.getTime() - (this.days - 1) * DAY_MS);
+    this.repositories = [];
+    this.manifest.getOwners().forEach(owner => {
+      for (let i = 0; i < this.scenario.repositories; i++) {
+        this.createRepository(owner, start, { history: true });
+      }
+    });
+
+    const history = {
+      lastRun: null,
+      synthetic: { scenario: this.scenarioName, seed: this.seed, days: this.days, end: this.end.toISOString().slice(0, 10) },
+      deployments: {},
+      statistics: { totalRuns: 0, successfulDeployments: 0, skippedDeployments: 0, failedDeployments: 0 }
+    };
+    let stored = 0;
+
+    for (let dayIndex = 0; dayIndex < this.days; dayIndex++) {
+      const date = new Date(start.getTime() + dayIndex * DAY_MS);
+
+      const deployed = this.runDeployments(history, dayIndex, new Date(date.getTime() + (5 * 60 + this.randomInt(0, 30)) * 60000));
+      const stats = await this.collectStats(dayIndex, new Date(date.getTime() + (6 * 60 + this.randomInt(0, 30)) * 60000));
+      const snapshot = this.snapshots.save(stats, new Date(stats.collected_at));
+      this.snapshots.applyRetention(new Date(stats.collected_at));
+      stored += snapshot.stored ? 1 : 0;
+
+      const pushes = this.simulateDay(dayIndex, date);
+      console.log(`  📅 ${date.toISOString().slice(0, 10)}: ${stats.ecosystem_totals.total_repositories} repositories, ` +
+        `${stats.ecosystem_totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(stats.ecosystem_totals.line_unit)}, ${pushes} pushes, ` +
+        `${deployed.success} deployed / ${deployed.failed} failed${snapshot.stored ? '' : ', snapshot unchanged'}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+    fs.writeFileSync(this.historyPath, JSON.stringify(history, null, 2));
+
+    const archived = this.repositories.filter(repo => repo.archived).length;
+    const created = this.repositories.filter(repo => repo.created > start).length;
+    console.log(`  ✓ ${stored} snapshots stored in ${this.statsDir}`);
+    console.log(`  ✓ ${history.statistics.totalRuns} deployment runs written to ${this.historyPath}`);
+    console.log(`  ✓ ${created} repositories created and ${archived} archived during the simulation`);
+
+    return {
+      snapshots: stored,
+      runs: history.statistics.totalRuns,
+      repositories: this.repositories.length - archived,
+      created,
+      archived
+    };
+  }
+
+  /**
+   * Add a repository to an owner, with a year of earlier activity when it exists
+   * before the simulation starts
+   */
+  createRepository(owner, date, { history = false } = {}) {
+    const taken = this.repositories.filter(repo => repo.owner === owner).map(repo => repo.name);
+    const available = REPOSITORY_NAMES.filter(name => !taken.includes(name));
+    if (available.length === 0) {
+      return null;
+    }
+
+    const profile = this.pick(Object.keys(this.config.profiles));
+    const scale = history ? 0.3 + this.random() * 1.2 : 0.02 + this.random() * 0.08;
+    const team = [];
+    for (let i = this.randomInt(1, 4); i > 0; i--) {
+      team.push(`dev-${String(this.randomInt(1, CONTRIBUTOR_POOL)).padStart(2, '0')}`);
+    }
+
+    const repo = {
+      owner,
+      name: this.pick(available),
+      created: date,
+      archived: false,
+      languages: Object.fromEntries(Object.entries(this.config.profiles[profile])
+        .map(([language, bytes]) => [language, Math.round(bytes * scale * (0.8 + this.random() * 0.4))])),
+      stars: history ? this.randomInt(0, 60) : 0,
+      forks: history ? this.randomInt(0, 8) : 0,
+      team: [...new Set(team)],
+      commits: [],
+      pull_requests: [],
+      issues: [],
+      pushed_at: date.toISOString(),
+      deployed_at: null
+    };
+    this.repositories.push(repo);
+
+    if (history) {
+      for (let daysBefore = 364; daysBefore > 0; daysBefore--) {
+        const day = new Date(date.getTime() - daysBefore * DAY_MS);
+        if (this.chance(this.scenario.push_probability)) {
+          this.push(repo, day, { grow: false });
+        }
+        this.simulateIssues(repo, day);
+      }
+      repo.deployed_at = repo.pushed_at;
+    }
+
+    return repo;
+  }
+
+  /**
+   * One day of the ecosystem: repositories created and archived, pushes, issues, stars.
+   * Returns the number of pushes.
+   */
+  simulateDay(dayIndex, date) {
+    let pushes = 0;
+
+    this.manifest.getOwners().forEach(owner => {
+      if (this.chance(this.scenario.create_probability)) {
+        const repo = this.createRepository(owner, new Date(date.getTime() + this.randomInt(8, 20) * 60 * 60000));
+        if (repo) {
+          console.log(`    🆕 ${owner}/${repo.name} created`);
+        }
+      }
+    });
+
+    this.getActiveRepositories().forEach(repo => {
+      const siblings = this.getActiveRepositories().filter(other => other.owner === repo.owner);
+      if (repo.created < date && siblings.length > 1 && this.chance(this.scenario.archive_probability)) {
+        repo.archived = true;
+        console.log(`    🗄️ ${repo.owner}/${repo.name} archived`);
+        return;
+      }
+
+      const burst = this.getMultiplier('push_burst', dayIndex, repo.owner);
+      if (this.chance(Math.min(1, this.scenario.push_probability * burst))) {
+        this.push(repo, date, { burst, surges: this.getActiveEvents('language_surge', dayIndex, repo.owner) });
+        pushes++;
+      }
+      this.simulateIssues(repo, date);
+
+      if (this.chance(0.15)) {
+        repo.stars++;
+      }
+      if (this.chance(0.03)) {
+        repo.forks++;
+      }
+    });
+
+    // Only the last year of activity is ever reported
+    const cutoff = new Date(date.getTime() - 371 * DAY_MS).toISOString();
+    this.repositories.forEach(repo => {
+      repo.commits = repo.commits.filter(commit => commit.date >= cutoff);
+      repo.pull_requests = repo.pull_requests.filter(pull => pull.created_at >= cutoff);
+      repo.issues = repo.issues.filter(issue => issue.created_at >= cutoff);
+    });
+
+    return pushes;
+  }
+
+  /**
+   * A push of a few commits during the working day. Code grows with the commits; a
+   * language surge grows its language faster and brings it into repositories without it.
+   */
+  push(repo, date, { grow = true, burst = 1, surges = [] } = {}) {
+    const [min, max] = this.scenario.commits_per_push;
+    const count = Math.max(1, Math.round(this.randomInt(min, max) * burst));
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(new Date(date.getTime() + this.randomInt(8 * 60, 22 * 60) * 60000).toISOString());
+    }
+    times.sort().forEach(time => repo.commits.push({ date: time, author: this.pick(repo.team) }));
+    repo.pushed_at = times[times.length - 1];
+
+    if (grow) {
+      const total = Object.values(repo.languages).reduce((sum, bytes) => sum + bytes, 0);
+      surges.forEach(event => {
+        if (!repo.languages[event.language] && this.chance(0.3)) {
+          repo.languages[event.language] = Math.round(total * 0.01);
+        }
+      });
+
+      Object.keys(repo.languages).forEach(language => {
+        const surge = surges.filter(event => event.language === language)
+          .reduce((product, event) => product * (event.multiplier || 1), 1);
+        repo.languages[language] += Math.round(repo.languages[language] * this.scenario.growth_per_commit *
+          count * surge * (0.5 + this.random()));
+      });
+    }
+
+    if (this.chance(0.4)) {
+      repo.pull_requests.push({
+        created_at: repo.pushed_at,
+        merged_at: this.chance(0.8) ? new Date(new Date(repo.pushed_at).getTime() + this.randomInt(1, 72) * 60 * 60000).toISOString() : null
+      });
+    }
+  }
+
+  /**
+   * Issues opened now and then, most of them closed within two weeks
+   */
+  simulateIssues(repo, date) {
+    if (this.chance(0.1)) {
+      const created = new Date(date.getTime() + this.randomInt(8 * 60, 22 * 60) * 60000);
+      repo.issues.push({
+        created_at: created.toISOString(),
+        closed_at: this.chance(0.7) ? new Date(created.getTime() + this.randomInt(1, 14) * DAY_MS).toISOString() : null
+      });
+    }
+  }
+
+  /**
+   * Repositories not archived, in creation order
+   */
+  getActiveRepositories() {
+    return this.repositories.filter(repo => !repo.archived);
+  }
+
+  /**
+   * Deployment pass: repositories pushed since their last deployment are deployed (and may
+   * fail, to be retried on the next run), the others skipped. Returns the run's counts.
+   */
+  runDeployments(history, dayIndex, runTime) {
+    const timestamp = runTime.toISOString();
+    const counts = { success: 0, skipped: 0, failed: 0 };
+
+    this.getActiveRepositories().forEach(repo => {
+      const fullName = `${repo.owner}/${repo.name}`;
+      const failures = this.getActiveEvents('deployment_failures', dayIndex, repo.owner);
+      const failureRate = failures.length > 0 ?
+        Math.max(...failures.map(event => event.failure_rate)) :
+        this.scenario.deployment_failure_rate;
+      let deployment;
+
+      if (repo.deployed_at && repo.pushed_at <= repo.deployed_at) {
+        deployment = { timestamp, status: 'skipped', changes: [], reason: 'No changes detected' };
+      } else if (this.chance(failureRate)) {
+        deployment = { timestamp, status: 'failed', changes: [], reason: this.pick(FAILURE_REASONS) };
+      } else {
+        deployment = { timestamp, status: 'success', changes: ['README.md'] };
+        repo.deployed_at = timestamp;
+      }
+
+      (history.deployments[fullName] = history.deployments[fullName] || []).push(deployment);
+      counts[deployment.status]++;
+    });
+
+    history.lastRun = timestamp;
+    history.statistics.totalRuns++;
+    history.statistics.successfulDeployments += counts.success;
+    history.statistics.skippedDeployments += counts.skipped;
+    history.statistics.failedDeployments += counts.failed;
+
+    return counts;
+  }
+
+  /**
+   * Stats collection of a simulated day, shaped and aggregated by the stats collector
+   */
+  async collectStats(dayIndex, runTime) {
+    const timestamp = runTime.toISOString();
+    const stats = {
+      collected_at: timestamp,
+      organizations: {},
+      ecosystem_totals: {},
+      activity: {},
+      trends: {},
+      metadata: {
+        collection: { mode: 'full', refreshed: 0, carried_forward: 0 },
+        synthetic: { scenario: this.scenarioName, seed: this.seed, day: dayIndex + 1, days: this.days }
+      }
+    };
+
+    this.manifest.getOwners().forEach(owner => {
+      const repositories = this.getActiveRepositories()
+        .filter(repo => repo.owner === owner && repo.created <= runTime)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      const outages = this.getActiveEvents('collection_outage', dayIndex, owner);
+
+      stats.organizations[owner] = {
+        name: owner,
+        repositories: {},
+        totals: {},
+        metadata: { total_repositories: repositories.length, last_updated: timestamp }
+      };
+
+      repositories.forEach(repo => {
+        stats.organizations[owner].repositories[repo.name] = outages.length > 0 ? {
+          error: `Synthetic ${outages[0].status || 'error'} outage`,
+          languages: {},
+          metadata: { accessible: false, status: outages[0].status || 'error' }
+        } : this.getRepositoryStats(repo, runTime);
+      });
+      stats.metadata.collection.refreshed += repositories.length;
+    });
+
+    this.collector.stats = stats;
+    this.collector.summarizeRepositoryStatus();
+    this.collector.summarizeActivity();
+    await this.collector.processLanguageStatistics();
+    await this.collector.generateEcosystemTotals();
+    stats.trends = this.trends.calculate(stats, runTime);
+
+    return stats;
+  }
+
+  /**
+   * One repository's stats as the collector records them, from its activity so far
+   */
+  getRepositoryStats(repo, runTime) {
+    const now = runTime.toISOString();
+    const commits = repo.commits.filter(commit => commit.date <= now);
+    const weeks = this.provider.groupCommitsByWeek(commits.map(commit => commit.date), runTime);
+    const weekKeys = weeks.map(week => week.week);
+    const since = weekKeys[0];
+    const countByWeek = dates => this.collector.activity.countByWeek(weekKeys, dates.filter(date => date && date <= now));
+    const contributors = [...new Set(commits.filter(commit => commit.date >= since).map(commit => commit.author))];
+
+    const activity = this.collector.activity.createActivity(weekKeys, {
+      commits: weeks.map(week => week.total),
+      prs_opened: countByWeek(repo.pull_requests.map(pull => pull.created_at)),
+      prs_merged: countByWeek(repo.pull_requests.map(pull => pull.merged_at)),
+      issues_opened: countByWeek(repo.issues.map(issue => issue.created_at)),
+      issues_closed: countByWeek(repo.issues.map(issue => issue.closed_at))
+    }, contributors.map(login => ({ login })));
+    const { code: languages, other: otherLanguages } = this.collector.languages.split(repo.languages);
+
+    return {
+      name: repo.name,
+      languages,
+      ...(Object.keys(otherLanguages).length > 0 ? { other_languages: otherLanguages } : {}),
+      activity,
+      metadata: {
+        status: 'ok',
+        total_lines: Object.values(languages).reduce((sum, bytes) => sum + bytes, 0),
+        line_unit: 'bytes',
+        primary_language: this.collector.getPrimaryLanguage(languages),
+        last_updated: repo.pushed_at,
+        stars: repo.stars,
+        forks: repo.forks,
+        private: false,
+        commits_last_year: activity.totals.commits,
+        active_weeks: activity.totals.active_weeks,
+        contributors: activity.contributors,
+        provider: this.manifest.getProviderForOwner(repo.owner).name,
+        accessible: true,
+        data_source: 'synthetic'
+      }
+    };
+  }
+
+  /**
+   * Move real snapshots and the snapshot archive out of the caches (once; a later
+   * generate finds them already set aside)
+   */
+  setAsideRealHistory() {
+    const files = [
+      ...this.snapshots.listFiles().map(file => file.path),
+      ...(this.snapshots.loadArchive().snapshots.length > 0 ? [this.snapshots.archivePath] : [])
+    ];
+
+    if (files.length === 0) {
+      return;
+    }
+
+    if (fs.existsSync(this.backupDir)) {
+      throw new Error(`Real history was collected while synthetic data was in place (${files.map(file => path.relative(this.baseDir, file)).join(', ')}); ` +
+        `run "clean" to restore ${path.relative(this.baseDir, this.backupDir)}/ before generating again`);
+    }
+
+    files.forEach(file => {
+      const backup = path.join(this.backupDir, path.relative(this.baseDir, file));
+      fs.mkdirSync(path.dirname(backup), { recursive: true });
+      fs.renameSync(file, backup);
+    });
+    console.log(`  📦 ${files.length} real history files set aside in ${this.backupDir}`);
+  }
+
+  /**
+   * Remove synthetic snapshots, archive entries and deployment history, then (unless
+   * `restore` is off) put the real history set aside by generate back in place
+   */
+  clean({ restore = true } = {}) {
+    let removed = 0;
+
+    this.snapshots.listFiles().forEach(file => {
+      if (JSON.parse(fs.readFileSync(file.path, 'utf8')).metadata?.synthetic) {
+        fs.unlinkSync(file.path);
+        removed++;
+      }
+    });
+
+    const archive = this.snapshots.loadArchive();
+    const realSnapshots = archive.snapshots.filter(snapshot => !snapshot.synthetic);
+    if (realSnapshots.length < archive.snapshots.length) {
+      removed += archive.snapshots.length - realSnapshots.length;
+      if (realSnapshots.length > 0) {
+        this.snapshots.saveArchive({ ...archive, snapshots: realSnapshots });
+      } else {
+        fs.unlinkSync(this.snapshots.archivePath);
+      }
+    }
+
+    if (fs.existsSync(this.historyPath)) {
+      fs.unlinkSync(this.historyPath);
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`  🧹 ${removed} synthetic snapshots and history files removed`);
+    }
+
+    if (restore && fs.existsSync(this.backupDir)) {
+      this.restoreRealHistory();
+    }
+
+    return { removed };
+  }
+
+  /**
+   * Move the real history back from the backup directory. An archive written since is
+   * merged with the backed-up one; any other file written since is kept.
+   */
+  restoreRealHistory() {
+    const backups = [];
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(dir, entry.name);
+      entry.isDirectory() ? walk(entryPath) : backups.push(entryPath);
+    });
+    walk(this.backupDir);
+
+    let restored = 0;
+    backups.forEach(backup => {
+      const target = path.join(this.baseDir, path.relative(this.backupDir, backup));
+
+      if (target === this.snapshots.archivePath && fs.existsSync(target)) {
+        const archive = this.snapshots.loadArchive();
+        archive.snapshots.push(...JSON.parse(fs.readFileSync(backup, 'utf8')).snapshots);
+        this.snapshots.saveArchive(archive);
+        fs.unlinkSync(backup);
+      } else if (fs.existsSync(target)) {
+        console.log(`  ⚠️ ${path.relative(this.baseDir, target)} was written since it was set aside; the real copy stays in ${path.relative(this.baseDir, backup)}`);
+        return;
+      } else {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(backup, target);
+      }
+      restored++;
+    });
+
+    if (backups.length === restored) {
+      fs.rmSync(this.backupDir, { recursive: true, force: true });
+    }
+    console.log(`  ♻️ ${restored} real history files restored`);
+  }
+}
+
+SyntheticDataGenerator.EVENT_TYPES = EVENT_TYPES;
+
+// CLI: generate [--scenario name] [--days N] [--seed N] [--end YYYY-MM-DD] | clean | scenarios
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const usage = problem => {
+    if (problem) {
+      console.error(`❌ ${problem}`);
+    }
+    console.log('Usage: node synthetic-data-generator.js <generate|clean|scenarios> [--scenario <name>] [--days <n>] [--seed <n>] [--end <YYYY-MM-DD>]');
+    process.exit(1);
+  };
+
+  // Nothing runs on a missing command or a mistyped option: generate moves real history aside
+  if (!command || command === '--help') {
+    usage(command ? null : 'Missing command');
+  }
+  if (!['generate', 'clean', 'scenarios'].includes(command)) {
+    usage(`Unknown command: ${command}`);
+  }
+  if (command !== 'generate' && args.length > 0) {
+    usage(`"${command}" takes no options`);
+  }
+
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+    if (!['scenario', 'days', 'seed', 'end'].includes(name)) {
+      usage(args[i] === '--help' ? null : `Unknown option: ${args[i]}`);
+    }
+    if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+      usage(`Missing value for ${args[i]}`);
+    }
+    options[name] = args[i + 1];
+  }
+  const integer = name => options[name] === undefined ? null : Number(options[name]);
+
+  Promise.resolve()
+    .then(() => {
+      const generator = new SyntheticDataGenerator({
+        scenario: options.scenario || null,
+        days: integer('days'),
+        seed: integer('seed'),
+        end: options.end || null
+      });
+
+      if (command === 'generate') {
+        return generator.generate().then(result => {
+          console.log('\n🎉 Synthetic history generated');
+          console.log(`📊 ${result.snapshots} stats snapshots, ${result.runs} deployment runs, ${result.repositories} active repositories`);
+          console.log('🧹 Run "node automation/synthetic-data-generator.js clean" to restore the real history');
+        });
+      } else if (command === 'clean') {
+        generator.clean();
+      } else {
+        Object.entries(generator.config.scenarios).forEach(([name, scenario]) => {
+          console.log(`  ${name === generator.config.defaults.scenario ? '⭐' : '🧪'} ${name}: ${scenario.description}`);
+        });
+      }
+    })
+    .catch(error => {
+      console.error('❌ Synthetic data generation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = SyntheticDataGenerator;
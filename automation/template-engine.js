@@ -0,0 +1,312 @@
+/**
+ * Template Engine
+ * Renders the Markdown templates in templates/. Tags:
+ *   {{name}} / {{a.b.c}}        value, Markdown-escaped      {{{name}}}  raw value
+ *   {{name | filter}}           join, number, date or url (filters chain left to right)
+ *   {{#if x}} {{else}} {{/if}}  also {{#unless x}}; empty lists are false
+ *   {{#each list}} {{/each}}    lists or objects; `this`, @index, @key, @first, @last, {{else}} when empty
+ *   {{#with x}} {{/with}}       names resolve inside x first, then outwards
+ *   {{> name}}                  partial from templates/partials/<name>.md
+ *   {{! comment }}              dropped; a block, partial or comment tag alone on its line leaves no blank line
+ * Names that do not exist in the data, and null or undefined values where they are
+ * output, are errors naming the template and line - never an empty string.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_ERROR = 'TEMPLATE_ERROR';
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([#/>!]|else\b)?\s*([\s\S]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each', 'with'];
+const MAX_PARTIAL_DEPTH = 10;
+
+const FILTERS = {
+  join: value => (Array.isArray(value) ? value : [value]).join(', '),
+  number: value => Number(value).toLocaleString(),
+  date: value => new Date(value).toLocaleDateString(),
+  url: value => encodeURIComponent(String(value))
+};
+
+class TemplateEngine {
+  constructor({ templatesDir } = {}) {
+    this.baseDir = path.dirname(__dirname);
+    this.templatesDir = templatesDir || path.join(this.baseDir, 'templates');
+    this.partialsDir = path.join(this.templatesDir, 'partials');
+    // Parsed templates by path
+    this.cache = new Map();
+  }
+
+  /**
+   * Render a template file (relative to the templates directory) with the given data
+   */
+  render(name, data) {
+    return this.renderNodes(this.load(path.join(this.templatesDir, name)), [data], { depth: 0 });
+  }
+
+  /**
+   * Parse a template file once; syntax errors surface here
+   */
+  load(templatePath) {
+    if (!this.cache.has(templatePath)) {
+      if (!fs.existsSync(templatePath)) {
+        throw this.error(`Template not found: ${path.relative(this.baseDir, templatePath)}`);
+      }
+      this.cache.set(templatePath, this.parse(fs.readFileSync(templatePath, 'utf8'), path.relative(this.templatesDir, templatePath)));
+    }
+
+    return this.cache.get(templatePath);
+  }
+
+  /**
+   * Build the node tree of a template: text, variables, blocks and partials
+   */
+  parse(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    for (const token of this.tokenize(source)) {
+      const current = stack[stack.length - 1];
+      const location = `${name}:${token.line}`;
+
+      if (token.start > last) {
+        current.children.push({ type: 'text', value: source.slice(last, token.start) });
+      }
+      last = token.end;
+
+      if (token.raw !== undefined || !token.sigil) {
+        const [expression, ...filters] = (token.raw !== undefined ? token.raw : token.body).split('|').map(part => part.trim());
+        const unknown = filters.find(filter => !FILTERS[filter]);
+        if (!expression || unknown !== undefined) {
+          throw this.error(unknown !== undefined ?
+            `Unknown filter "${unknown}" at ${location} (expected ${Object.keys(FILTERS).join(', ')})` :
+            `Empty tag at ${location}`);
+        }
+        current.children.push({ type: 'variable', expression, filters, raw: token.raw !== undefined, location });
+      } else if (token.sigil === '#') {
+        const [block, expression] = token.body.split(/\s+/, 2);
+        if (!BLOCKS.includes(block) || !expression) {
+          throw this.error(`Unknown block {{#${token.body}}} at ${location} (expected ${BLOCKS.map(b => `#${b} <name>`).join(', ')})`);
+        }
+        const node = { type: block, expression, children: [], alternate: null, location };
+        current.children.push(node);
+        stack.push(node);
+      } else if (token.sigil === 'else') {
+        if (stack.length === 1 || current.type === 'with' || current.alternate) {
+          throw this.error(`Unexpected {{else}} at ${location}`);
+        }
+        current.consequent = current.children;
+        current.alternate = current.children = [];
+      } else if (token.sigil === '/') {
+        if (stack.length === 1 || token.body !== current.type) {
+          throw this.error(`Unexpected {{/${token.body}}} at ${location}` +
+            (stack.length > 1 ? ` ({{#${current.type} ${current.expression}}} opened at ${current.location})` : ''));
+        }
+        if (current.alternate) {
+          current.children = current.consequent;
+        }
+        stack.pop();
+      } else if (token.sigil === '>') {
+        if (!/^[\w-]+$/.test(token.body)) {
+          throw this.error(`Invalid partial name "${token.body}" at ${location}`);
+        }
+        current.children.push({ type: 'partial', name: token.body, location });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw this.error(`Unclosed {{#${open.type} ${open.expression}}} opened at ${open.location}`);
+    }
+    if (last < source.length) {
+      root.children.push({ type: 'text', value: source.slice(last) });
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Tags with their position and line. A block, partial or comment tag standing alone
+   * on its line takes the whole line (indentation and line break) with it.
+   */
+  tokenize(source) {
+    const tokens = [];
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const token = {
+        start: match.index,
+        end: match.index + match[0].length,
+        line: source.slice(0, match.index).split('\n').length,
+        raw: match[1],
+        sigil: match[2],
+        body: match[3]
+      };
+
+      if (token.sigil) {
+        const lineStart = source.lastIndexOf('\n', token.start - 1) + 1;
+        const lineEnd = source.indexOf('\n', token.end);
+        const before = source.slice(lineStart, token.start);
+        const after = source.slice(token.end, lineEnd === -1 ? source.length : lineEnd);
+        if (/^[ \t]*$/.test(before) && /^[ \t\r]*$/.test(after)) {
+          token.start = lineStart;
+          token.end = lineEnd === -1 ? source.length : lineEnd + 1;
+        }
+      }
+
+      tokens.push(token);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Render nodes against a scope stack (innermost scope last)
+   */
+  renderNodes(nodes, scopes, state) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'variable':
+          return this.renderVariable(node, scopes);
+        case 'if':
+        case 'unless': {
+          const truthy = this.isTruthy(this.lookup(node.expression, scopes, node.location));
+          const branch = truthy === (node.type === 'if') ? node.children : node.alternate;
+          return branch ? this.renderNodes(branch, scopes, state) : '';
+        }
+        case 'each':
+          return this.renderEach(node, scopes, state);
+        case 'with': {
+          const value = this.lookup(node.expression, scopes, node.location);
+          return value === null || value === undefined ? '' : this.renderNodes(node.children, [...scopes, value], state);
+        }
+        case 'partial': {
+          if (state.depth >= MAX_PARTIAL_DEPTH) {
+            throw this.error(`Partials nested deeper than ${MAX_PARTIAL_DEPTH} at ${node.location}`);
+          }
+          const partial = this.load(path.join(this.partialsDir, `${node.name}.md`));
+          return this.renderNodes(partial, scopes, { depth: state.depth + 1 });
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Output of a variable tag: filtered, then Markdown-escaped unless raw
+   */
+  renderVariable(node, scopes) {
+    let value = this.lookup(node.expression, scopes, node.location);
+
+    if (value === null || value === undefined) {
+      throw this.error(`Missing value for {{${node.expression}}} at ${node.location}`);
+    }
+
+    node.filters.forEach(filter => {
+      value = FILTERS[filter](value);
+    });
+
+    if (typeof value === 'object') {
+      throw this.error(`{{${node.expression}}} at ${node.location} is ${Array.isArray(value) ? 'a list (use | join or #each)' : 'an object'}, not a value`);
+    }
+
+    return node.raw ? String(value) : this.escape(String(value));
+  }
+
+  /**
+   * Repeat the block for every item of a list (or entry of an object)
+   */
+  renderEach(node, scopes, state) {
+    const value = this.lookup(node.expression, scopes, node.location);
+    const entries = value === null || value === undefined ? [] :
+      Array.isArray(value) ? value.map((item, index) => [index, item]) :
+      typeof value === 'object' ? Object.entries(value) : null;
+
+    if (!entries) {
+      throw this.error(`{{#each ${node.expression}}} at ${node.location} needs a list or an object`);
+    }
+
+    if (entries.length === 0) {
+      return node.alternate ? this.renderNodes(node.alternate, scopes, state) : '';
+    }
+
+    return entries.map(([key, item], index) => this.renderNodes(node.children, [...scopes, {
+      __item: item,
+      '@index': index,
+      '@key': key,
+      '@first': index === 0,
+      '@last': index === entries.length - 1
+    }], state)).join('');
+  }
+
+  /**
+   * Resolve a dotted name against the innermost scope that has its first segment
+   */
+  lookup(expression, scopes, location) {
+    const [first, ...rest] = expression.split('.');
+    let value;
+    let found = false;
+
+    for (let i = scopes.length - 1; i >= 0 && !found; i--) {
+      const scope = scopes[i];
+      const isItem = Object.prototype.hasOwnProperty.call(scope, '__item');
+      const target = isItem ? scope.__item : scope;
+
+      if (first === 'this') {
+        value = target;
+        found = true;
+      } else if (first.startsWith('@')) {
+        value = scope[first];
+        found = isItem;
+      } else if (target !== null && typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, first)) {
+        value = target[first];
+        found = true;
+      }
+    }
+
+    if (!found) {
+      throw this.error(`Unknown variable {{${expression}}} at ${location}`);
+    }
+
+    rest.forEach((segment, index) => {
+      if (value === null || value === undefined || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+        throw this.error(`Unknown variable {{${expression}}} at ${location} (no "${[first, ...rest.slice(0, index + 1)].join('.')}")`);
+      }
+      value = value[segment];
+    });
+
+    return value;
+  }
+
+  /**
+   * Block condition: JavaScript truthiness, except that empty lists are false
+   */
+  isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  /**
+   * Escape the characters that would turn a value into Markdown or HTML markup
+   */
+  escape(text) {
+    return text.replace(/[\\`*_[\]<>|]/g, character => `\\${character}`);
+  }
+
+  /**
+   * Template errors carry a code so callers can tell them from data failures
+   */
+  error(message) {
+    const error = new Error(message);
+    error.code = TEMPLATE_ERROR;
+    return error;
+  }
+}
+
+TemplateEngine.TEMPLATE_ERROR = TEMPLATE_ERROR;
+TemplateEngine.FILTERS = Object.keys(FILTERS);
+
+module.exports = TemplateEngine;
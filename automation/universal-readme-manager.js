@@ -8,6 +8,16 @@
 const fs = require('fs');
 const path = require('path');
 const GitHubStatsCollector = require('./github-stats-collector');
+const EcosystemManifest = require('./ecosystem-manifest');
+const DiscoveryChangeSet = require('./discovery-change-set');
+const RepositoryClassifier = require('./repository-classifier');
+const VisibilityPolicy = require('./visibility-policy');
+const LineCounter = require('./line-counter');
+const LanguageRegistry = require('./language-registry');
+const DependencyScanner = require('./dependency-scanner');
+const TemplateEngine = require('./template-engine');
+const RepositoryStructure = require('./repository-structure');
+const RequestScheduler = require('./request-scheduler');
 
 class UniversalReadmeManager {
   constructor() {
@@ -15,57 +25,24 @@ class UniversalReadmeManager {
     this.templatesDir = path.join(this.baseDir, 'templates');
     this.languageStats = null; // Will be populated during stats collection
     
-    // All ecosystem repositories configuration
-    this.repositories = [
-      {
-        org: 'DevEcosystem',
-        name: 'ecosystem-automation-tools',
-        type: 'automation',
-        description: 'Automation tools and utilities for development ecosystem'
-      },
-      {
-        org: 'DevBusinessHub', 
-        name: 'business-management',
-        type: 'business',
-        description: 'Client project management and business automation'
-      },
-      {
-        org: 'DevBusinessHub',
-        name: 'automation-tools', 
-        type: 'business-tools',
-        description: 'Business process automation and analysis tools'
-      },
-      {
-        org: 'DevPersonalHub',
-        name: 'external-learning-platforms',
-        type: 'learning',
-        description: 'Comprehensive external learning journey across multiple platforms'
-      },
-      {
-        org: 'DevPersonalHub',
-        name: 'portfolio-website',
-        type: 'portfolio', 
-        description: 'Professional portfolio website and personal branding'
-      },
-      {
-        org: 'DevPersonalHub',
-        name: 'technical-showcase',
-        type: 'showcase',
-        description: 'Technical experiments and innovation demonstrations'
-      },
-      {
-        org: 'DevPersonalHub',
-        name: 'learning-projects',
-        type: 'projects',
-        description: 'Knowledge base and learning project documentation'
-      },
-      {
-        org: 'DevAcademicHub',
-        name: 'academic-portfolio',
-        type: 'academic',
-        description: 'University education and academic achievement portfolio'
-      }
-    ];
+    // All ecosystem repositories, typed by the classification rules in config/ecosystem-manifest.json
+    this.manifest = new EcosystemManifest();
+    this.classifier = new RepositoryClassifier(this.manifest);
+    this.repositories = this.classifier.getCandidateRepositories()
+      .map(repo => ({ repo, type: this.classifier.classify(repo).type }))
+      .filter(({ type }) => type)
+      .map(({ repo, type }) => ({
+        org: repo.owner,
+        name: repo.name,
+        type,
+        description: this.manifest.getRepositoryConfig(repo.owner, repo.name).description || repo.description || '',
+        private: !!repo.private
+      }));
+    this.visibility = new VisibilityPolicy(this.manifest);
+    this.languages = new LanguageRegistry();
+    // README templates on disk are the source of truth; nothing here writes them
+    this.templates = new TemplateEngine({ templatesDir: this.templatesDir });
+    this.generatedReadmes = [];
   }
 
   /**
@@ -75,18 +52,18 @@ class UniversalReadmeManager {
     console.log('🚀 Starting Universal README Management...');
     
     try {
-      // Step 1: Ensure templates directory exists
-      await this.ensureTemplatesDirectory();
+      // Step 1: Load the README template of every repository type
+      await this.loadTemplates();
       
       // Step 2: Collect GitHub language statistics
       console.log('📊 Collecting GitHub language statistics...');
-      const statsCollector = new GitHubStatsCollector();
-      const languageStats = await statsCollector.collectAllStats();
+      this.statsCollector = new GitHubStatsCollector();
+      const languageStats = await this.statsCollector.collectAllStats();
       this.languageStats = languageStats;
-      console.log(`  ✓ Collected stats: ${languageStats.ecosystem_totals.total_lines.toLocaleString()} lines across ${languageStats.ecosystem_totals.total_repositories} repositories`);
+      console.log(`  ✓ Collected stats: ${languageStats.ecosystem_totals.total_lines.toLocaleString()} ${LineCounter.describeUnit(languageStats.ecosystem_totals.line_unit)} across ${languageStats.ecosystem_totals.total_repositories} repositories`);
       
-      // Step 3: Generate templates for all repositories (now with stats)
-      await this.generateAllTemplates();
+      // Step 2b: Scan dependency manifests (technologies and the dependency report)
+      await this.scanDependencies();
       
       // Step 4: Scan and analyze all repositories
       const repoAnalysis = await this.analyzeAllRepositories();
@@ -94,6 +71,9 @@ class UniversalReadmeManager {
       // Step 5: Generate updated READMEs
       await this.generateUpdatedReadmes(repoAnalysis);
       
+      // Step 5b: Drop READMEs of repositories removed, renamed or transferred since last discovery
+      await this.pruneGeneratedReadmes(new DiscoveryChangeSet().load());
+      
       // Step 6: Create update summary
       await this.createUpdateSummary(repoAnalysis);
       
@@ -107,38 +87,40 @@ class UniversalReadmeManager {
   }
 
   /**
-   * Ensure templates directory exists
+   * Build the dependency graph READMEs take their technologies from. A failed scan
+   * does not stop README generation: technologies then come from languages alone.
    */
-  async ensureTemplatesDirectory() {
-    if (!fs.existsSync(this.templatesDir)) {
-      fs.mkdirSync(this.templatesDir, { recursive: true });
-      console.log('📁 Created templates directory');
+  async scanDependencies() {
+    this.dependencyScanner = new DependencyScanner({ client: this.statsCollector.client });
+    
+    try {
+      await this.dependencyScanner.scanAll();
+    } catch (error) {
+      console.log(`  ⚠️ Dependency scan failed, technologies from languages only: ${error.message}`);
     }
   }
 
   /**
-   * Generate README templates for all repository types
+   * Parse the template of every repository type up front, so a missing template or a
+   * syntax error stops the run before any README is written
    */
-  async generateAllTemplates() {
-    console.log('📝 Generating README templates...');
+  async loadTemplates() {
+    console.log('📝 Loading README templates...');
     
-    const templates = {
-      'learning': this.generateLearningTemplate(),
-      'portfolio': this.generatePortfolioTemplate(),
-      'business': this.generateBusinessTemplate(),
-      'academic': this.generateAcademicTemplate(),
-      'showcase': this.generateShowcaseTemplate(),
-      'automation': this.generateAutomationTemplate(),
-      'projects': this.generateProjectsTemplate(),
-      'business-tools': this.generateBusinessToolsTemplate()
-    };
+    const types = [...new Set(this.repositories.map(repo => repo.type))].sort();
+    types.forEach(type => {
+      this.templates.load(path.join(this.templatesDir, this.getTemplateName(type)));
+      console.log(`  ✅ Loaded ${type} template`);
+    });
+    
+    return types;
+  }
 
-    // Write all templates to files
-    for (const [type, content] of Object.entries(templates)) {
-      const templatePath = path.join(this.templatesDir, `${type}-readme.template.md`);
-      fs.writeFileSync(templatePath, content, 'utf8');
-      console.log(`  ✅ Generated ${type} template`);
-    }
+  /**
+   * Template file of a repository type, relative to templates/
+   */
+  getTemplateName(type) {
+    return `${type}-readme.template.md`;
   }
 
   /**
@@ -147,14 +129,22 @@ class UniversalReadmeManager {
   async analyzeAllRepositories() {
     console.log('🔍 Analyzing repository structures...');
     
+    this.structure = new RepositoryStructure({ client: this.statsCollector.client, manifest: this.manifest });
+    const githubRepos = this.repositories
+      .filter(repo => this.manifest.getProviderForOwner(repo.org).type === 'github').length;
+    await this.structure.checkRateBudget(githubRepos);
+    
     const analysis = {};
     
     for (const repo of this.repositories) {
       try {
-        // Simulate repository analysis (in real implementation, this would use GitHub API)
         analysis[repo.name] = await this.analyzeRepository(repo);
-        console.log(`  ✅ Analyzed ${repo.org}/${repo.name}`);
+        const { projectCount } = analysis[repo.name];
+        console.log(`  ✅ Analyzed ${repo.org}/${repo.name} (${projectCount} ${projectCount === 1 ? 'project' : 'projects'})`);
       } catch (error) {
+        if (error.code === RequestScheduler.RATE_LIMIT_EXCEEDED) {
+          throw error;
+        }
         console.log(`  ⚠️ Could not analyze ${repo.org}/${repo.name}: ${error.message}`);
         analysis[repo.name] = this.getDefaultAnalysis(repo);
       }
@@ -164,116 +154,41 @@ class UniversalReadmeManager {
   }
 
   /**
-   * Analyze individual repository structure
+   * Analyze individual repository structure from its file tree
    */
   async analyzeRepository(repo) {
-    // Simulate repository analysis
+    const structure = await this.structure.analyze(repo.org, repo.name);
+    if (structure.truncated) {
+      console.log(`    ⚠️ ${repo.org}/${repo.name}: file tree truncated by the API, structure and project count are partial`);
+    }
+    
     return {
       org: repo.org,
       name: repo.name,
       type: repo.type,
       description: repo.description,
-      projectCount: this.getProjectCount(repo),
-      lastUpdate: new Date().toISOString(),
-      structure: this.getRepositoryStructure(repo),
+      projectCount: structure.project_count,
+      lastUpdate: structure.metadata.pushed_at || new Date().toISOString(),
+      structure: structure.tree,
       technologies: this.detectTechnologies(repo),
-      status: 'active'
+      status: structure.metadata.archived ? 'archived' : 'active'
     };
   }
 
   /**
-   * Get project count based on repository type
-   */
-  getProjectCount(repo) {
-    const projectCounts = {
-      'external-learning-platforms': 12,
-      'academic-portfolio': 4,
-      'business-management': 3,
-      'portfolio-website': 1,
-      'technical-showcase': 6,
-      'learning-projects': 8,
-      'automation-tools': 4,
-      'ecosystem-automation-tools': 5
-    };
-    
-    return projectCounts[repo.name] || 1;
-  }
-
-  /**
-   * Get repository structure simulation
-   */
-  getRepositoryStructure(repo) {
-    const structures = {
-      'external-learning-platforms': `external-learning-platforms/
-├── 📁 recursion/                    # Recursion CS Program (8 projects)
-│   ├── 🚀 slackclone/               # Real-time messaging app
-│   ├── 🌐 dynamic-web-servers/      # HTTP server implementation  
-│   ├── 💻 recursion-project3-website/ # Full-stack web application
-│   ├── 🗄️ servers-with-databases/   # Database integration
-│   ├── 📁 file-manipulator-program/ # System programming
-│   ├── 🎬 video-compressor-project/ # Multimedia processing
-│   ├── 🎮 test-tetris/              # Game development
-│   └── ✅ todo-redux/               # State management
-├── 📁 coursera/                     # Meta Professional Certificates
-│   ├── ⚛️ meta-frontend/            # Meta Frontend Developer
-│   └── 🔧 meta-backend/             # Meta Backend Developer
-├── 📁 udacity/                      # Udacity Nanodegree Program
-│   └── 🎨 frontend-nanodegree/      # Frontend development specialization
-└── 📁 learning-analytics/           # Progress tracking and metrics`,
-      'academic-portfolio': `academic-portfolio/
-├── 📚 uop-computer-science/         # University of the People CS Program
-│   ├── CS1101/                     # Programming Fundamentals
-│   ├── CS2203/                     # Data Structures & Algorithms
-│   └── CS3307/                     # Operating Systems
-├── 🎓 graduate-preparation/         # MS/PhD Application Materials
-├── 📝 research-activities/          # Academic Research Projects
-└── 📊 publications-presentations/   # Academic Publications`,
-      'business-management': `business-management/
-├── 👥 client-projects/              # Active Client Work
-├── 📋 project-templates/            # Reusable Project Structures
-├── 🤖 automation/                   # Business Process Automation
-└── 📈 analytics/                    # Performance Metrics`,
-      'portfolio-website': `portfolio-website/
-├── 🌐 src/                         # Source Code
-│   ├── components/                 # React Components
-│   ├── pages/                      # Page Components
-│   └── styles/                     # Styling Files
-├── 📁 public/                      # Static Assets
-└── 🚀 build/                       # Production Build`,
-      'technical-showcase': `technical-showcase/
-├── 🧪 experiments/                 # Technical Experiments
-├── 🎮 prototypes/                  # Interactive Prototypes
-├── 🎨 demos/                       # Live Demonstrations
-└── 🔬 research/                    # Technology Research`,
-      'learning-projects': `learning-projects/
-├── ⚛️ frontend/                    # Frontend Learning Projects
-├── 🔧 backend/                     # Backend Learning Projects
-├── 🛠️ tools/                       # Development Tools
-└── 📖 tutorials/                   # Learning Tutorials`
-    };
-    
-    return structures[repo.name] || `${repo.name}/
-├── 📁 src/                         # Source Code
-├── 📁 docs/                        # Documentation
-└── 📄 README.md                    # Project Documentation`;
-  }
-
-  /**
-   * Detect technologies used in repository
+   * Technologies used in a repository: its main code languages from the collected
+   * stats, then the runtimes and frameworks its dependency manifests declare
    */
   detectTechnologies(repo) {
-    const techStacks = {
-      'external-learning-platforms': ['JavaScript', 'React', 'Redux', 'Node.js', 'Python', 'HTML/CSS', 'Jest', 'PHP'],
-      'academic-portfolio': ['Python', 'Java', 'Computer Science Theory', 'Algorithms', 'Data Structures'],
-      'business-management': ['Project Management', 'Process Automation', 'Client Relations', 'Documentation'],
-      'automation-tools': ['Node.js', 'JavaScript', 'Automation Scripts', 'CI/CD', 'Process Optimization'],
-      'portfolio-website': ['React', 'Next.js', 'TypeScript', 'Styled Components', 'Responsive Design'],
-      'technical-showcase': ['JavaScript', 'React', 'Node.js', 'WebGL', 'Canvas API', 'Experimental APIs'],
-      'learning-projects': ['JavaScript', 'Python', 'React', 'Node.js', 'Documentation', 'Tutorials'],
-      'ecosystem-automation-tools': ['Node.js', 'GitHub Actions', 'JSON Processing', 'File System APIs', 'Automation']
-    };
+    const repoStats = this.languageStats?.organizations[repo.org]?.repositories[repo.name];
+    const languages = Object.entries(repoStats?.languages || {})
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([language]) => language);
+    const dependencies = this.dependencyScanner?.getTechnologies(repo.org, repo.name) || [];
+    const technologies = [...new Set([...languages, ...dependencies])];
     
-    return techStacks[repo.name] || ['JavaScript', 'Node.js', 'Web Development'];
+    return technologies.length > 0 ? technologies : ['Development'];
   }
 
   /**
@@ -304,46 +219,121 @@ class UniversalReadmeManager {
       fs.mkdirSync(readmeDir, { recursive: true });
     }
 
+    // generated-readmes/ is public: private repositories only get a README when the policy shows them
+    const showPrivate = this.visibility.getMode('generated_readmes') === 'show';
+    let withheld = 0;
+    this.generatedReadmes = [];
+
     for (const [repoName, data] of Object.entries(analysis)) {
+      const readmePath = path.join(readmeDir, `${repoName}-README.md`);
+
+      if (!showPrivate && this.isPrivateRepository(data)) {
+        if (fs.existsSync(readmePath)) {
+          fs.unlinkSync(readmePath);
+        }
+        withheld++;
+        continue;
+      }
+
       try {
         const readme = await this.generateReadmeFromTemplate(data);
-        const readmePath = path.join(readmeDir, `${repoName}-README.md`);
+        this.visibility.assertNoLeaks('generated_readmes', readme, readmePath);
         fs.writeFileSync(readmePath, readme, 'utf8');
+        this.generatedReadmes.push(repoName);
         console.log(`  ✅ Generated README for ${data.org}/${repoName}`);
       } catch (error) {
+        // A broken template fails the run instead of silently skipping READMEs
+        if (error.code === TemplateEngine.TEMPLATE_ERROR) {
+          throw error;
+        }
         console.log(`  ⚠️ Failed to generate README for ${repoName}: ${error.message}`);
       }
     }
+
+    if (withheld > 0) {
+      console.log(`  🔒 Withheld READMEs of ${withheld} private repositories (visibility policy)`);
+    }
   }
 
   /**
-   * Generate README from template based on repository data
+   * Check whether an analyzed repository is private
    */
-  async generateReadmeFromTemplate(data) {
-    const templatePath = path.join(this.templatesDir, `${data.type}-readme.template.md`);
-    
-    if (!fs.existsSync(templatePath)) {
-      throw new Error(`Template not found for type: ${data.type}`);
+  isPrivateRepository(data) {
+    const repo = this.repositories.find(candidate => candidate.org === data.org && candidate.name === data.name);
+    return this.visibility.isPrivate({ owner: data.org, name: data.name, private: repo?.private });
+  }
+
+  /**
+   * Remove generated READMEs that belong to repositories which no longer exist
+   * under their previous name, according to the discovery change-set
+   */
+  async pruneGeneratedReadmes(changeSet) {
+    if (!changeSet || changeSet.baseline) {
+      return [];
     }
+
+    const readmeDir = path.join(this.baseDir, 'generated-readmes');
+    const currentNames = new Set(this.repositories.map(repo => repo.name));
+    const staleNames = [
+      ...changeSet.changes.removed.map(repo => repo.name),
+      ...changeSet.changes.renamed.map(change => change.from.split('/')[1]),
+      ...changeSet.changes.transferred.map(change => change.from.split('/')[1])
+    ].filter(name => !currentNames.has(name));
+
+    const pruned = [];
+    for (const name of new Set(staleNames)) {
+      const readmePath = path.join(readmeDir, `${name}-README.md`);
+      if (fs.existsSync(readmePath)) {
+        fs.unlinkSync(readmePath);
+        pruned.push(name);
+        console.log(`  🗑️ Removed stale README for ${name}`);
+      }
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Render the README of a repository from its type's template
+   */
+  async generateReadmeFromTemplate(data) {
+    return this.templates.render(this.getTemplateName(data.type), this.getTemplateContext(data));
+  }
+
+  /**
+   * Data templates are rendered with: the repository, its organization's other
+   * repositories (as generated READMEs may show them) and language statistics
+   */
+  getTemplateContext(data) {
+    return {
+      repository: {
+        name: data.name,
+        owner: data.org,
+        type: data.type,
+        description: data.description,
+        project_count: data.projectCount,
+        technologies: data.technologies,
+        status: data.status,
+        structure: Array.isArray(data.structure) ? data.structure.join('\n') : data.structure,
+        last_update: new Date(data.lastUpdate).toLocaleDateString()
+      },
+      organization: {
+        name: data.org,
+        repositories: this.getRelatedRepositories(data)
+      },
+      language_stats: this.getLanguageStatsContext(data.org)
+    };
+  }
+
+  /**
+   * Other repositories of the same organization, under the generated READMEs' visibility policy
+   */
+  getRelatedRepositories(data) {
+    const { visible } = this.visibility.apply('generated_readmes', this.repositories
+      .filter(repo => repo.org === data.org && repo.name !== data.name)
+      .map(repo => ({ ...repo, owner: repo.org })));
     
-    let template = fs.readFileSync(templatePath, 'utf8');
-    
-    // Generate organization-specific language statistics
-    const languageStatsSection = this.generateLanguageStatsSection(data.org);
-    
-    // Replace template variables
-    template = template
-      .replace(/\{\{REPO_NAME\}\}/g, data.name)
-      .replace(/\{\{ORG_NAME\}\}/g, data.org)
-      .replace(/\{\{DESCRIPTION\}\}/g, data.description)
-      .replace(/\{\{PROJECT_COUNT\}\}/g, data.projectCount)
-      .replace(/\{\{LAST_UPDATE\}\}/g, new Date(data.lastUpdate).toLocaleDateString())
-      .replace(/\{\{TECHNOLOGIES\}\}/g, data.technologies.join(', '))
-      .replace(/\{\{STATUS\}\}/g, data.status)
-      .replace(/\{\{STRUCTURE\}\}/g, data.structure)
-      .replace(/\{\{LANGUAGE_STATS\}\}/g, languageStatsSection);
-    
-    return template;
+    return visible.map(repo => ({ name: repo.display_name, type: repo.type, description: repo.aliased ? '' : repo.description }));
   }
 
   /**
@@ -354,6 +344,15 @@ class UniversalReadmeManager {
     const totalRepos = Object.keys(analysis).length;
     const activeRepos = Object.values(analysis).filter(repo => repo.status === 'active').length;
     const totalProjects = Object.values(analysis).reduce((sum, repo) => sum + repo.projectCount, 0);
+    const { visible, aggregated } = this.visibility.apply('generated_readmes', Object.values(analysis).map(repo => ({
+      ...repo,
+      owner: repo.org,
+      private: this.isPrivateRepository(repo)
+    })));
+    const aggregatedByOrg = {};
+    aggregated.forEach(repo => {
+      aggregatedByOrg[repo.org] = (aggregatedByOrg[repo.org] || 0) + 1;
+    });
 
     const summary = `# 🤖 Universal README Management Summary
 
@@ -367,17 +366,21 @@ class UniversalReadmeManager {
 
 ### 📊 Repository Analysis
 
-${Object.values(analysis).map(repo => 
-  `#### ${repo.org}/${repo.name}
+${visible.map(repo => 
+  `#### ${repo.org}/${repo.display_name}
 - **Type**: ${repo.type}
 - **Projects**: ${repo.projectCount}
 - **Technologies**: ${repo.technologies.join(', ')}
 - **Status**: ${repo.status === 'active' ? '🟢' : '🟡'} ${repo.status}
 `).join('\n')}
+${Object.entries(aggregatedByOrg).map(([org, count]) => 
+  `#### ${org}: ${this.visibility.getAggregateLabel(org, count)}
+- **Details**: 🔒 Withheld by visibility policy
+`).join('\n')}
 
 ### 🎯 Template Generation
-- **Templates Created**: 8 repository types
-- **READMEs Generated**: ${totalRepos}
+- **Templates Used**: ${new Set(Object.values(analysis).map(repo => repo.type)).size} repository types (\`templates/\`)
+- **READMEs Generated**: ${this.generatedReadmes.length}
 - **Success Rate**: ${Math.round((activeRepos / totalRepos) * 100)}%
 
 ### 🔄 Next Automated Run
@@ -393,297 +396,13 @@ ${Object.values(analysis).map(repo =>
 `;
 
     const summaryPath = path.join(this.baseDir, 'README_MANAGEMENT_SUMMARY.md');
+    this.visibility.assertNoLeaks('generated_readmes', summary, summaryPath);
     fs.writeFileSync(summaryPath, summary, 'utf8');
     
     console.log('  ✅ Created universal update summary');
     return summary;
   }
 
-  // Template generation methods (placeholder implementations)
-  generateLearningTemplate() {
-    return `# 🎓 {{REPO_NAME}} - Comprehensive Educational Journey
-
-[![Learning Status](https://img.shields.io/badge/Learning-Active-green)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}) [![Platforms](https://img.shields.io/badge/Platforms-3-blue)] [![Projects](https://img.shields.io/badge/Projects-{{PROJECT_COUNT}}+-orange)]
-
-## 🌟 Overview
-
-{{DESCRIPTION}}
-
-This repository consolidates my comprehensive learning journey across multiple external educational platforms, showcasing systematic skill development through hands-on projects and structured coursework.
-
-### 🌐 Multi-Platform Excellence
-- **🔥 Recursion CS Program**: Intensive computer science education through challenging projects that mirror real industry scenarios
-- **🎓 Meta Professional Certificates**: Industry-standard curriculum developed by Meta (Facebook) engineers, covering both frontend and backend specializations
-- **🎨 Udacity Nanodegree**: Cutting-edge frontend development program with mentor guidance and career services
-
-{{LANGUAGE_STATS}}
-
-## 🏗️ Learning Architecture
-
-### 🔥 Recursion CS Program
-**Intensive computer science education through project-based learning**
-
-#### Full-Stack Development
-- **[SlackClone](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/slackclone)** - Real-time messaging application with React and Socket.IO
-- **[Dynamic Web Servers](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/dynamic-web-servers)** - HTTP server implementation and web frameworks
-- **[Website Project](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/recursion-project3-website)** - Complete full-stack web application
-
-#### Backend Systems
-- **[Servers with Databases](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/servers-with-databases)** - Database integration and server architecture
-- **[File Manipulator](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/file-manipulator-program)** - System-level programming and file operations
-
-#### Creative Projects
-- **[Video Compressor](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/video-compressor-project)** - Multimedia processing and compression algorithms
-- **[Tetris Game](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/test-tetris)** - Game development fundamentals and logic implementation
-- **[Todo Redux](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/recursion/todo-redux)** - State management patterns with Redux architecture
-
-### 🎓 Coursera Specializations
-**Professional development through Meta's industry-standard curriculum**
-
-#### [Meta Frontend Developer Professional Certificate](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/coursera/meta-frontend)
-- **Advanced React** - Hooks, Context, Testing, Performance optimization
-- **JavaScript Programming** - ES6+, Async programming, Unit testing with Jest
-- **React Basics** - Component architecture, State management, Routing
-- **Frontend Capstone** - Complete portfolio website development
-
-#### [Meta Backend Developer Professional Certificate](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/coursera/meta-backend)
-- **Backend Development** - Server-side programming and API design
-- **Database Integration** - SQL, NoSQL, and data modeling
-- **System Architecture** - Scalable backend systems and microservices
-
-### 🎨 Udacity Frontend Nanodegree
-**Industry-focused frontend development with project-based learning**
-
-#### [Frontend Nanodegree Program](https://github.com/{{ORG_NAME}}/{{REPO_NAME}}/tree/main/udacity/frontend-nanodegree)
-- **Responsive Web Design** - Mobile-first design principles and CSS frameworks
-- **JavaScript Fundamentals** - Modern ES6+ programming and DOM manipulation
-- **Web APIs & Performance** - Optimization techniques and modern web standards
-
-## 📊 Learning Analytics
-
-### Technical Stack Progression
-\`\`\`
-Frontend:    HTML/CSS → JavaScript → React/Redux → Advanced Patterns
-Backend:     Node.js → Express → Database Integration → System Architecture  
-Languages:   JavaScript → Python → PHP → Multi-language proficiency
-Testing:     Basic → Jest/Unit Testing → TDD → Integration Testing
-Tools:       Git → Docker → CI/CD → Production Deployment
-\`\`\`
-
-### Current Statistics
-- **Total Projects**: {{PROJECT_COUNT}}+ across 3 major platforms
-- **Technologies**: {{TECHNOLOGIES}}
-- **Learning Platforms**: Recursion, Meta Coursera, Udacity
-- **Last Updated**: {{LAST_UPDATE}}
-- **Status**: {{STATUS}}
-
-## 📁 Repository Structure
-
-\`\`\`
-{{STRUCTURE}}
-\`\`\`
-
-## 🎯 Key Learning Outcomes
-
-### Technical Proficiency
-- **Frontend Foundation**: HTML5, CSS3, responsive design, accessibility standards
-- **Frontend Mastery**: React, Redux, advanced patterns, testing
-- **Backend Expertise**: Node.js, databases, API design, system architecture
-- **Full-Stack Integration**: End-to-end application development
-
-### Project Portfolio  
-- **{{PROJECT_COUNT}}+ Complete Projects**: From foundational frontend to complex full-stack applications
-- **Progressive Complexity**: Frontend basics → Complex systems → Professional applications
-- **Professional Certifications**: Meta Frontend & Backend Developer + Udacity Nanodegree
-- **Comprehensive Coverage**: Design fundamentals to system architecture
-
----
-
-*External learning represents a commitment to continuous education beyond formal academic requirements, demonstrating initiative, curiosity, and dedication to mastery in computer science and technology.*
-
-*Auto-generated by Universal README Management*  
-*Last Updated: {{LAST_UPDATE}}*`;
-  }
-
-  generatePortfolioTemplate() {
-    return `# 🌐 {{REPO_NAME}} - Professional Portfolio
-
-[![Portfolio Status](https://img.shields.io/badge/Portfolio-Live-success)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## 🚀 Overview
-
-{{DESCRIPTION}}
-
-This portfolio website serves as the **central hub** for showcasing professional capabilities, technical expertise, and career achievements in software development. Built with modern web technologies and designed with user experience in mind, it represents both technical skills and design sensibility.
-
-### 🎯 Professional Presentation
-**Strategic Career Positioning** - This portfolio is specifically designed to communicate technical competence to potential employers, clients, and collaborators. Every element is crafted to demonstrate professionalism and attention to detail.
-
-### 🛠️ Technical Excellence
-- **Modern Web Stack**: Built using cutting-edge technologies including {{TECHNOLOGIES}}
-- **Performance Optimized**: Fast loading times, responsive design, and accessibility compliance
-- **Professional Deployment**: Production-ready hosting and domain configuration
-- **SEO Optimization**: Strategic content structure for maximum visibility
-
-### 💼 Business Value
-This portfolio directly supports:
-- **Job Applications** - Professional online presence for recruiters and hiring managers
-- **Client Acquisition** - Credible showcase for freelance and consulting opportunities
-- **Network Building** - Shareable professional identity for industry connections
-- **Personal Branding** - Consistent representation across all professional platforms
-
-## 🛠️ Technologies
-{{TECHNOLOGIES}}
-
-## 📊 Project Status
-- **Components**: {{PROJECT_COUNT}}
-- **Last Updated**: {{LAST_UPDATE}}
-- **Status**: {{STATUS}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateBusinessTemplate() {
-    return `# 🏢 {{REPO_NAME}} - Business Management
-
-[![Business Status](https://img.shields.io/badge/Business-Active-blue)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## 📋 Overview
-
-{{DESCRIPTION}}
-
-This repository serves as the **operational backbone** for professional client work, project management, and business development activities. It encompasses comprehensive project tracking, client relationship management, and strategic business automation tools designed to ensure consistent service delivery and business growth.
-
-### 🎯 Business Excellence Framework
-**Client-Centric Operations** - Every process and tool is designed to maximize client satisfaction, project success rates, and operational efficiency. This systematic approach ensures scalable business operations and sustainable growth.
-
-### 📈 Operational Capabilities
-- **Project Management**: Comprehensive tracking and management of client projects from initiation to delivery
-- **Client Relations**: Systematic approach to client communication, feedback collection, and relationship maintenance
-- **Process Automation**: Streamlined workflows that reduce manual overhead and increase productivity
-- **Quality Assurance**: Consistent delivery standards and continuous improvement processes
-
-### 💼 Professional Value
-This business management system demonstrates:
-- **Operational Maturity** - Systematic approach to business operations
-- **Client Focus** - Dedicated processes for ensuring client success
-- **Scalability** - Systems designed to support business growth
-- **Professional Standards** - Industry best practices in project and client management
-
-### 🚀 Strategic Impact
-The systems in this repository directly support:
-- **Client Retention** - Consistent service delivery and communication
-- **Business Growth** - Scalable processes that support expansion
-- **Quality Delivery** - Systematic approaches to maintaining high standards
-- **Operational Efficiency** - Automated workflows that maximize productivity
-
-## 📊 Project Management
-- **Active Projects**: {{PROJECT_COUNT}}
-- **Technologies**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateAcademicTemplate() {
-    return `# 🎓 {{REPO_NAME}} - Academic Portfolio
-
-[![Academic Status](https://img.shields.io/badge/Academic-Active-green)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## 📚 Overview
-
-{{DESCRIPTION}}
-
-## 🎯 Academic Progress
-- **Projects**: {{PROJECT_COUNT}}
-- **Focus Areas**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateShowcaseTemplate() {
-    return `# 🔬 {{REPO_NAME}} - Technical Showcase
-
-[![Showcase Status](https://img.shields.io/badge/Showcase-Active-purple)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## ⚡ Overview
-
-{{DESCRIPTION}}
-
-## 🧪 Experiments & Innovations
-- **Active Experiments**: {{PROJECT_COUNT}}
-- **Technologies**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateAutomationTemplate() {
-    return `# 🤖 {{REPO_NAME}} - Automation Tools
-
-[![Automation Status](https://img.shields.io/badge/Automation-Active-red)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## ⚙️ Overview
-
-{{DESCRIPTION}}
-
-## 🛠️ Automation Suite
-- **Tools**: {{PROJECT_COUNT}}
-- **Technologies**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateProjectsTemplate() {
-    return `# 📚 {{REPO_NAME}} - Learning Projects
-
-[![Projects Status](https://img.shields.io/badge/Projects-Active-yellow)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## 📖 Overview
-
-{{DESCRIPTION}}
-
-## 🎯 Learning Projects
-- **Total Projects**: {{PROJECT_COUNT}}
-- **Technologies**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
-  generateBusinessToolsTemplate() {
-    return `# 🔧 {{REPO_NAME}} - Business Tools
-
-[![Tools Status](https://img.shields.io/badge/Tools-Active-cyan)](https://github.com/{{ORG_NAME}}/{{REPO_NAME}})
-
-## 🛠️ Overview
-
-{{DESCRIPTION}}
-
-## 📊 Business Automation
-- **Tools**: {{PROJECT_COUNT}}
-- **Technologies**: {{TECHNOLOGIES}}
-- **Last Updated**: {{LAST_UPDATE}}
-
----
-
-*Auto-generated by Universal README Management*`;
-  }
-
   /**
    * Get automation statistics
    */
@@ -697,138 +416,119 @@ The systems in this repository directly support:
   }
 
   /**
-   * Generate language statistics section for README
+   * Language statistics for the language-stats partial: the organization's when it was
+   * collected, otherwise the ecosystem's. Every field is present (null when it does not
+   * apply); `message` replaces the numbers when there are none.
    */
-  generateLanguageStatsSection(orgName = null) {
+  getLanguageStatsContext(orgName = null) {
+    const context = {
+      heading: 'Technology Stack',
+      message: null,
+      total: null,
+      unit: null,
+      repositories: null,
+      organizations: null,
+      distribution: null,
+      bar: null,
+      languages: [],
+      specializations: [],
+      trends: null
+    };
+    
     if (!this.languageStats) {
-      return `## Technology Stack
-Dynamic language statistics integration in progress.`;
+      return { ...context, message: 'Dynamic language statistics integration in progress.' };
     }
-
-    if (orgName && this.languageStats.organizations[orgName]) {
-      return this.generateOrganizationLanguageStats(orgName);
-    } else {
-      return this.generateEcosystemLanguageStats();
+    
+    const orgData = orgName ? this.languageStats.organizations[orgName] : null;
+    if (orgData) {
+      if (!orgData.totals.languages) {
+        return { ...context, message: `Language statistics not available for ${orgName}.` };
+      }
+      
+      const languages = orgData.totals.languages.slice(0, 8); // Top 8 languages
+      return {
+        ...context,
+        total: orgData.totals.total_lines,
+        unit: LineCounter.describeUnit(orgData.totals.line_unit),
+        repositories: orgData.totals.accessible_repositories,
+        distribution: 'Language Distribution',
+        bar: this.generateColoredProgressBar(languages, 25),
+        languages: languages.map(lang => this.getLanguageContext(lang)),
+        trends: this.getGrowthTrends(trends => trends.organizations[orgName], languages)
+      };
     }
+    
+    const ecosystemData = this.languageStats.ecosystem_totals;
+    if (!ecosystemData.languages) {
+      return { ...context, heading: 'Ecosystem Technology Stack', message: 'Ecosystem-wide statistics not available.' };
+    }
+    
+    const languages = ecosystemData.languages.slice(0, 10); // Top 10 languages
+    return {
+      ...context,
+      heading: 'Ecosystem Technology Overview',
+      total: ecosystemData.total_lines,
+      unit: LineCounter.describeUnit(ecosystemData.line_unit),
+      repositories: ecosystemData.total_repositories,
+      organizations: ecosystemData.total_organizations,
+      distribution: 'Cross-Organization Language Distribution',
+      bar: this.generateColoredProgressBar(languages, 25),
+      languages: languages.map(lang => this.getLanguageContext(lang, lang.organizations ?
+        lang.organizations.slice(0, 3).map(org => org.name.replace('Dev', '')).join(', ') :
+        'Multiple')),
+      specializations: Object.entries(this.languageStats.organizations).map(([name, orgData]) => ({
+        name,
+        primary_language: orgData.totals.primary_language,
+        percentage: orgData.totals.languages?.[0]?.percentage || '0',
+        repositories: orgData.totals.accessible_repositories
+      })),
+      trends: this.getGrowthTrends(trends => trends.ecosystem, languages)
+    };
   }
 
   /**
-   * Generate organization-specific language statistics
+   * One language of a language distribution, with the organizations using it (ecosystem only)
    */
-  generateOrganizationLanguageStats(orgName) {
-    const orgData = this.languageStats.organizations[orgName];
-    if (!orgData || !orgData.totals.languages) {
-      return `## Technology Stack
-Language statistics not available for ${orgName}.`;
-    }
-
-    const languages = orgData.totals.languages.slice(0, 8); // Top 8 languages
-    const totalLines = orgData.totals.total_lines;
-
-    let statsSection = `## Technology Stack
-**Total Code**: ${totalLines.toLocaleString()} lines across ${orgData.totals.accessible_repositories} repositories
-
-### Language Distribution
-`;
-
-    // Create colored progress bar
-    const coloredBar = this.generateColoredProgressBar(languages, 25);
-    statsSection += `${coloredBar}\n\n`;
-
-    // Add language list below the bar
-    languages.forEach(lang => {
-      const icon = this.getLanguageIcon(lang.language);
-      statsSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} lines)  \n`;
-    });
-
-    // Add trends if available
-    if (this.languageStats.trends.available) {
-      statsSection += `\n### Growth Trends\n`;
-      
-      Object.entries(this.languageStats.trends.languages).slice(0, 5).forEach(([language, trend]) => {
-        if (languages.some(l => l.language === language)) {
-          statsSection += `- **${language}**: ${trend.trend_icon} ${trend.percentage_change}% ${trend.trend}  \n`;
-        }
-      });
-    }
-
-    return statsSection;
+  getLanguageContext(lang, usedBy = null) {
+    return {
+      icon: this.getLanguageIcon(lang.language),
+      language: lang.language,
+      percentage: lang.percentage,
+      lines: lang.lines,
+      used_by: usedBy
+    };
   }
 
   /**
-   * Generate ecosystem-wide language statistics
+   * Growth trends of the shown languages over the stats' default trend window,
+   * labelled with that window (null when trends are not available)
    */
-  generateEcosystemLanguageStats() {
-    const ecosystemData = this.languageStats.ecosystem_totals;
-    if (!ecosystemData.languages) {
-      return `## Ecosystem Technology Stack
-Ecosystem-wide statistics not available.`;
+  getGrowthTrends(selectEntity, languages) {
+    const trends = this.languageStats.trends;
+    const entity = trends?.available && trends.windows ? selectEntity(trends.windows[trends.window]) : null;
+    
+    if (!entity) {
+      return null;
     }
-
-    const languages = ecosystemData.languages.slice(0, 10); // Top 10 languages
     
-    let statsSection = `## Ecosystem Technology Overview
-**Total Code**: ${ecosystemData.total_lines.toLocaleString()} lines across ${ecosystemData.total_repositories} repositories in ${ecosystemData.total_organizations} organizations
-
-### Cross-Organization Language Distribution
-`;
-
-    // Create colored progress bar for ecosystem
-    const coloredBar = this.generateColoredProgressBar(languages, 25);
-    statsSection += `${coloredBar}\n\n`;
-
-    // Add language list below the bar
-    languages.forEach(lang => {
-      const icon = this.getLanguageIcon(lang.language);
-      
-      const orgList = lang.organizations ? 
-        lang.organizations.slice(0, 3).map(org => org.name.replace('Dev', '')).join(', ') : 
-        'Multiple';
-      
-      statsSection += `${icon} **${lang.language}** ${lang.percentage}% (${lang.lines.toLocaleString()} lines) • *${orgList}*  \n`;
-    });
-
-    // Add organization breakdown
-    statsSection += `\n### Organization Specializations\n`;
+    const shown = Object.entries(entity.languages)
+      .filter(([language]) => languages.some(l => l.language === language))
+      .slice(0, 5)
+      .map(([language, trend]) => ({
+        language,
+        icon: trend.trend_icon,
+        percentage_change: trend.percentage_change,
+        trend: trend.trend
+      }));
     
-    Object.entries(this.languageStats.organizations).forEach(([orgName, orgData]) => {
-      const primaryLang = orgData.totals.primary_language;
-      const repoCount = orgData.totals.accessible_repositories;
-      const percentage = orgData.totals.languages?.[0]?.percentage || '0';
-      
-      statsSection += `- **${orgName}**: ${primaryLang} specialist (${percentage}% usage, ${repoCount} repos)  \n`;
-    });
-
-    return statsSection;
+    return shown.length > 0 ? { period: trends.period, languages: shown } : null;
   }
 
   /**
-   * Get color indicator for programming language (GitHub style)
+   * Get color indicator for a language from the shared language registry
    */
   getLanguageColor(language) {
-    const colors = {
-      'JavaScript': '🟨', // Yellow
-      'TypeScript': '🔵', // Blue
-      'Python': '🐍', // Snake (green-ish)
-      'Java': '🟠', // Orange
-      'CSS': '🟣', // Purple
-      'HTML': '🟤', // Brown
-      'C++': '🔴', // Red
-      'C': '⚫', // Black
-      'JSON': '⚪', // White/Light
-      'Shell': '🟢', // Green
-      'Markdown': '⚫', // Black
-      'SCSS': '🟣', // Purple (like CSS)
-      'PHP': '🟡', // Yellow
-      'Go': '🩵', // Light blue
-      'Rust': '🟫', // Brown/Rust
-      'Ruby': '🔴', // Red
-      'Swift': '🟠', // Orange
-      'Kotlin': '🟪', // Purple
-      'Dart': '🔵', // Blue
-      'Vue': '🟢' // Green
-    };
-    return colors[language] || '⚪'; // Default to white circle
+    return this.languages.getEmoji(language);
   }
 
   /**
@@ -843,33 +543,7 @@ Ecosystem-wide statistics not available.`;
    * Generate colored progress bar segments
    */
   generateColoredProgressBar(languages, totalWidth = 25) {
-    let coloredBar = '';
-    
-    languages.forEach(lang => {
-      const segmentLength = Math.max(1, Math.round((parseFloat(lang.percentage) / 100) * totalWidth));
-      const color = this.getLanguageColor(lang.language);
-      
-      // Use different Unicode block characters for color simulation
-      const segments = {
-        'JavaScript': '🟨', // Yellow
-        'TypeScript': '🟦', // Blue
-        'Python': '🟩', // Green  
-        'Java': '🟧', // Orange
-        'CSS': '🟪', // Purple
-        'HTML': '🟫', // Brown
-        'C++': '🟥', // Red
-        'C': '⬛', // Black
-        'JSON': '⚪', // White circle
-        'Shell': '🟩', // Green
-        'Markdown': '⬛', // Black
-        'SCSS': '🟪', // Purple
-      };
-      
-      const segment = segments[lang.language] || '⬜';
-      coloredBar += segment.repeat(segmentLength);
-    });
-    
-    return coloredBar;
+    return this.languages.renderBar(languages, totalWidth);
   }
 }
 
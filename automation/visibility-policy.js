@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Visibility Policy
+ * Decides how private repositories appear in each public output (stats, README,
+ * generated READMEs, dependency graph): shown, hidden, aggregated anonymously or
+ * aliased. Also checks written outputs for leaked private repository names and
+ * descriptions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const RepositoryRegistry = require('./repository-registry');
+
+const MODES = ['show', 'hide', 'aggregate', 'alias'];
+
+// Public files checked by `check`, and the output whose policy governs each
+const OUTPUT_FILES = {
+  stats: ['docs/analytics/github-language-stats.json', 'docs/GITHUB_STATS_REPORT.md'],
+  readme: ['README.md'],
+  generated_readmes: ['generated-readmes', 'README_MANAGEMENT_SUMMARY.md'],
+  dependencies: ['docs/dependency-graph.json', 'docs/DEPENDENCY_REPORT.md']
+};
+
+class VisibilityPolicy {
+  constructor(manifest = new EcosystemManifest(), registry = new RepositoryRegistry()) {
+    this.baseDir = path.dirname(__dirname);
+    this.manifest = manifest;
+    this.policy = manifest.getVisibilityPolicy();
+
+    [this.policy.default_mode, ...Object.values(this.policy.outputs)].forEach(mode => {
+      if (!MODES.includes(mode)) {
+        throw new Error(`Unknown visibility mode: ${mode} (expected ${MODES.join(', ')})`);
+      }
+    });
+
+    // Private repositories known from discovery, plus those flagged in the manifest
+    this.privateRepos = new Map();
+    registry.getRepositories()
+      .filter(repo => repo.private)
+      .forEach(repo => this.privateRepos.set(repo.full_name, repo));
+    manifest.getRepositories()
+      .filter(repo => repo.private)
+      .forEach(repo => this.privateRepos.set(repo.full_name, { ...this.privateRepos.get(repo.full_name), ...repo }));
+  }
+
+  /**
+   * Get the mode for an output (falls back to the policy default)
+   */
+  getMode(output) {
+    return this.policy.outputs[output] || this.policy.default_mode;
+  }
+
+  /**
+   * Check whether a repository is private, from its own flag or the known private set
+   */
+  isPrivate(repo) {
+    return repo.private === true || this.privateRepos.has(`${repo.owner}/${repo.name}`);
+  }
+
+  /**
+   * Alias for a private repository: the manifest "alias", else a numbered placeholder
+   */
+  getAlias(repo) {
+    const fullName = `${repo.owner}/${repo.name}`;
+    const configured = this.manifest.getRepositoryConfig(repo.owner, repo.name).alias;
+
+    if (configured) {
+      return configured;
+    }
+
+    const ownerRepos = [...this.privateRepos.keys()]
+      .filter(name => name.startsWith(`${repo.owner}/`))
+      .sort();
+    const index = ownerRepos.includes(fullName) ? ownerRepos.indexOf(fullName) + 1 : ownerRepos.length + 1;
+
+    return `${repo.owner} private repo #${index}`;
+  }
+
+  /**
+   * Anonymous label for aggregated private repositories, e.g. "3 private client repos"
+   */
+  getAggregateLabel(owner, count) {
+    return `${count} ${this.policy.aggregate_labels[owner] || 'private repositories'}`;
+  }
+
+  /**
+   * Split repositories for an output: visible ones get a display_name (aliased when
+   * private), private ones are either dropped or returned for anonymous aggregation
+   */
+  apply(output, repos) {
+    const mode = this.getMode(output);
+    const result = { mode, visible: [], aggregated: [], hidden: [] };
+
+    repos.forEach(repo => {
+      if (!this.isPrivate(repo) || mode === 'show') {
+        result.visible.push({ ...repo, display_name: repo.name });
+      } else if (mode === 'alias') {
+        result.visible.push({ ...repo, display_name: this.getAlias(repo), aliased: true });
+      } else if (mode === 'aggregate') {
+        result.aggregated.push(repo);
+      } else {
+        result.hidden.push(repo);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Names, full names and descriptions that must not appear in redacted outputs
+   */
+  getProtectedTerms() {
+    const terms = new Set();
+
+    this.privateRepos.forEach((repo, fullName) => {
+      terms.add(fullName);
+      terms.add(fullName.split('/')[1]);
+
+      if (repo.description && repo.description.length >= 12) {
+        terms.add(repo.description);
+      }
+    });
+
+    return [...terms];
+  }
+
+  /**
+   * Find protected terms present in output content (none when the output shows private repos)
+   */
+  findLeaks(output, content) {
+    if (this.getMode(output) === 'show') {
+      return [];
+    }
+
+    return this.getProtectedTerms().filter(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\w.-])${escaped}(?![\\w.-])`).test(content);
+    });
+  }
+
+  /**
+   * Fail the run when content would leak a private repository
+   */
+  assertNoLeaks(output, content, target = output) {
+    const leaks = this.findLeaks(output, content);
+
+    if (leaks.length > 0) {
+      throw new Error(`Private repository details leaked into ${target}: ${leaks.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check every public output file on disk; returns { file: leaks[] } for offending files
+   */
+  checkOutputs() {
+    const leaks = {};
+
+    Object.entries(OUTPUT_FILES).forEach(([output, targets]) => {
+      this.listOutputFiles(targets).forEach(file => {
+        const found = this.findLeaks(output, fs.readFileSync(file, 'utf8'));
+        if (found.length > 0) {
+          leaks[path.relative(this.baseDir, file)] = found;
+        }
+      });
+    });
+
+    return leaks;
+  }
+
+  /**
+   * Expand output targets (files or directories of Markdown) into existing file paths
+   */
+  listOutputFiles(targets) {
+    return targets
+      .map(target => path.join(this.baseDir, target))
+      .filter(target => fs.existsSync(target))
+      .flatMap(target => fs.statSync(target).isDirectory() ?
+        fs.readdirSync(target).filter(file => file.endsWith('.md')).map(file => path.join(target, file)) :
+        [target]);
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    const policy = new VisibilityPolicy();
+    console.log(`🔒 Checking public outputs for ${policy.privateRepos.size} private repositories...`);
+
+    Object.keys(OUTPUT_FILES).forEach(output => {
+      console.log(`  • ${output}: ${policy.getMode(output)}`);
+    });
+
+    const leaks = policy.checkOutputs();
+
+    if (Object.keys(leaks).length > 0) {
+      Object.entries(leaks).forEach(([file, terms]) => {
+        console.error(`  ❌ ${file}: ${terms.join(', ')}`);
+      });
+      console.error('❌ Private repository details leaked into public outputs');
+      process.exit(1);
+    }
+
+    console.log('✅ No private repository details found in public outputs');
+  } catch (error) {
+    console.error('❌ Visibility check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = VisibilityPolicy;
@@ -1,9 +1,10 @@
 #!/usr/bin/env node
 
-const { Octokit } = require('@octokit/rest');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const EcosystemManifest = require('./ecosystem-manifest');
+const GitHubClient = require('./github-client');
 
 /**
  * Webhook Auto-Setup for Complete Automation
@@ -11,11 +12,11 @@ const path = require('path');
  */
 class WebhookAutoSetup {
   constructor() {
-    this.github = new Octokit({
+    this.github = new GitHubClient({
       auth: process.env.GITHUB_TOKEN || process.env.PERSONAL_GITHUB_TOKEN
-    });
+    }).octokit;
     
-    this.organizations = ['DevBusinessHub', 'DevPersonalHub', 'DevAcademicHub', 'DevEcosystem'];
+    this.organizations = new EcosystemManifest().getOrganizations();
     this.webhookEndpoint = 'https://api.github.com/repos/DevEcosystem/ecosystem-central-command/dispatches';
     this.webhookSecret = process.env.WEBHOOK_SECRET || this.generateSecret();
     
@@ -329,9 +330,9 @@ WEBHOOK_SECRET=${this.webhookSecret}
  */
 class WorkflowDispatcher {
   constructor() {
-    this.github = new Octokit({
+    this.github = new GitHubClient({
       auth: process.env.GITHUB_TOKEN || process.env.PERSONAL_GITHUB_TOKEN
-    });
+    }).octokit;
   }
 
   /**